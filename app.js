@@ -6,6 +6,9 @@ const passport = require('passport');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const { pool, generateUUID } = require('./routes/utils');
+const { LOCAL_UPLOADS_PATH, localStorageDir } = require('./services/storage');
+const { startScheduleJob } = require('./services/schedule');
+const { startDigestJob } = require('./services/notification-digest');
 const bcrypt = require('bcryptjs');
 
 // Import route modules
@@ -16,6 +19,8 @@ const housesRoutes = require('./routes/houses');
 const activitiesRoutes = require('./routes/activities');
 const houseActivitiesRoutes = require('./routes/house-activities');
 const imagesRoutes = require('./routes/images');
+const apiKeysRoutes = require('./routes/api-keys');
+const reportsRoutes = require('./routes/reports');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -50,6 +55,12 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter JWT token obtained from /auth/login or /auth/register'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key created by an admin under /api/api-keys (accepted by /api/houses and /api/house-activities)'
         }
       }
     },
@@ -69,6 +80,11 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded files (avatars) when they are stored on local disk
+if (localStorageDir()) {
+  app.use(LOCAL_UPLOADS_PATH, express.static(localStorageDir(), { maxAge: '7d' }));
+}
+
 // Session configuration
 app.set("trust proxy", 1); 
 app.use(
@@ -186,6 +202,8 @@ app.use('/api/houses', housesRoutes);
 app.use('/api/activities', activitiesRoutes);
 app.use('/api/house-activities', houseActivitiesRoutes);
 app.use('/api/images', imagesRoutes);
+app.use('/api/api-keys', apiKeysRoutes);
+app.use('/api/reports', reportsRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -196,19 +214,53 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: {
         register: 'POST /auth/register',
+        registration_policy: 'GET /auth/registration-policy',
+        link_password: 'POST /auth/link-password',
+        accept_invite: 'POST /auth/accept-invite',
         login: 'POST /auth/login',
+        login_2fa: 'POST /auth/login/2fa',
+        two_factor: 'GET /auth/2fa',
+        refresh: 'POST /auth/refresh',
+        forgot_password: 'POST /auth/forgot-password',
+        reset_password: 'POST /auth/reset-password',
+        change_password: 'POST /auth/change-password',
+        password_policy: 'GET /auth/password-policy',
+        verify_email: 'POST /auth/verify-email',
+        resend_verification: 'POST /auth/verify-email/resend',
         me: 'GET /auth/me',
         google_oauth: 'GET /auth/google',
+        google_exchange: 'POST /auth/google/exchange',
+        providers: 'GET /auth/providers',
+        oidc: 'GET /auth/oidc/{provider}',
+        oidc_exchange: 'POST /auth/oidc/{provider}/exchange',
+        identities: 'GET /auth/identities',
         profile: 'GET /auth/profile',
-        logout: 'GET /auth/logout'
+        sessions: 'GET /auth/sessions',
+        login_history: 'GET /auth/login-history',
+        logout: 'POST /auth/logout'
       },
       api: {
         users: '/api/users',
+        user_lookup: 'GET /api/users/lookup',
+        user_import: 'POST /api/users/import',
+        user_export: 'GET /api/users/export',
+        my_permissions: 'GET /api/users/me/permissions',
+        my_preferences: 'GET|PUT /api/users/me/preferences',
+        user_avatar: 'POST /api/users/:id/avatar',
         projects: '/api/projects',
+        project_dashboard: 'GET /api/projects/:id/dashboard',
+        project_schedule: 'GET /api/projects/:id/schedule',
+        project_clone: 'POST /api/projects/:id/clone',
+        project_archive: 'POST /api/projects/:id/archive',
+        project_consistency: 'GET /api/projects/consistency',
         houses: '/api/houses',
         activities: '/api/activities',
         house_activities: '/api/house-activities',
-        images: '/api/images'
+        images: '/api/images',
+        api_keys: '/api/api-keys',
+        user_workload: 'GET /api/users/:id/workload',
+        user_timeline: 'GET /api/users/:id/timeline',
+        workload_report: 'GET /api/reports/workload'
       }
     }
   });
@@ -232,6 +284,12 @@ async function startServer() {
       console.log(`📍 Visit http://localhost:${PORT} to see the API`);
       console.log(`📚 Swagger UI available at http://localhost:${PORT}/api-docs`);
     });
+
+    // Flag houses that fall behind their planned schedule as delayed
+    startScheduleJob();
+
+    // Email digests for users who asked for them in their preferences
+    startDigestJob();
   } catch (error) {
     console.error('❌ Failed to start server:', error.message);
     process.exit(1);
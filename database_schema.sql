@@ -45,9 +45,17 @@ CREATE TABLE app_users (
     first_name   TEXT,
     last_name    TEXT,
     user_image   TEXT,
+    avatar_files JSONB,
     role         user_role NOT NULL DEFAULT 'surveyor',
     is_active    BOOLEAN NOT NULL DEFAULT TRUE,
     password_hash TEXT,
+    totp_secret  TEXT,
+    totp_enabled_at TIMESTAMPTZ,
+    totp_last_used_step BIGINT,
+    is_service_account BOOLEAN NOT NULL DEFAULT FALSE,
+    email_verified_at TIMESTAMPTZ,
+    offboarded_at TIMESTAMPTZ,
+    anonymized_at TIMESTAMPTZ,
     created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
@@ -66,12 +74,26 @@ CREATE TABLE app_projects (
     project_image    TEXT,
     description      TEXT,
     start_date       DATE,
+    planned_start_date DATE,
+    planned_end_date   DATE,
     status           project_status NOT NULL DEFAULT 'not_started',
+    archived_at      TIMESTAMPTZ,
+    archived_by_id   UUID,
     created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-    last_updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    last_updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT chk_projects_planned_dates
+      CHECK (planned_end_date >= planned_start_date),
+
+    CONSTRAINT fk_projects_archived_by
+      FOREIGN KEY (archived_by_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
 );
 
 CREATE INDEX idx_projects_status ON app_projects(status);
+CREATE INDEX idx_projects_archived_at ON app_projects(archived_at);
 CREATE INDEX idx_projects_title  ON app_projects(title);
 
 -- Houses under construction
@@ -89,9 +111,14 @@ CREATE TABLE app_houses (
     m2const              NUMERIC,
     completed_activities INTEGER NOT NULL DEFAULT 0,
     total_activities     INTEGER NOT NULL DEFAULT 0,
+    planned_start_date   DATE,
+    planned_end_date     DATE,
     created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
 
+    CONSTRAINT chk_houses_planned_dates
+      CHECK (planned_end_date >= planned_start_date),
+
     CONSTRAINT fk_houses_project
       FOREIGN KEY (project_id)
       REFERENCES app_projects(id)
@@ -130,6 +157,7 @@ CREATE TABLE app_activities (
     activity    TEXT NOT NULL,                
     dependance  JSONB,
     description TEXT,
+    planned_duration_days INT NOT NULL DEFAULT 1 CHECK (planned_duration_days >= 0),
     is_active   BOOLEAN NOT NULL DEFAULT TRUE
 );
 
@@ -196,6 +224,49 @@ CREATE INDEX idx_house_activities_status        ON app_house_activities(status);
 CREATE INDEX idx_house_activities_app_user      ON app_house_activities(app_user_id);
 CREATE INDEX idx_house_activities_approved_by   ON app_house_activities(approved_by_id);
 
+-- Planned dates of every house activity (see services/schedule.js). A
+-- house's activities are laid out back to back in master list order from
+-- its planned start (else its project's planned start, else the project's
+-- start date), each lasting its activity's planned_duration_days. When the
+-- house has a planned end, the durations are scaled to fit between the two.
+-- Windows are partitioned by project too, so filtering on project_id or
+-- house_id is pushed down into the view.
+CREATE VIEW app_house_activity_plan AS
+WITH laid_out AS (
+  SELECT
+    ha.id AS house_activity_id,
+    ha.house_id,
+    h.project_id,
+    COALESCE(h.planned_start_date, p.planned_start_date, p.start_date) AS house_start,
+    h.planned_end_date AS house_end,
+    a.planned_duration_days AS duration,
+    SUM(a.planned_duration_days) OVER w AS cumulative,
+    SUM(a.planned_duration_days) OVER (PARTITION BY h.project_id, ha.house_id) AS total,
+    ROW_NUMBER() OVER w AS plan_order
+  FROM app_house_activities ha
+  JOIN app_houses h ON h.id = ha.house_id
+  JOIN app_activities a ON a.id = ha.activity_id
+  LEFT JOIN app_projects p ON p.id = h.project_id
+  WINDOW w AS (PARTITION BY h.project_id, ha.house_id ORDER BY a.num, ha.id)
+), scaled AS (
+  SELECT
+    *,
+    CASE
+      WHEN house_end >= house_start AND total > 0
+        THEN (house_end - house_start)::numeric / total
+      ELSE 1::numeric
+    END AS scale
+  FROM laid_out
+)
+SELECT
+  house_activity_id,
+  house_id,
+  project_id,
+  plan_order::int AS plan_order,
+  house_start + ROUND((cumulative - duration) * scale)::int AS planned_start_date,
+  house_start + ROUND(cumulative * scale)::int AS planned_end_date
+FROM scaled;
+
 -- second merge point - added last_updated_at column to house_activties table: added trigger for app_projects
 -- Triggers to update last_updated_at timestamp
 CREATE OR REPLACE FUNCTION update_last_updated_at()
@@ -241,3 +312,354 @@ CREATE TABLE app_images (
 
 CREATE INDEX idx_images_ha_id    ON app_images(house_activity_id);
 CREATE INDEX idx_images_user_id  ON app_images(app_user_id);
+
+-- Refresh token families: one per login. Revoking a family invalidates its
+-- access tokens (JWT claim "fid") and every refresh token issued in it.
+CREATE TABLE app_token_families (
+    id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id        UUID NOT NULL,
+    method         TEXT,
+    ip_address     TEXT,
+    user_agent     TEXT,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at   TIMESTAMPTZ,
+    revoked_at     TIMESTAMPTZ,
+    revoked_reason TEXT,
+
+    CONSTRAINT fk_token_families_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_token_families_user_id ON app_token_families(user_id);
+
+-- Rotating refresh tokens (only the SHA-256 hash is stored)
+CREATE TABLE app_refresh_tokens (
+    id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    family_id   UUID NOT NULL,
+    user_id     UUID NOT NULL,
+    token_hash  TEXT NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_refresh_tokens_family
+      FOREIGN KEY (family_id)
+      REFERENCES app_token_families(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE,
+
+    CONSTRAINT fk_refresh_tokens_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_refresh_tokens_family_id ON app_refresh_tokens(family_id);
+CREATE INDEX idx_refresh_tokens_user_id   ON app_refresh_tokens(user_id);
+
+-- Single-use tokens sent to users out of band (password reset, ...)
+CREATE TABLE app_user_tokens (
+    id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id     UUID NOT NULL,
+    purpose     TEXT NOT NULL,
+    token_hash  TEXT NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_user_tokens_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_user_tokens_user_purpose ON app_user_tokens(user_id, purpose);
+
+-- Outgoing mail recorded by MAIL_DRIVER=db (development / tests)
+CREATE TABLE app_mail_outbox (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_address TEXT NOT NULL,
+    to_address   TEXT NOT NULL,
+    subject      TEXT NOT NULL,
+    text_body    TEXT,
+    html_body    TEXT,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_mail_outbox_to ON app_mail_outbox(to_address);
+
+-- Project membership (users assigned to a project and their role in it)
+CREATE TABLE app_project_members (
+    project_id  UUID NOT NULL,
+    user_id     UUID NOT NULL,
+    role        user_role NOT NULL DEFAULT 'surveyor',
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (project_id, user_id),
+
+    CONSTRAINT fk_project_members_project
+      FOREIGN KEY (project_id)
+      REFERENCES app_projects(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE,
+
+    CONSTRAINT fk_project_members_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_project_members_user_id ON app_project_members(user_id);
+
+-- Invitations sent by admins; the invited user stays inactive until accepted.
+-- user_id becomes NULL when a revoked invitation's pending user is removed.
+CREATE TABLE app_user_invitations (
+    id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id        UUID,
+    email          TEXT NOT NULL,
+    role           user_role NOT NULL,
+    invited_by_id  UUID,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_sent_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at     TIMESTAMPTZ NOT NULL,
+    accepted_at    TIMESTAMPTZ,
+    revoked_at     TIMESTAMPTZ,
+
+    CONSTRAINT fk_invitations_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE,
+
+    CONSTRAINT fk_invitations_invited_by
+      FOREIGN KEY (invited_by_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_invitations_user_id ON app_user_invitations(user_id);
+CREATE INDEX idx_invitations_email   ON app_user_invitations(email);
+
+-- 2FA recovery codes (SHA-256 hashes; each code works once)
+CREATE TABLE app_user_recovery_codes (
+    id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id     UUID NOT NULL,
+    code_hash   TEXT NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_recovery_codes_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_recovery_codes_user_id ON app_user_recovery_codes(user_id);
+
+-- Failed-attempt counters and lockouts for /auth endpoints
+-- (scope is 'ip' or 'account'; see services/auth-throttle.js)
+CREATE TABLE app_auth_throttle (
+    action          TEXT NOT NULL,
+    scope           TEXT NOT NULL,
+    key             TEXT NOT NULL,
+    failures        INTEGER NOT NULL DEFAULT 0,
+    last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until    TIMESTAMPTZ,
+
+    PRIMARY KEY (action, scope, key)
+);
+
+CREATE INDEX idx_auth_throttle_scope_key ON app_auth_throttle(scope, key);
+CREATE INDEX idx_auth_throttle_last_failure ON app_auth_throttle(last_failure_at);
+
+-- Sign-in attempts (successful or not) for login history
+CREATE TABLE app_login_events (
+    id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id        UUID,
+    email          TEXT,
+    method         TEXT NOT NULL,
+    ip_address     TEXT,
+    user_agent     TEXT,
+    success        BOOLEAN NOT NULL,
+    failure_reason TEXT,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_login_events_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_login_events_user_id    ON app_login_events(user_id, created_at);
+CREATE INDEX idx_login_events_created_at ON app_login_events(created_at);
+
+-- Long-lived API keys for integrations; only the SHA-256 of the key is stored
+CREATE TABLE app_api_keys (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID NOT NULL,
+    name          TEXT NOT NULL,
+    key_prefix    TEXT NOT NULL,
+    key_hash      TEXT NOT NULL UNIQUE,
+    read_only     BOOLEAN NOT NULL DEFAULT TRUE,
+    project_ids   UUID[],
+    expires_at    TIMESTAMPTZ,
+    last_used_at  TIMESTAMPTZ,
+    created_by_id UUID,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    revoked_at    TIMESTAMPTZ,
+
+    CONSTRAINT fk_api_keys_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE,
+    CONSTRAINT fk_api_keys_created_by
+      FOREIGN KEY (created_by_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_api_keys_user_id ON app_api_keys(user_id);
+
+-- External sign-in identities (Google, OIDC providers) linked to users
+CREATE TABLE app_user_identities (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID NOT NULL,
+    provider      TEXT NOT NULL,
+    subject       TEXT NOT NULL,
+    email         TEXT,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_login_at TIMESTAMPTZ,
+
+    CONSTRAINT uq_user_identities_provider_subject UNIQUE (provider, subject),
+    CONSTRAINT fk_user_identities_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_user_identities_user_id ON app_user_identities(user_id);
+
+-- Previous password hashes, so recent passwords cannot be reused
+CREATE TABLE app_password_history (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_password_history_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_password_history_user_id ON app_password_history(user_id, created_at);
+
+-- Per-user preferences (NULL = server default, see services/preferences.js)
+CREATE TABLE app_user_preferences (
+    user_id               UUID PRIMARY KEY,
+    locale                TEXT,
+    timezone              TEXT,
+    date_format           TEXT,
+    notification_channels TEXT[],
+    digest_frequency      TEXT,
+    last_digest_sent_at   TIMESTAMPTZ,
+    updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_user_preferences_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+-- What people did to house activities (see services/activity-events.js)
+CREATE TABLE app_activity_events (
+    id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id           UUID,
+    house_activity_id UUID,
+    project_id        UUID,
+    event_type        TEXT NOT NULL,
+    from_status       house_activity_status,
+    to_status         house_activity_status,
+    details           JSONB,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_activity_events_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE,
+    CONSTRAINT fk_activity_events_house_activity
+      FOREIGN KEY (house_activity_id)
+      REFERENCES app_house_activities(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE,
+    CONSTRAINT fk_activity_events_project
+      FOREIGN KEY (project_id)
+      REFERENCES app_projects(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX idx_activity_events_user_created ON app_activity_events(user_id, created_at);
+CREATE INDEX idx_activity_events_house_activity ON app_activity_events(house_activity_id);
+CREATE INDEX idx_activity_events_project_created ON app_activity_events(project_id, created_at);
+
+-- Project house counters are derived from app_houses (see services/project-counters.js)
+CREATE OR REPLACE FUNCTION refresh_project_house_counts(p_project_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF p_project_id IS NULL THEN
+    RETURN;
+  END IF;
+  -- Lock the project first, so the counts below see houses committed by
+  -- concurrent transactions that held the lock before us
+  PERFORM 1 FROM app_projects WHERE id = p_project_id FOR UPDATE;
+  UPDATE app_projects p
+     SET total_houses = c.total,
+         houses_completed = c.completed
+    FROM (
+      SELECT COUNT(*)::int AS total,
+             (COUNT(*) FILTER (WHERE status = 'completed'))::int AS completed
+        FROM app_houses
+       WHERE project_id = p_project_id
+    ) c
+   WHERE p.id = p_project_id
+     AND (p.total_houses, p.houses_completed) IS DISTINCT FROM (c.total, c.completed);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_project_house_counts()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM refresh_project_house_counts(NEW.project_id);
+  ELSIF TG_OP = 'DELETE' THEN
+    PERFORM refresh_project_house_counts(OLD.project_id);
+  ELSE
+    PERFORM refresh_project_house_counts(OLD.project_id);
+    IF NEW.project_id IS DISTINCT FROM OLD.project_id THEN
+      PERFORM refresh_project_house_counts(NEW.project_id);
+    END IF;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_houses_project_counts
+AFTER INSERT OR DELETE OR UPDATE OF project_id, status ON app_houses
+FOR EACH ROW
+EXECUTE FUNCTION update_project_house_counts();
@@ -0,0 +1,57 @@
+-- Migration: Add activity events
+-- Run this SQL script on your existing database before deploying /api/users/{id}/timeline
+
+-- What people did to house activities (see services/activity-events.js)
+CREATE TABLE IF NOT EXISTS app_activity_events (
+    id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id           UUID,
+    house_activity_id UUID,
+    project_id        UUID,
+    event_type        TEXT NOT NULL,
+    from_status       house_activity_status,
+    to_status         house_activity_status,
+    details           JSONB,
+    created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_activity_events_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE,
+    CONSTRAINT fk_activity_events_house_activity
+      FOREIGN KEY (house_activity_id)
+      REFERENCES app_house_activities(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE,
+    CONSTRAINT fk_activity_events_project
+      FOREIGN KEY (project_id)
+      REFERENCES app_projects(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_events_user_created ON app_activity_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_activity_events_house_activity ON app_activity_events(house_activity_id);
+
+-- Earlier image uploads and approvals are known from their own tables; status
+-- changes and remarks are only recorded from now on
+INSERT INTO app_activity_events (user_id, house_activity_id, project_id, event_type, details, created_at)
+SELECT i.app_user_id, i.house_activity_id, h.project_id, 'image_uploaded',
+       jsonb_build_object('imageId', i.id, 'url', i.url, 'caption', i.caption),
+       i.uploaded_at
+  FROM app_images i
+  JOIN app_house_activities ha ON ha.id = i.house_activity_id
+  LEFT JOIN app_houses h ON h.id = ha.house_id
+ WHERE i.app_user_id IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM app_activity_events e
+                    WHERE e.event_type = 'image_uploaded' AND e.details->>'imageId' = i.id::text);
+
+INSERT INTO app_activity_events (user_id, house_activity_id, project_id, event_type, details, created_at)
+SELECT ha.approved_by_id, ha.id, h.project_id, 'approved',
+       jsonb_build_object('approvedById', ha.approved_by_id),
+       ha.approved_at
+  FROM app_house_activities ha
+  LEFT JOIN app_houses h ON h.id = ha.house_id
+ WHERE ha.approved_by_id IS NOT NULL AND ha.approved_at IS NOT NULL
+   AND NOT EXISTS (SELECT 1 FROM app_activity_events e
+                    WHERE e.event_type = 'approved' AND e.house_activity_id = ha.id);
@@ -0,0 +1,34 @@
+-- Migration: Add service accounts and API keys
+-- Run this SQL script on your existing database before deploying /api/api-keys
+
+ALTER TABLE app_users
+ADD COLUMN IF NOT EXISTS is_service_account BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Long-lived API keys for integrations; only the SHA-256 of the key is stored
+CREATE TABLE IF NOT EXISTS app_api_keys (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID NOT NULL,
+    name          TEXT NOT NULL,
+    key_prefix    TEXT NOT NULL,
+    key_hash      TEXT NOT NULL UNIQUE,
+    read_only     BOOLEAN NOT NULL DEFAULT TRUE,
+    project_ids   UUID[],
+    expires_at    TIMESTAMPTZ,
+    last_used_at  TIMESTAMPTZ,
+    created_by_id UUID,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    revoked_at    TIMESTAMPTZ,
+
+    CONSTRAINT fk_api_keys_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE,
+    CONSTRAINT fk_api_keys_created_by
+      FOREIGN KEY (created_by_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON app_api_keys(user_id);
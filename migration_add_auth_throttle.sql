@@ -0,0 +1,18 @@
+-- Migration: Add failed-attempt tracking for brute-force protection
+-- Run this SQL script on your existing database before deploying the /auth rate limiting
+
+-- Failed-attempt counters and lockouts for /auth endpoints
+-- (scope is 'ip' or 'account'; see services/auth-throttle.js)
+CREATE TABLE IF NOT EXISTS app_auth_throttle (
+    action          TEXT NOT NULL,
+    scope           TEXT NOT NULL,
+    key             TEXT NOT NULL,
+    failures        INTEGER NOT NULL DEFAULT 0,
+    last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until    TIMESTAMPTZ,
+
+    PRIMARY KEY (action, scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_throttle_scope_key ON app_auth_throttle(scope, key);
+CREATE INDEX IF NOT EXISTS idx_auth_throttle_last_failure ON app_auth_throttle(last_failure_at);
@@ -0,0 +1,5 @@
+-- Migration: Add uploaded avatars
+-- Run this SQL script on your existing database before deploying /api/users/{id}/avatar
+
+ALTER TABLE app_users
+ADD COLUMN IF NOT EXISTS avatar_files JSONB;
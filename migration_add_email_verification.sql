@@ -0,0 +1,16 @@
+-- Migration: Add email verification
+-- Run this SQL script on your existing database before deploying /auth/verify-email
+
+ALTER TABLE app_users
+ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Existing accounts predate verification; treat them as verified so that
+-- EMAIL_VERIFICATION_MODE does not lock anyone out. Pending invitees are
+-- verified when they accept their invitation.
+UPDATE app_users
+   SET email_verified_at = created_at
+ WHERE email_verified_at IS NULL
+   AND id NOT IN (
+     SELECT user_id FROM app_user_invitations
+      WHERE accepted_at IS NULL AND revoked_at IS NULL
+   );
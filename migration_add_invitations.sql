@@ -0,0 +1,56 @@
+-- Migration: Add project membership and user invitations
+-- Run this SQL script on your existing database before deploying /api/users/invitations
+
+-- Project membership (users assigned to a project and their role in it)
+CREATE TABLE IF NOT EXISTS app_project_members (
+    project_id  UUID NOT NULL,
+    user_id     UUID NOT NULL,
+    role        user_role NOT NULL DEFAULT 'surveyor',
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (project_id, user_id),
+
+    CONSTRAINT fk_project_members_project
+      FOREIGN KEY (project_id)
+      REFERENCES app_projects(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE,
+
+    CONSTRAINT fk_project_members_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_members_user_id ON app_project_members(user_id);
+
+-- Invitations sent by admins; the invited user stays inactive until accepted.
+-- user_id becomes NULL when a revoked invitation's pending user is removed.
+CREATE TABLE IF NOT EXISTS app_user_invitations (
+    id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id        UUID,
+    email          TEXT NOT NULL,
+    role           user_role NOT NULL,
+    invited_by_id  UUID,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_sent_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at     TIMESTAMPTZ NOT NULL,
+    accepted_at    TIMESTAMPTZ,
+    revoked_at     TIMESTAMPTZ,
+
+    CONSTRAINT fk_invitations_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE,
+
+    CONSTRAINT fk_invitations_invited_by
+      FOREIGN KEY (invited_by_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitations_user_id ON app_user_invitations(user_id);
+CREATE INDEX IF NOT EXISTS idx_invitations_email   ON app_user_invitations(email);
@@ -0,0 +1,30 @@
+-- Migration: Add login history and session metadata
+-- Run this SQL script on your existing database before deploying /auth/sessions
+
+ALTER TABLE app_token_families
+ADD COLUMN IF NOT EXISTS method TEXT,
+ADD COLUMN IF NOT EXISTS ip_address TEXT,
+ADD COLUMN IF NOT EXISTS user_agent TEXT,
+ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ;
+
+-- Sign-in attempts (successful or not) for login history
+CREATE TABLE IF NOT EXISTS app_login_events (
+    id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id        UUID,
+    email          TEXT,
+    method         TEXT NOT NULL,
+    ip_address     TEXT,
+    user_agent     TEXT,
+    success        BOOLEAN NOT NULL,
+    failure_reason TEXT,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_login_events_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE SET NULL
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_events_user_id    ON app_login_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_events_created_at ON app_login_events(created_at);
@@ -0,0 +1,8 @@
+-- Migration: Add user offboarding
+-- Run this SQL script on your existing database before deploying /api/users/{id}/offboard
+
+ALTER TABLE app_users
+ADD COLUMN IF NOT EXISTS offboarded_at TIMESTAMPTZ;
+
+ALTER TABLE app_users
+ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
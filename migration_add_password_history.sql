@@ -0,0 +1,18 @@
+-- Migration: Add password history
+-- Run this SQL script on your existing database before deploying /auth/change-password
+
+-- Previous password hashes, so recent passwords cannot be reused
+CREATE TABLE IF NOT EXISTS app_password_history (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_password_history_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON app_password_history(user_id, created_at);
@@ -0,0 +1,34 @@
+-- Migration: Add single-use user tokens (password reset) and the mail outbox table
+-- Run this SQL script on your existing database before deploying /auth/forgot-password
+
+-- Single-use tokens sent to users out of band (password reset, ...)
+CREATE TABLE IF NOT EXISTS app_user_tokens (
+    id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id     UUID NOT NULL,
+    purpose     TEXT NOT NULL,
+    token_hash  TEXT NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_user_tokens_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON app_user_tokens(user_id, purpose);
+
+-- Outgoing mail recorded by MAIL_DRIVER=db (development / tests)
+CREATE TABLE IF NOT EXISTS app_mail_outbox (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_address TEXT NOT NULL,
+    to_address   TEXT NOT NULL,
+    subject      TEXT NOT NULL,
+    text_body    TEXT,
+    html_body    TEXT,
+    created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_outbox_to ON app_mail_outbox(to_address);
@@ -0,0 +1,16 @@
+-- Migration: Add project archiving
+-- Run this SQL script on your existing database before deploying /api/projects/{id}/archive
+
+ALTER TABLE app_projects
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS archived_by_id UUID;
+
+ALTER TABLE app_projects DROP CONSTRAINT IF EXISTS fk_projects_archived_by;
+ALTER TABLE app_projects
+ADD CONSTRAINT fk_projects_archived_by
+  FOREIGN KEY (archived_by_id)
+  REFERENCES app_users(id)
+  ON DELETE SET NULL
+  ON UPDATE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_projects_archived_at ON app_projects(archived_at);
@@ -0,0 +1,5 @@
+-- Migration: Add project dashboard index
+-- Run this SQL script on your existing database before deploying /api/projects/{id}/dashboard
+
+-- Recent activity of a project (see services/project-dashboard.js)
+CREATE INDEX IF NOT EXISTS idx_activity_events_project_created ON app_activity_events(project_id, created_at);
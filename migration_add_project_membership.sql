@@ -0,0 +1,15 @@
+-- Migration: Restrict houses, house activities and images to project members
+-- Run this SQL script on your existing database before deploying project-scoped access
+-- app_project_members was created by migration_add_invitations.sql. Non-admin
+-- users lose access to projects they are not a member of, so existing work is
+-- carried over: everyone assigned to or approving a house activity becomes a
+-- member of that house's project with their current global role.
+
+INSERT INTO app_project_members (project_id, user_id, role)
+SELECT DISTINCT h.project_id, u.id, u.role
+  FROM app_house_activities ha
+  JOIN app_houses h ON h.id = ha.house_id
+  JOIN app_users u ON u.id IN (ha.app_user_id, ha.approved_by_id)
+ WHERE h.project_id IS NOT NULL
+   AND u.role <> 'admin'
+ON CONFLICT (project_id, user_id) DO NOTHING;
@@ -0,0 +1,44 @@
+-- Migration: Add refresh token families and rotating refresh tokens
+-- Run this SQL script on your existing database before deploying /auth/refresh
+-- NOTE: access tokens issued before this migration are rejected; users must log in again
+
+CREATE TABLE IF NOT EXISTS app_token_families (
+    id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id        UUID NOT NULL,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    revoked_at     TIMESTAMPTZ,
+    revoked_reason TEXT,
+
+    CONSTRAINT fk_token_families_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_families_user_id ON app_token_families(user_id);
+
+CREATE TABLE IF NOT EXISTS app_refresh_tokens (
+    id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    family_id   UUID NOT NULL,
+    user_id     UUID NOT NULL,
+    token_hash  TEXT NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_refresh_tokens_family
+      FOREIGN KEY (family_id)
+      REFERENCES app_token_families(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE,
+
+    CONSTRAINT fk_refresh_tokens_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON app_refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id   ON app_refresh_tokens(user_id);
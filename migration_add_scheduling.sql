@@ -0,0 +1,64 @@
+-- Migration: Add project scheduling
+-- Run this SQL script on your existing database before deploying /api/projects/{id}/schedule
+
+ALTER TABLE app_projects
+ADD COLUMN IF NOT EXISTS planned_start_date DATE,
+ADD COLUMN IF NOT EXISTS planned_end_date DATE;
+
+ALTER TABLE app_houses
+ADD COLUMN IF NOT EXISTS planned_start_date DATE,
+ADD COLUMN IF NOT EXISTS planned_end_date DATE;
+
+ALTER TABLE app_activities
+ADD COLUMN IF NOT EXISTS planned_duration_days INT NOT NULL DEFAULT 1 CHECK (planned_duration_days >= 0);
+
+ALTER TABLE app_projects DROP CONSTRAINT IF EXISTS chk_projects_planned_dates;
+ALTER TABLE app_projects
+ADD CONSTRAINT chk_projects_planned_dates CHECK (planned_end_date >= planned_start_date);
+
+ALTER TABLE app_houses DROP CONSTRAINT IF EXISTS chk_houses_planned_dates;
+ALTER TABLE app_houses
+ADD CONSTRAINT chk_houses_planned_dates CHECK (planned_end_date >= planned_start_date);
+
+-- Planned dates of every house activity (see services/schedule.js). A
+-- house's activities are laid out back to back in master list order from
+-- its planned start (else its project's planned start, else the project's
+-- start date), each lasting its activity's planned_duration_days. When the
+-- house has a planned end, the durations are scaled to fit between the two.
+-- Windows are partitioned by project too, so filtering on project_id or
+-- house_id is pushed down into the view.
+CREATE OR REPLACE VIEW app_house_activity_plan AS
+WITH laid_out AS (
+  SELECT
+    ha.id AS house_activity_id,
+    ha.house_id,
+    h.project_id,
+    COALESCE(h.planned_start_date, p.planned_start_date, p.start_date) AS house_start,
+    h.planned_end_date AS house_end,
+    a.planned_duration_days AS duration,
+    SUM(a.planned_duration_days) OVER w AS cumulative,
+    SUM(a.planned_duration_days) OVER (PARTITION BY h.project_id, ha.house_id) AS total,
+    ROW_NUMBER() OVER w AS plan_order
+  FROM app_house_activities ha
+  JOIN app_houses h ON h.id = ha.house_id
+  JOIN app_activities a ON a.id = ha.activity_id
+  LEFT JOIN app_projects p ON p.id = h.project_id
+  WINDOW w AS (PARTITION BY h.project_id, ha.house_id ORDER BY a.num, ha.id)
+), scaled AS (
+  SELECT
+    *,
+    CASE
+      WHEN house_end >= house_start AND total > 0
+        THEN (house_end - house_start)::numeric / total
+      ELSE 1::numeric
+    END AS scale
+  FROM laid_out
+)
+SELECT
+  house_activity_id,
+  house_id,
+  project_id,
+  plan_order::int AS plan_order,
+  house_start + ROUND((cumulative - duration) * scale)::int AS planned_start_date,
+  house_start + ROUND(cumulative * scale)::int AS planned_end_date
+FROM scaled;
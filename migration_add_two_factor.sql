@@ -0,0 +1,24 @@
+-- Migration: Add TOTP two-factor authentication
+-- Run this SQL script on your existing database before deploying /auth/2fa
+
+ALTER TABLE app_users
+ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+-- 2FA recovery codes (SHA-256 hashes; each code works once)
+CREATE TABLE IF NOT EXISTS app_user_recovery_codes (
+    id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id     UUID NOT NULL,
+    code_hash   TEXT NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_recovery_codes_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON app_user_recovery_codes(user_id);
@@ -0,0 +1,23 @@
+-- Migration: Add linked sign-in identities for Google and OIDC providers
+-- Run this SQL script on your existing database before deploying /auth/oidc
+-- Existing Google users are linked automatically on their next sign-in.
+
+-- External sign-in identities (Google, OIDC providers) linked to users
+CREATE TABLE IF NOT EXISTS app_user_identities (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID NOT NULL,
+    provider      TEXT NOT NULL,
+    subject       TEXT NOT NULL,
+    email         TEXT,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_login_at TIMESTAMPTZ,
+
+    CONSTRAINT uq_user_identities_provider_subject UNIQUE (provider, subject),
+    CONSTRAINT fk_user_identities_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON app_user_identities(user_id);
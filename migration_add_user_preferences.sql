@@ -0,0 +1,23 @@
+-- Migration: Add user preferences
+-- Run this SQL script on your existing database before deploying /api/users/me/preferences
+
+-- Per-user preferences (NULL = server default, see services/preferences.js)
+CREATE TABLE IF NOT EXISTS app_user_preferences (
+    user_id               UUID PRIMARY KEY,
+    locale                TEXT,
+    timezone              TEXT,
+    date_format           TEXT,
+    notification_channels TEXT[],
+    digest_frequency      TEXT,
+    last_digest_sent_at   TIMESTAMPTZ,
+    updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fk_user_preferences_user
+      FOREIGN KEY (user_id)
+      REFERENCES app_users(id)
+      ON DELETE CASCADE
+      ON UPDATE CASCADE
+);
+
+-- Databases that already had the table (see services/notification-digest.js)
+ALTER TABLE app_user_preferences ADD COLUMN IF NOT EXISTS last_digest_sent_at TIMESTAMPTZ;
@@ -0,0 +1,52 @@
+-- Migration: Derive project house counters from houses
+-- Run this SQL script on your existing database before deploying /api/projects/{id}/recalculate
+
+-- Project house counters are derived from app_houses (see services/project-counters.js)
+CREATE OR REPLACE FUNCTION refresh_project_house_counts(p_project_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF p_project_id IS NULL THEN
+    RETURN;
+  END IF;
+  -- Lock the project first, so the counts below see houses committed by
+  -- concurrent transactions that held the lock before us
+  PERFORM 1 FROM app_projects WHERE id = p_project_id FOR UPDATE;
+  UPDATE app_projects p
+     SET total_houses = c.total,
+         houses_completed = c.completed
+    FROM (
+      SELECT COUNT(*)::int AS total,
+             (COUNT(*) FILTER (WHERE status = 'completed'))::int AS completed
+        FROM app_houses
+       WHERE project_id = p_project_id
+    ) c
+   WHERE p.id = p_project_id
+     AND (p.total_houses, p.houses_completed) IS DISTINCT FROM (c.total, c.completed);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_project_house_counts()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM refresh_project_house_counts(NEW.project_id);
+  ELSIF TG_OP = 'DELETE' THEN
+    PERFORM refresh_project_house_counts(OLD.project_id);
+  ELSE
+    PERFORM refresh_project_house_counts(OLD.project_id);
+    IF NEW.project_id IS DISTINCT FROM OLD.project_id THEN
+      PERFORM refresh_project_house_counts(NEW.project_id);
+    END IF;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_houses_project_counts ON app_houses;
+CREATE TRIGGER trg_houses_project_counts
+AFTER INSERT OR DELETE OR UPDATE OF project_id, status ON app_houses
+FOR EACH ROW
+EXECUTE FUNCTION update_project_house_counts();
+
+-- Bring every project in line with its houses
+SELECT refresh_project_house_counts(id) FROM app_projects;
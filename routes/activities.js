@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
-const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
+const { pool, authenticateJwt, generateUUID } = require("./utils");
+const { requirePermission } = require("../services/permissions");
 
 /**
  * @swagger
@@ -37,6 +38,7 @@ router.get("/", authenticateJwt, async (req, res) => {
         activity,
         dependance,
         description,
+        planned_duration_days AS "plannedDurationDays",
         is_active AS "isActive"
       FROM app_activities
       WHERE 1=1`;
@@ -94,6 +96,7 @@ router.get("/:id", authenticateJwt, async (req, res) => {
          activity,
          dependance,
          description,
+         planned_duration_days AS "plannedDurationDays",
          is_active AS "isActive"
        FROM app_activities
        WHERE id = $1`,
@@ -113,7 +116,7 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  * /api/activities:
  *   post:
  *     summary: Create new activity
- *     description: Create a new activity in the master list (admin or reviewer only)
+ *     description: Create a new activity in the master list (requires activity.create)
  *     tags: [Activities]
  *     security:
  *       - bearerAuth: []
@@ -142,6 +145,11 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *                   type: string
  *               description:
  *                 type: string
+ *               plannedDurationDays:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 1
+ *                 description: Planned duration in days of this activity on each house, used to schedule house activities
  *               isActive:
  *                 type: boolean
  *                 default: true
@@ -154,7 +162,7 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin or Reviewer role required
+ *         description: Forbidden - Missing activity.create permission
  *       409:
  *         description: Activity with this num already exists
  *       500:
@@ -163,7 +171,7 @@ router.get("/:id", authenticateJwt, async (req, res) => {
 router.post(
   "/",
   authenticateJwt,
-  requireRole("admin", "reviewer"),
+  requirePermission("activity.create"),
   async (req, res) => {
     try {
       const {
@@ -173,6 +181,7 @@ router.post(
         dependance,
         activity,
         description,
+        plannedDurationDays = 1,
         isActive = true,
       } = req.body;
 
@@ -182,14 +191,20 @@ router.post(
         });
       }
 
+      if (!Number.isInteger(plannedDurationDays) || plannedDurationDays < 0) {
+        return res.status(400).json({
+          error: "plannedDurationDays must be a non-negative integer",
+        });
+      }
+
       const id = generateUUID();
       const dependanceJson = dependance ? JSON.stringify(dependance) : null;
       const isActiveValue =
         typeof isActive === "boolean" ? isActive : true;
 
       await pool.query(
-        `INSERT INTO app_activities (id, num, phase, sub_phase, activity, dependance, description, is_active) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        `INSERT INTO app_activities (id, num, phase, sub_phase, activity, dependance, description, planned_duration_days, is_active) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
         [
           id,
           num,
@@ -198,6 +213,7 @@ router.post(
           activity,
           dependanceJson,
           description,
+          plannedDurationDays,
           isActiveValue,
         ]
       );
@@ -211,6 +227,7 @@ router.post(
            activity,
            dependance,
            description,
+           planned_duration_days AS "plannedDurationDays",
            is_active AS "isActive"
          FROM app_activities
          WHERE id = $1`,
@@ -233,7 +250,7 @@ router.post(
  * /api/activities/{id}:
  *   put:
  *     summary: Update activity
- *     description: Update an activity in the master list (admin or reviewer only)
+ *     description: Update an activity in the master list (requires activity.update)
  *     tags: [Activities]
  *     security:
  *       - bearerAuth: []
@@ -265,6 +282,9 @@ router.post(
  *                   type: string
  *               description:
  *                 type: string
+ *               plannedDurationDays:
+ *                 type: integer
+ *                 minimum: 0
  *               isActive:
  *                 type: boolean
  *                 description: Whether the activity is active
@@ -276,7 +296,7 @@ router.post(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin or Reviewer role required
+ *         description: Forbidden - Missing activity.update permission
  *       404:
  *         description: Activity not found
  *       409:
@@ -287,7 +307,7 @@ router.post(
 router.put(
   "/:id",
   authenticateJwt,
-  requireRole("admin", "reviewer"),
+  requirePermission("activity.update"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -298,6 +318,7 @@ router.put(
         activity,
         dependance,
         description,
+        plannedDurationDays,
         isActive,
       } = req.body;
 
@@ -347,6 +368,15 @@ router.put(
         values.push(description);
         updates.push(`description = $${values.length}`);
       }
+      if (plannedDurationDays !== undefined) {
+        if (!Number.isInteger(plannedDurationDays) || plannedDurationDays < 0) {
+          return res.status(400).json({
+            error: "plannedDurationDays must be a non-negative integer",
+          });
+        }
+        values.push(plannedDurationDays);
+        updates.push(`planned_duration_days = $${values.length}`);
+      }
       if (typeof isActive === "boolean") {
         values.push(isActive);
         updates.push(`is_active = $${values.length}`);
@@ -371,6 +401,7 @@ router.put(
            activity,
            dependance,
            description,
+           planned_duration_days AS "plannedDurationDays",
            is_active AS "isActive"
          FROM app_activities
          WHERE id = $1`,
@@ -393,7 +424,7 @@ router.put(
  * /api/activities/{id}:
  *   delete:
  *     summary: Delete activity
- *     description: Delete an activity from the master list (admin only, cannot delete if referenced by house activities)
+ *     description: Delete an activity from the master list (requires activity.delete, cannot delete if referenced by house activities)
  *     tags: [Activities]
  *     security:
  *       - bearerAuth: []
@@ -412,7 +443,7 @@ router.put(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin role required
+ *         description: Forbidden - Missing activity.delete permission
  *       404:
  *         description: Activity not found
  *       500:
@@ -421,7 +452,7 @@ router.put(
 router.delete(
   "/:id",
   authenticateJwt,
-  requireRole("admin"),
+  requirePermission("activity.delete"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -0,0 +1,343 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateJwt } = require("./utils");
+const {
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+} = require("../services/api-keys");
+const { requirePermission } = require("../services/permissions");
+
+const canManageKeys = requirePermission("serviceAccount.manage");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: API Keys
+ *     description: Long-lived keys for integrations and service accounts
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         userId: { type: string }
+ *         userEmail: { type: string }
+ *         isServiceAccount: { type: boolean }
+ *         name: { type: string, example: BI dashboard }
+ *         keyPrefix: { type: string, example: csk_a1B2c3, description: First characters of the key, to recognise it }
+ *         readOnly: { type: boolean }
+ *         projectIds:
+ *           type: array
+ *           nullable: true
+ *           items: { type: string }
+ *           description: Projects the key is limited to; null means every project
+ *         expiresAt: { type: string, format: date-time, nullable: true }
+ *         lastUsedAt: { type: string, format: date-time, nullable: true }
+ *         createdById: { type: string }
+ *         createdAt: { type: string, format: date-time }
+ *         revokedAt: { type: string, format: date-time, nullable: true }
+ *         status: { type: string, enum: [active, expired, revoked] }
+ */
+
+function validateScope({ readOnly, projectIds, expiresAt }) {
+  if (readOnly !== undefined && typeof readOnly !== "boolean") {
+    return "readOnly must be a boolean";
+  }
+  if (
+    projectIds !== undefined &&
+    projectIds !== null &&
+    !Array.isArray(projectIds)
+  ) {
+    return "projectIds must be an array or null";
+  }
+  if (
+    expiresAt !== undefined &&
+    expiresAt !== null &&
+    isNaN(new Date(expiresAt).getTime())
+  ) {
+    return "expiresAt must be a date";
+  }
+  return null;
+}
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys (serviceAccount.manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema: { type: string }
+ *         description: Only keys of this user
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [active, expired, revoked, all], default: active }
+ *     responses:
+ *       200:
+ *         description: API keys (never the secret)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get("/", authenticateJwt, canManageKeys, async (req, res) => {
+  try {
+    const { userId, status = "active" } = req.query;
+    if (!["active", "expired", "revoked", "all"].includes(status)) {
+      return res.status(400).json({
+        error: "Invalid status. Must be active, expired, revoked, or all",
+      });
+    }
+    const apiKeys = await listApiKeys({ userId: userId || null, status });
+    res.json({ apiKeys });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get an API key (serviceAccount.manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id", authenticateJwt, canManageKeys, async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.id);
+    if (!apiKey) return res.status(404).json({ error: "API key not found" });
+    res.json({ apiKey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key (serviceAccount.manage)
+ *     description: >
+ *       The key acts as its user, which must be a service account (see
+ *       POST /api/users/service-accounts), within the given scope. The plain
+ *       key is only returned in this response.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, name]
+ *             properties:
+ *               userId: { type: string }
+ *               name: { type: string, example: Scheduling spreadsheet }
+ *               readOnly: { type: boolean, default: true }
+ *               projectIds:
+ *                 type: array
+ *                 nullable: true
+ *                 items: { type: string }
+ *               expiresAt: { type: string, format: date-time, nullable: true }
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *                 key:
+ *                   type: string
+ *                   description: The secret to send as X-API-Key; store it now
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is inactive or not a service account
+ *       500:
+ *         description: Server error
+ */
+router.post("/", authenticateJwt, canManageKeys, async (req, res) => {
+  try {
+    const { userId, name, readOnly = true, projectIds = null, expiresAt = null } =
+      req.body;
+    if (!userId || !name) {
+      return res.status(400).json({ error: "userId and name are required" });
+    }
+    const invalid = validateScope({ readOnly, projectIds, expiresAt });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const created = await createApiKey({
+      userId,
+      name,
+      readOnly,
+      projectIds,
+      expiresAt,
+      createdById: req.jwtUser.id,
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   put:
+ *     summary: Update an API key's name, scope or expiry (serviceAccount.manage)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               readOnly: { type: boolean }
+ *               projectIds:
+ *                 type: array
+ *                 nullable: true
+ *                 items: { type: string }
+ *               expiresAt: { type: string, format: date-time, nullable: true }
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: API key is revoked or its user is not a service account
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id", authenticateJwt, canManageKeys, async (req, res) => {
+  try {
+    const { name, readOnly, projectIds, expiresAt } = req.body;
+    const invalid = validateScope({ readOnly, projectIds, expiresAt });
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const apiKey = await updateApiKey(req.params.id, {
+      name,
+      readOnly,
+      projectIds,
+      expiresAt,
+    });
+    res.json({ apiKey });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (serviceAccount.manage)
+ *     description: The key stops working immediately; the record is kept.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKey:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/:id",
+  authenticateJwt,
+  canManageKeys,
+  async (req, res) => {
+    try {
+      const apiKey = await revokeApiKey(req.params.id);
+      res.json({ apiKey });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,13 +2,85 @@ const express = require("express");
 const router = express.Router();
 const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
+const { Strategy: OidcStrategy } = require("openid-client");
 const bcrypt = require("bcryptjs");
 const {
   pool,
-  generateJwtToken,
   authenticateJwt,
   generateUUID,
 } = require("./utils");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserTokens,
+  revokeOtherUserTokens,
+  listActiveSessions,
+  revokeSession,
+} = require("../services/tokens");
+const {
+  requestContext,
+  recordLoginEvent,
+  listLoginEvents,
+} = require("../services/login-events");
+const { createUserToken, consumeUserToken } = require("../services/user-tokens");
+const { sendMail } = require("../services/mail");
+const { renderMail } = require("../services/mail-templates");
+const { getPreferences } = require("../services/preferences");
+const {
+  SELF_REGISTRATION_ROLE,
+  getRegistrationPolicy,
+  checkSelfRegistration,
+} = require("../services/registration-policy");
+const {
+  acceptInvitation,
+  hasPendingInvitation,
+} = require("../services/invitations");
+const {
+  isTwoFactorRequired,
+  createMfaChallenge,
+  verifyMfaChallenge,
+  getTwoFactorState,
+  beginEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+} = require("../services/two-factor");
+const { authRateLimit } = require("../services/auth-throttle");
+const {
+  resolveFederatedUser,
+  listIdentities,
+  unlinkIdentity,
+} = require("../services/identities");
+const {
+  getOidcProviders,
+  getOidcProvider,
+  getOidcClient,
+  mapClaims,
+} = require("../services/oidc");
+const {
+  startHandoff,
+  takeHandoff,
+  buildRedirect,
+  createHandoffCode,
+  consumeHandoffCode,
+} = require("../services/oauth-handoff");
+const {
+  mayLogIn,
+  sendVerificationEmail,
+  verifyEmail,
+} = require("../services/email-verification");
+const {
+  getPasswordPolicy,
+  checkPassword,
+  setUserPassword,
+} = require("../services/password-policy");
+
+const PASSWORD_RESET_URL =
+  process.env.PASSWORD_RESET_URL || "http://localhost:5173/reset-password";
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
 
 // Helper: DB row -> API user shape (now includes userImage)
 function toUser(row) {
@@ -20,21 +92,109 @@ function toUser(row) {
     userImage: row.userImage || "",
     role: row.role,
     isActive: !!row.isActive,
+    emailVerified: !!row.emailVerifiedAt,
+    twoFactorEnabled: !!row.totpEnabledAt,
   };
 }
 
 // Helper: get user by ID
 async function getUserById(id) {
   const [rows] = await pool.execute(
-    `SELECT id, email, firstName, lastName, userImage, role, isActive
+    `SELECT id, email, firstName, lastName, userImage, role, isActive, emailVerifiedAt, totpEnabledAt
      FROM app_users WHERE id = ?`,
     [id]
   );
   return rows[0] || null;
 }
 
+// Helper: start a session (token family) and log the successful sign-in
+async function startSession(user, req, method) {
+  const context = requestContext(req, method);
+  const tokens = await issueTokens(user, context);
+  await recordLoginEvent({
+    ...context,
+    userId: user.id,
+    email: user.email,
+    success: true,
+  });
+  return { ...tokens, user: toUser(user) };
+}
+
+// Helper: finish a first-factor login. Returns tokens, or a challenge when
+// the user has 2FA enabled (mfaRequired) or their role requires it but they
+// have not enrolled yet (mfaEnrollmentRequired).
+async function completeLogin(user, req, method) {
+  if (user.totpEnabledAt) {
+    return {
+      mfaRequired: true,
+      challengeToken: createMfaChallenge(user, "mfa_verify", method),
+    };
+  }
+  if (isTwoFactorRequired(user)) {
+    return {
+      mfaEnrollmentRequired: true,
+      challengeToken: createMfaChallenge(user, "mfa_enroll", method),
+    };
+  }
+  return startSession(user, req, method);
+}
+
+// Helper: log a rejected sign-in attempt
+function recordLoginFailure(req, method, { userId = null, email = null, reason }) {
+  return recordLoginEvent({
+    ...requestContext(req, method),
+    userId,
+    email,
+    success: false,
+    failureReason: reason,
+  });
+}
+
+// Middleware: bearer token, or an enrollment challengeToken in the body for
+// users that must enroll in 2FA before they can get one
+async function authenticateJwtOrEnrollment(req, res, next) {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) return authenticateJwt(req, res, next);
+
+  try {
+    const challenge = verifyMfaChallenge(challengeToken, "mfa_enroll");
+    if (!challenge)
+      return res.status(401).json({ error: "Invalid or expired challenge token" });
+
+    const [users] = await pool.execute("SELECT * FROM app_users WHERE id = ?", [
+      challenge.userId,
+    ]);
+    if (users.length === 0 || !users[0].isActive)
+      return res.status(401).json({ error: "Invalid or expired challenge token" });
+
+    req.jwtUser = users[0];
+    req.mfaEnrollment = challenge;
+    next();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+}
+
+// Helper: passport verify step shared by Google and the OIDC providers
+async function verifyFederated(req, method, identity, done) {
+  try {
+    const { user, failure } = await resolveFederatedUser(identity);
+    if (failure) {
+      await recordLoginFailure(req, method, {
+        userId: failure.userId || null,
+        email: identity.email,
+        reason: failure.reason,
+      });
+      return done(null, false, { message: failure.message });
+    }
+    return done(null, user);
+  } catch (err) {
+    return done(err, null);
+  }
+}
+
 // ──────────────────────────────────────────────────────────────
-// Google OAuth (unchanged flow; now captures/stores photo as userImage)
+// Google OAuth (users are matched by linked identity, then by email)
 // ──────────────────────────────────────────────────────────────
 if (!passport._strategies.google) {
   passport.use(
@@ -43,50 +203,179 @@ if (!passport._strategies.google) {
         clientID: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
         callbackURL: "/auth/google/callback",
+        passReqToCallback: true,
       },
-      async (accessToken, refreshToken, profile, done) => {
-        try {
-          const email =
-            profile.emails?.[0]?.value;
-          if (!email)
-            return done(new Error("Google profile missing email"), null);
-
-          const [existing] = await pool.execute(
-            "SELECT * FROM app_users WHERE email = ?",
-            [email]
-          );
-          if (existing.length > 0) return done(null, existing[0]);
-
-          const first =
-            profile.name?.givenName || "";
-          const last =
-            profile.name?.familyName || "";
-          const photo =
-            profile.photos?.[0]?.value || null;
-
-          const id = generateUUID();
-          await pool.execute(
-            `INSERT INTO app_users (id, email, firstName, lastName, userImage, role, isActive)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            [id, email, first, last, photo, "surveyor", 1]
-          );
-
-          const user = await getUserById(id);
-          return done(null, user);
-        } catch (err) {
-          return done(err, null);
-        }
-      }
+      (req, accessToken, refreshToken, profile, done) =>
+        verifyFederated(
+          req,
+          "google",
+          {
+            provider: "google",
+            subject: profile.id,
+            email: profile.emails?.[0]?.value || null,
+            emailVerified: profile.emails?.[0]?.verified !== false,
+            firstName: profile.name?.givenName || "",
+            lastName: profile.name?.familyName || "",
+            userImage: profile.photos?.[0]?.value || null,
+            defaultRole: SELF_REGISTRATION_ROLE,
+          },
+          done
+        )
     )
   );
 }
 
+// ──────────────────────────────────────────────────────────────
+// Generic OpenID Connect providers (see services/oidc.js). Strategies are
+// registered as "oidc-<id>" on first use, once discovery has succeeded.
+// ──────────────────────────────────────────────────────────────
+const oidcStrategies = new Map();
+
+function ensureOidcStrategy(provider) {
+  const name = `oidc-${provider.id}`;
+  if (!oidcStrategies.has(name)) {
+    const promise = getOidcClient(provider)
+      .then((client) => {
+        passport.use(
+          name,
+          new OidcStrategy(
+            {
+              client,
+              params: { scope: provider.scope },
+              passReqToCallback: true,
+            },
+            (req, tokenSet, userinfo, done) => {
+              const claims = { ...tokenSet.claims(), ...userinfo };
+              return verifyFederated(
+                req,
+                `oidc:${provider.id}`,
+                {
+                  provider: provider.id,
+                  ...mapClaims(provider, claims),
+                  defaultRole: provider.defaultRole,
+                },
+                done
+              );
+            }
+          )
+        );
+        return name;
+      })
+      .catch((err) => {
+        oidcStrategies.delete(name);
+        throw err;
+      });
+    oidcStrategies.set(name, promise);
+  }
+  return oidcStrategies.get(name);
+}
+
+// Middleware: resolve :provider and hand over to its passport strategy.
+// callback(req, res, next) receives (err, user, info) like passport's
+// custom callbacks; without it passport redirects to the provider. options
+// go to passport.authenticate (e.g. the handoff state).
+function authenticateOidc(callback, options = {}) {
+  return async (req, res, next) => {
+    let provider;
+    try {
+      provider = getOidcProvider(req.params.provider);
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+    if (!provider) {
+      return res.status(404).json({ error: "Unknown sign-in provider" });
+    }
+
+    let name;
+    try {
+      name = await ensureOidcStrategy(provider);
+    } catch (e) {
+      return res
+        .status(502)
+        .json({ error: `Could not reach ${provider.displayName}` });
+    }
+    const handler = callback
+      ? (err, user, info) => callback(req, res, next, { err, user, info, provider })
+      : undefined;
+    return passport.authenticate(name, { ...options, session: false }, handler)(
+      req,
+      res,
+      next
+    );
+  };
+}
+
+/**
+ * @swagger
+ * /auth/registration-policy:
+ *   get:
+ *     summary: Get the self-registration policy
+ *     description: Lets the frontend decide whether to show the sign-up form.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mode: { type: string, enum: [open, invite_only, closed] }
+ *                 allowedDomains: { type: array, items: { type: string } }
+ *                 defaultRole: { type: string, example: surveyor }
+ *       500:
+ *         description: Server error
+ */
+router.get("/registration-policy", (req, res) => {
+  try {
+    return res.json(getRegistrationPolicy());
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/password-policy:
+ *   get:
+ *     summary: Get the password policy
+ *     description: Lets the frontend explain and pre-check password rules. The server enforces them on every password change.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 minLength: { type: integer, example: 8 }
+ *                 maxBytes: { type: integer, example: 72 }
+ *                 minCharacterClasses: { type: integer, example: 2, description: "Of lowercase, uppercase, digits and symbols" }
+ *                 blockCommon: { type: boolean }
+ *                 history: { type: integer, example: 5, description: "How many previous passwords cannot be reused" }
+ */
+router.get("/password-policy", (req, res) => {
+  return res.json(getPasswordPolicy());
+});
+
 /**
  * @swagger
  * /auth/register:
  *   post:
  *     summary: Register a new user
- *     description: Creates a new user (or upgrades an OAuth-only user) and returns a JWT.
+ *     description: >
+ *       Self-registration, subject to the registration policy (REGISTRATION_MODE
+ *       and REGISTRATION_ALLOWED_DOMAINS). New accounts are always active
+ *       surveyors with an unverified email; a confirmation link is emailed to
+ *       them. With EMAIL_VERIFICATION_MODE=login no tokens are returned
+ *       (`emailVerificationRequired: true`) until the address is confirmed
+ *       through POST /auth/verify-email. If the email belongs to an account
+ *       created through Google,
+ *       the request is refused with `linkRequired: true`; sign in with Google
+ *       and call POST /auth/link-password instead.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -95,14 +384,13 @@ if (!passport._strategies.google) {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [firstName, lastName, email, password, role]
+ *             required: [firstName, lastName, email, password]
  *             properties:
  *               firstName: { type: string, example: "John" }
  *               lastName:  { type: string, example: "Doe" }
  *               email:      { type: string, format: email, example: "john@example.com" }
  *               password:   { type: string, format: password, example: "password123" }
- *               role:       { type: string, enum: [surveyor, reviewer, admin], example: "surveyor" }
- *               isActive:  { type: boolean, example: true }
+ *               role:       { type: string, enum: [surveyor], description: "Optional; any other role is rejected" }
  *               userImage: { type: string, example: "https://cdn.example.com/u/john.jpg" }
  *     responses:
  *       201:
@@ -112,7 +400,10 @@ if (!passport._strategies.google) {
  *             schema:
  *               type: object
  *               properties:
- *                 token: { type: string }
+ *                 emailVerificationRequired: { type: boolean, description: Present instead of the tokens when the email must be confirmed first }
+ *                 token: { type: string, description: Short-lived access token }
+ *                 refreshToken: { type: string, description: Single-use token for POST /auth/refresh }
+ *                 expiresIn: { type: integer, description: Access token lifetime in seconds }
  *                 user:
  *                   type: object
  *                   properties:
@@ -124,89 +415,234 @@ if (!passport._strategies.google) {
  *                     role: { type: string }
  *                     isActive: { type: boolean }
  *       400:
- *         description: Missing required fields or invalid role
+ *         description: Missing required fields, a role other than surveyor, or a password that breaks the password policy
+ *       403:
+ *         description: Registration closed, invitation only, or email domain not allowed
  *       409:
- *         description: Email already registered
+ *         description: Email already registered (linkRequired is true for Google accounts)
+ *       429:
+ *         description: Too many attempts; see the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post("/register", async (req, res) => {
+router.post("/register", authRateLimit("register"), async (req, res) => {
   try {
+    // Every sign-up attempt counts against the caller's IP
+    await req.authThrottle.fail();
+
     const {
       firstName,
       lastName,
       email,
       password,
-      role,
-      isActive = true,
+      role = SELF_REGISTRATION_ROLE,
       userImage = null,
     } = req.body || {};
-    if (!firstName || !lastName || !email || !password || !role) {
+    if (!firstName || !lastName || !email || !password) {
       return res.status(400).json({
-        error: "firstName, lastName, email, password, and role are required",
+        error: "firstName, lastName, email, and password are required",
       });
     }
-    // security problem: admin role assignment should be restricted
-    if (!["surveyor", "reviewer", "admin"].includes(role)) {
-      return res
-        .status(400)
-        .json({ error: "Invalid role. Must be surveyor, reviewer, or admin" });
+    if (role !== SELF_REGISTRATION_ROLE) {
+      return res.status(400).json({
+        error: `Self-registered accounts are always ${SELF_REGISTRATION_ROLE}s; ask an admin for another role`,
+      });
+    }
+
+    const rejection = checkSelfRegistration(email);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+    const passwordProblem = checkPassword(password, { email, firstName, lastName });
+    if (passwordProblem) {
+      return res.status(400).json({ error: passwordProblem });
     }
 
     const [byEmail] = await pool.execute(
-      "SELECT * FROM app_users WHERE email = ?",
+      "SELECT id, passwordHash FROM app_users WHERE email = ?",
       [email]
     );
-    const pwdHash = await bcrypt.hash(password, 12);
-    let id;
-
     if (byEmail.length > 0 && byEmail[0].passwordHash) {
       return res.status(409).json({ error: "Email already registered" });
     }
-
-    const active = !!isActive;
-
+    if (byEmail.length > 0 && (await hasPendingInvitation(email))) {
+      return res.status(409).json({
+        error:
+          "This email has a pending invitation. Use the link in the invitation email.",
+      });
+    }
     if (byEmail.length > 0) {
-      // Upgrade existing OAuth-only row
-      id = byEmail[0].id;
-      await pool.execute(
-        `UPDATE app_users
-           SET firstName = ?, lastName = ?, userImage = ?, passwordHash = ?, role = ?, isActive = ?
-         WHERE id = ?`,
-        [ firstName, lastName, userImage, pwdHash, role, active, id ]
-      );
-    } else {
-      id = generateUUID();
-      await pool.execute(
-        `INSERT INTO app_users 
-        (id, email, firstName, lastName, userImage, passwordHash, role, isActive)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          id,
-          email,
-          firstName,
-          lastName,
-          userImage,
-          pwdHash,
-          role,
-          active
-        ]
-      );
+      // OAuth-only account: the caller has to prove they own it first
+      return res.status(409).json({
+        error:
+          "This email is linked to an external sign-in (Google or single sign-on). Sign in with it and set a password from your profile.",
+        linkRequired: true,
+      });
     }
 
+    const pwdHash = await bcrypt.hash(password, 12);
+    const id = generateUUID();
+    await pool.execute(
+      `INSERT INTO app_users 
+      (id, email, firstName, lastName, userImage, passwordHash, role, isActive)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        email,
+        firstName,
+        lastName,
+        userImage,
+        pwdHash,
+        SELF_REGISTRATION_ROLE,
+        true
+      ]
+    );
+
     const user = await getUserById(id);
-    const token = generateJwtToken(user);
-    return res.status(201).json({ token, user: toUser(user) });
+    await sendVerificationEmail(user);
+    if (!mayLogIn(user)) {
+      return res.status(201).json({
+        message: "Check your inbox to confirm your email address, then sign in",
+        emailVerificationRequired: true,
+        user: toUser(user),
+      });
+    }
+    return res.status(201).json(await completeLogin(user, req, "register"));
+  } catch (e) {
+    if (e.code === "23505") {
+      return res.status(409).json({ error: "Email already registered" });
+    }
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/link-password:
+ *   post:
+ *     summary: Add a password to an OAuth-only account
+ *     description: >
+ *       Explicit account-linking step for users created through Google sign-in.
+ *       Requires a token from that sign-in, and only works while the account has
+ *       no password yet (use the password reset flow otherwise).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password: { type: string, format: password }
+ *     responses:
+ *       200:
+ *         description: Password linked; email/password login now works
+ *       400:
+ *         description: Missing or invalid password
+ *       401:
+ *         description: Not authenticated
+ *       409:
+ *         description: Account already has a password
+ *       500:
+ *         description: Server error
+ */
+router.post("/link-password", authenticateJwt, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    const passwordProblem = checkPassword(password, req.jwtUser);
+    if (passwordProblem) {
+      return res.status(400).json({ error: passwordProblem });
+    }
+    if (req.jwtUser.passwordHash) {
+      return res.status(409).json({ error: "Account already has a password" });
+    }
+
+    const pwdHash = await bcrypt.hash(password, 12);
+    await pool.execute(
+      "UPDATE app_users SET passwordHash = ? WHERE id = ? AND passwordHash IS NULL",
+      [pwdHash, req.jwtUser.id]
+    );
+
+    const user = await getUserById(req.jwtUser.id);
+    return res.json({ message: "Password linked", user: toUser(user) });
   } catch (e) {
     return res.status(500).json({ error: e.message });
   }
 });
 
+/**
+ * @swagger
+ * /auth/accept-invite:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: Sets the invitee's password, activates the account and logs them in.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token: { type: string }
+ *               password: { type: string, format: password }
+ *               firstName: { type: string }
+ *               lastName: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token: { type: string }
+ *                 refreshToken: { type: string }
+ *                 expiresIn: { type: integer }
+ *                 user: { type: object }
+ *       400:
+ *         description: Missing fields, invalid password, or invalid/expired invitation
+ *       429:
+ *         description: Too many attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post("/accept-invite", authRateLimit("accept-invite"), async (req, res) => {
+  try {
+    const { token, password, firstName, lastName } = req.body || {};
+    if (!token || !password)
+      return res.status(400).json({ error: "token and password are required" });
+    const passwordProblem = checkPassword(password, { firstName, lastName });
+    if (passwordProblem) return res.status(400).json({ error: passwordProblem });
+
+    const userId = await acceptInvitation(token, {
+      password,
+      firstName,
+      lastName,
+    });
+    const user = await getUserById(userId);
+    return res.json(await completeLogin(user, req, "invite"));
+  } catch (e) {
+    if (e.status === 400) await req.authThrottle.fail();
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
 /**
  * @swagger
  * /auth/login:
  *   post:
  *     summary: Login with email and password
+ *     description: >
+ *       Returns the tokens directly, unless a second factor is needed: with
+ *       `mfaRequired` complete the login through POST /auth/login/2fa, with
+ *       `mfaEnrollmentRequired` (2FA enforced for the role) enroll through
+ *       POST /auth/2fa/setup and /auth/2fa/verify using the challengeToken.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -227,7 +663,12 @@ router.post("/register", async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
- *                 token: { type: string }
+ *                 token: { type: string, description: Short-lived access token }
+ *                 refreshToken: { type: string, description: Single-use token for POST /auth/refresh }
+ *                 expiresIn: { type: integer, description: Access token lifetime in seconds }
+ *                 mfaRequired: { type: boolean }
+ *                 mfaEnrollmentRequired: { type: boolean }
+ *                 challengeToken: { type: string, description: Present instead of the tokens when a second factor is needed }
  *                 user:
  *                   type: object
  *                   properties:
@@ -238,17 +679,24 @@ router.post("/register", async (req, res) => {
  *                     userImage: { type: string }
  *                     role: { type: string }
  *                     isActive: { type: boolean }
- *
+ *                     emailVerified: { type: boolean }
+ *                     twoFactorEnabled: { type: boolean }
  *       400:
- *         description: Missing required fields or invalid role
- *      401:
+ *         description: Missing required fields
+ *       401:
  *         description: Invalid credentials
- *      403:
- *         description: Account is inactive
+ *       403:
+ *         description: Account is inactive, or its email is not verified yet (emailVerificationRequired, EMAIL_VERIFICATION_MODE=login)
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post("/login", async (req, res) => {
+const loginRateLimit = authRateLimit("login", {
+  accountKey: (req) => req.body?.email,
+});
+
+router.post("/login", loginRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body || {};
     if (!email || !password)
@@ -257,18 +705,53 @@ router.post("/login", async (req, res) => {
     const [rows] = await pool.execute("SELECT * FROM app_users WHERE email = ?", [
       email
     ]);
-    if (rows.length === 0 || !rows[0].passwordHash)
+    if (rows.length === 0 || !rows[0].passwordHash) {
+      await req.authThrottle.fail();
+      await recordLoginFailure(req, "password", {
+        userId: rows[0]?.id,
+        email,
+        reason: rows.length === 0 ? "unknown_email" : "no_password",
+      });
       return res.status(401).json({ error: "Invalid credentials" });
+    }
 
     // Optional: block inactive accounts
-    if (!rows[0].isActive) 
+    if (!rows[0].isActive) {
+      await req.authThrottle.fail();
+      await recordLoginFailure(req, "password", {
+        userId: rows[0].id,
+        email,
+        reason: "inactive",
+      });
       return res.status(403).json({ error: 'Account is inactive' });
+    }
 
     const ok = await bcrypt.compare(password, rows[0].passwordHash);
-    if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+    if (!ok) {
+      await req.authThrottle.fail();
+      await recordLoginFailure(req, "password", {
+        userId: rows[0].id,
+        email,
+        reason: "invalid_password",
+      });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    await req.authThrottle.succeed();
 
-    const token = generateJwtToken(rows[0]);
-    return res.json({ token, user: toUser(rows[0]) });
+    if (!mayLogIn(rows[0])) {
+      await recordLoginFailure(req, "password", {
+        userId: rows[0].id,
+        email,
+        reason: "unverified_account",
+      });
+      return res.status(403).json({
+        error: "Confirm your email address before signing in",
+        emailVerificationRequired: true,
+      });
+    }
+
+    return res.json(await completeLogin(rows[0], req, "password"));
   } catch (e) {
     return res.status(500).json({ error: e.message });
   }
@@ -276,29 +759,351 @@ router.post("/login", async (req, res) => {
 
 /**
  * @swagger
- * /auth/me:
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with the second factor
+ *     description: Exchanges the challengeToken returned by /auth/login (mfaRequired) and a TOTP or recovery code for the access and refresh tokens.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken: { type: string }
+ *               code: { type: string, example: "123456" }
+ *               recoveryCode: { type: string, example: "A1B2C-3D4E5" }
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *       400:
+ *         description: Missing challengeToken or code
+ *       401:
+ *         description: Invalid challenge token or code
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+// Second-factor attempts are tracked per IP and, once the challenge token
+// is verified, per user; a forged or expired challenge only counts against
+// the IP, so it cannot lock someone else's account
+const secondFactorRateLimit = authRateLimit("login-2fa");
+
+router.post("/login/2fa", secondFactorRateLimit, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken || (!code && !recoveryCode))
+      return res
+        .status(400)
+        .json({ error: "challengeToken and code or recoveryCode are required" });
+
+    const challenge = verifyMfaChallenge(challengeToken, "mfa_verify");
+    if (!challenge) {
+      await req.authThrottle.fail();
+      return res.status(401).json({ error: "Invalid or expired challenge token" });
+    }
+
+    const retryAfter = await req.authThrottle.forAccount(challenge.userId);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Too many attempts. Try again later.",
+        retryAfter,
+      });
+    }
+
+    const [rows] = await pool.execute("SELECT * FROM app_users WHERE id = ?", [
+      challenge.userId,
+    ]);
+    if (rows.length === 0 || !rows[0].isActive)
+      return res.status(401).json({ error: "Invalid or expired challenge token" });
+
+    const ok = await verifySecondFactor(challenge.userId, { code, recoveryCode });
+    if (!ok) {
+      await req.authThrottle.fail();
+      await recordLoginFailure(req, challenge.method, {
+        userId: rows[0].id,
+        email: rows[0].email,
+        reason: "invalid_second_factor",
+      });
+      return res.status(401).json({ error: "Invalid verification code" });
+    }
+
+    await req.authThrottle.succeed();
+    return res.json(await startSession(rows[0], req, challenge.method));
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa:
  *   get:
- *     summary: Get current user information
- *     description: Returns the authenticated user's information based on the JWT
+ *     summary: Two-factor authentication status
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Current user info
+ *         description: Current 2FA status
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 user:
- *                   type: object
- *                   properties:
- *                     id: { type: string }
- *                     email: { type: string }
- *                     firstName: { type: string }
- *                     lastName: { type: string }
- *                     userImage: { type: string }
+ *                 enabled: { type: boolean }
+ *                 required: { type: boolean, description: Enforced for the user's role }
+ *                 recoveryCodesLeft: { type: integer }
+ *       401:
+ *         description: Not authenticated
+ */
+router.get("/2fa", authenticateJwt, async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.jwtUser.id);
+    return res.json({
+      enabled: !!state.totpEnabledAt,
+      required: isTwoFactorRequired(req.jwtUser),
+      recoveryCodesLeft: state.totpEnabledAt ? state.recoveryCodesLeft : 0,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: >
+ *       Generates a new secret and returns its otpauth:// provisioning URI (render
+ *       it as a QR code). 2FA is enabled once a code is confirmed with
+ *       POST /auth/2fa/verify. Users whose role requires 2FA and who are not
+ *       enrolled yet authenticate with the challengeToken from /auth/login
+ *       instead of a bearer token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken: { type: string, description: Enrollment challenge from /auth/login }
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret: { type: string }
+ *                 otpauthUri: { type: string }
+ *       401:
+ *         description: Not authenticated
+ *       409:
+ *         description: 2FA already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post("/2fa/setup", authenticateJwtOrEnrollment, async (req, res) => {
+  try {
+    const enrollment = await beginEnrollment(req.jwtUser);
+    return res.json(enrollment);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Confirm TOTP enrollment
+ *     description: >
+ *       Enables 2FA after checking a code from the authenticator app and returns
+ *       the recovery codes (shown only once). When called with an enrollment
+ *       challengeToken the login is completed and tokens are returned as well.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: "123456" }
+ *               challengeToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes: { type: array, items: { type: string } }
+ *       400:
+ *         description: Missing or invalid code, or enrollment not started
+ *       401:
+ *         description: Not authenticated
+ *       409:
+ *         description: 2FA already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post("/2fa/verify", authenticateJwtOrEnrollment, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ error: "code is required" });
+
+    const recoveryCodes = await enableTwoFactor(req.jwtUser.id, code);
+    if (!req.mfaEnrollment) return res.json({ recoveryCodes });
+
+    const session = await startSession(req.jwtUser, req, req.mfaEnrollment.method);
+    return res.json({ recoveryCodes, ...session });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes. Requires a current TOTP code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Missing code or 2FA not enabled
+ *       401:
+ *         description: Invalid code or not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post("/2fa/recovery-codes", authenticateJwt, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ error: "code is required" });
+    if (!req.jwtUser.totpEnabledAt)
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+
+    const ok = await verifySecondFactor(req.jwtUser.id, { code });
+    if (!ok) return res.status(401).json({ error: "Invalid verification code" });
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.jwtUser.id);
+    return res.json({ recoveryCodes });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires a TOTP or recovery code. Not allowed when 2FA is enforced for the user's role.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string }
+ *               recoveryCode: { type: string }
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Missing code or 2FA not enabled
+ *       401:
+ *         description: Invalid code or not authenticated
+ *       403:
+ *         description: 2FA is required for this role
+ *       500:
+ *         description: Server error
+ */
+router.post("/2fa/disable", authenticateJwt, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+    if (!code && !recoveryCode)
+      return res.status(400).json({ error: "code or recoveryCode is required" });
+    if (!req.jwtUser.totpEnabledAt)
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    if (isTwoFactorRequired(req.jwtUser))
+      return res
+        .status(403)
+        .json({ error: "Two-factor authentication is required for your role" });
+
+    const ok = await verifySecondFactor(req.jwtUser.id, { code, recoveryCode });
+    if (!ok) return res.status(401).json({ error: "Invalid verification code" });
+
+    await disableTwoFactor(req.jwtUser.id);
+    return res.json({ message: "Two-factor authentication disabled" });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get current user information
+ *     description: Returns the authenticated user's information based on the JWT
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user info
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: string }
+ *                     email: { type: string }
+ *                     firstName: { type: string }
+ *                     lastName: { type: string }
+ *                     userImage: { type: string }
  *                     role: { type: string }
  *                     isActive: { type: boolean }
  *       401:
@@ -320,68 +1125,981 @@ router.get("/me", authenticateJwt, async (req, res) => {
  * /auth/google:
  *   get:
  *     summary: Start Google OAuth
+ *     description: >
+ *       Redirects to Google. When the sign-in finishes the browser is sent
+ *       back to returnTo with a one-time `code` (or an `error`) in the query
+ *       string; exchange the code with POST /auth/google/exchange.
  *     tags: [Authentication]
  *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: returnTo
+ *         schema: { type: string, example: "http://localhost:5173/auth/callback" }
+ *         description: App URL to come back to; its origin must be whitelisted (OAUTH_RETURN_TO_ORIGINS or cors.json)
  *     responses:
  *       302:
  *         description: Redirect to Google
+ *       400:
+ *         description: returnTo is not an allowed URL
  */
-router.get(
-  "/google",
-  passport.authenticate("google", { scope: ["profile", "email"] })
-);
+router.get("/google", (req, res, next) => {
+  const state = startHandoff(req, req.query.returnTo);
+  if (!state) {
+    return res.status(400).json({ error: "returnTo is not an allowed URL" });
+  }
+  return passport.authenticate("google", {
+    scope: ["profile", "email"],
+    state,
+  })(req, res, next);
+});
 
 /**
  * @swagger
  * /auth/google/callback:
  *   get:
  *     summary: Google OAuth callback
+ *     description: >
+ *       Checks that state matches the login started in this browser session
+ *       and redirects to its returnTo with `?code=...` on success or
+ *       `?error=...` on failure.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       302:
+ *         description: Redirect to the app's returnTo URL
+ *       400:
+ *         description: Missing, unknown or reused state
+ */
+router.get("/google/callback", (req, res, next) => {
+  const handoff = takeHandoff(req);
+  if (!handoff) {
+    return res.status(400).json({ error: "Invalid or expired login state" });
+  }
+
+  return passport.authenticate(
+    "google",
+    { session: false },
+    async (err, user, info) => {
+      try {
+        if (err || !user) {
+          const error = err
+            ? "Authentication failed"
+            : info?.message || "Authentication failed";
+          return res.redirect(buildRedirect(handoff.returnTo, { error }));
+        }
+        const code = await createHandoffCode(user.id);
+        return res.redirect(buildRedirect(handoff.returnTo, { code }));
+      } catch (e) {
+        return res.redirect(
+          buildRedirect(handoff.returnTo, { error: "Authentication failed" })
+        );
+      }
+    }
+  )(req, res, next);
+});
+
+/**
+ * @swagger
+ * /auth/google/exchange:
+ *   post:
+ *     summary: Exchange the Google sign-in code for tokens
+ *     description: >
+ *       The code from the callback redirect can be used once and expires
+ *       after a minute. The response is the same as POST /auth/login
+ *       (tokens, or a 2FA challenge).
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Login successful or second factor required
+ *       400:
+ *         description: Missing, invalid, expired or already used code
+ *       401:
+ *         description: Account is inactive
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Server error
+ */
+const googleExchangeRateLimit = authRateLimit("google-exchange");
+
+// Trades a one-time handoff code of the given login method for the response
+// of POST /auth/login
+async function exchangeHandoffCode(req, res, method) {
+  const { code } = req.body || {};
+  if (!code) return res.status(400).json({ error: "code is required" });
+
+  const userId = await consumeHandoffCode(code, method);
+  if (!userId) {
+    await req.authThrottle.fail();
+    return res.status(400).json({ error: "Invalid or expired code" });
+  }
+
+  const [rows] = await pool.execute("SELECT * FROM app_users WHERE id = ?", [
+    userId,
+  ]);
+  if (rows.length === 0 || !rows[0].isActive) {
+    return res.status(401).json({ error: "Account is inactive" });
+  }
+  return res.json(await completeLogin(rows[0], req, method));
+}
+
+router.post("/google/exchange", googleExchangeRateLimit, async (req, res) => {
+  try {
+    return await exchangeHandoffCode(req, res, "google");
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/providers:
+ *   get:
+ *     summary: List the enabled sign-in providers
+ *     description: Google plus every OpenID Connect provider configured in OIDC_PROVIDERS, with the URL that starts its login.
  *     tags: [Authentication]
  *     security: []
  *     responses:
  *       200:
- *         description: Google OAuth login successful
+ *         description: Enabled providers
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 token:
- *                   type: string
- *                 user:
- *                   type: object
- *       401:
- *         description: Authentication failed
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string, example: keycloak }
+ *                       displayName: { type: string, example: Subcontractor SSO }
+ *                       type: { type: string, enum: [google, oidc] }
+ *                       loginUrl: { type: string, example: /auth/oidc/keycloak }
+ *       500:
+ *         description: Invalid provider configuration
  */
-router.get(
-  "/google/callback",
-  passport.authenticate("google", { session: false, failureRedirect: "/login" }),
-  (req, res) => {
-    const token = generateJwtToken(req.user);
-    return res.json({ token, user: toUser(req.user) });
+router.get("/providers", (req, res) => {
+  try {
+    const providers = [
+      { id: "google", displayName: "Google", type: "google", loginUrl: "/auth/google" },
+      ...getOidcProviders().map((p) => ({
+        id: p.id,
+        displayName: p.displayName,
+        type: "oidc",
+        loginUrl: `/auth/oidc/${p.id}`,
+      })),
+    ];
+    return res.json({ providers });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
   }
-);
+});
 
 /**
  * @swagger
- * /auth/profile:
+ * /auth/oidc/{provider}:
  *   get:
- *     summary: Get current user via JWT
- *     description: Returns the current authenticated user using JWT authentication.
+ *     summary: Start an OpenID Connect login
+ *     description: >
+ *       Redirects to the provider. When the sign-in finishes the browser is
+ *       sent back to returnTo with a one-time `code` (or an `error`) in the
+ *       query string, as with GET /auth/google; exchange the code with
+ *       POST /auth/oidc/{provider}/exchange.
  *     tags: [Authentication]
- *     security: 
- *       - bearerAuth: []
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema: { type: string }
+ *         description: Provider id from GET /auth/providers
+ *       - in: query
+ *         name: returnTo
+ *         schema: { type: string, example: "http://localhost:5173/auth/callback" }
+ *         description: App URL to come back to; its origin must be whitelisted (OAUTH_RETURN_TO_ORIGINS or cors.json)
  *     responses:
- *       200:
- *         description: Current user profile (session)
- *       401:
- *         description: Not authenticated
+ *       302:
+ *         description: Redirect to the provider
+ *       400:
+ *         description: returnTo is not an allowed URL
+ *       404:
+ *         description: Unknown provider
+ *       502:
+ *         description: Provider discovery failed
  */
-router.get("/profile", authenticateJwt, async (req, res) => {
-  const user = await getUserById(req.jwtUser.id);
-  if (!user) 
-    return res.status(404).json({ error: "User not found" });
-  return res.json({ user: toUser(user) });
+router.get("/oidc/:provider", (req, res, next) => {
+  const state = startHandoff(req, req.query.returnTo);
+  if (!state) {
+    return res.status(400).json({ error: "returnTo is not an allowed URL" });
+  }
+  return authenticateOidc(null, { state })(req, res, next);
+});
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: OpenID Connect callback
+ *     description: >
+ *       Signs in the user linked to the provider identity. The first time, an
+ *       existing account is linked by email only when the provider verified
+ *       it; otherwise a new account is created under the registration policy
+ *       with the provider's default role. Like the Google callback, it checks
+ *       that state matches the login started in this browser session and
+ *       redirects to its returnTo with `?code=...` on success or `?error=...`
+ *       on failure.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       302:
+ *         description: Redirect to the app's returnTo URL
+ *       400:
+ *         description: Missing, unknown or reused state
+ *       404:
+ *         description: Unknown provider
+ *       502:
+ *         description: Provider discovery failed
+ */
+router.get("/oidc/:provider/callback", (req, res, next) => {
+  const handoff = takeHandoff(req);
+  if (!handoff) {
+    return res.status(400).json({ error: "Invalid or expired login state" });
+  }
+
+  return authenticateOidc(async (req, res, next, { err, user, info, provider }) => {
+    try {
+      if (err || !user) {
+        const error = err
+          ? "Authentication failed"
+          : info?.message || "Authentication failed";
+        return res.redirect(buildRedirect(handoff.returnTo, { error }));
+      }
+      const code = await createHandoffCode(user.id, `oidc:${provider.id}`);
+      return res.redirect(buildRedirect(handoff.returnTo, { code }));
+    } catch (e) {
+      return res.redirect(
+        buildRedirect(handoff.returnTo, { error: "Authentication failed" })
+      );
+    }
+  })(req, res, next);
+});
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/exchange:
+ *   post:
+ *     summary: Exchange an OpenID Connect sign-in code for tokens
+ *     description: >
+ *       Same as POST /auth/google/exchange for codes issued by the callback
+ *       of this provider.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Login successful or second factor required
+ *       400:
+ *         description: Missing, invalid, expired or already used code
+ *       401:
+ *         description: Account is inactive
+ *       404:
+ *         description: Unknown provider
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Server error
+ */
+const oidcExchangeRateLimit = authRateLimit("oidc-exchange");
+
+router.post("/oidc/:provider/exchange", oidcExchangeRateLimit, async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: "Unknown sign-in provider" });
+    }
+    return await exchangeHandoffCode(req, res, `oidc:${provider.id}`);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/identities:
+ *   get:
+ *     summary: List my linked sign-in identities
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked identities
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 identities:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       provider: { type: string, example: google }
+ *                       email: { type: string }
+ *                       createdAt: { type: string, format: date-time }
+ *                       lastLoginAt: { type: string, format: date-time }
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get("/identities", authenticateJwt, async (req, res) => {
+  try {
+    return res.json({ identities: await listIdentities(req.jwtUser.id) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/identities/{id}:
+ *   delete:
+ *     summary: Unlink one of my sign-in identities
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Identity unlinked
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Identity not found
+ *       409:
+ *         description: It is the only way to sign in and the account has no password
+ *       500:
+ *         description: Server error
+ */
+router.delete("/identities/:id", authenticateJwt, async (req, res) => {
+  try {
+    await unlinkIdentity(req.jwtUser.id, req.params.id);
+    return res.json({ message: "Identity unlinked" });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/profile:
+ *   get:
+ *     summary: Get current user via JWT
+ *     description: Returns the current authenticated user using JWT authentication.
+ *     tags: [Authentication]
+ *     security: 
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user profile (session)
+ *       401:
+ *         description: Not authenticated
+ */
+router.get("/profile", authenticateJwt, async (req, res) => {
+  const user = await getUserById(req.jwtUser.id);
+  if (!user) 
+    return res.status(404).json({ error: "User not found" });
+  return res.json({ user: toUser(user) });
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: >
+ *       Emails a single-use reset link to the account if it exists, is active and
+ *       has a password. The response is the same whether or not the email is
+ *       registered.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Missing email
+ *       429:
+ *         description: Too many attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+const forgotPasswordRateLimit = authRateLimit("forgot-password", {
+  accountKey: (req) => req.body?.email,
+});
+
+router.post("/forgot-password", forgotPasswordRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email) return res.status(400).json({ error: "email is required" });
+
+    // Every request counts, so the endpoint cannot be used to flood an inbox
+    await req.authThrottle.fail();
+
+    const [rows] = await pool.execute(
+      "SELECT id, email, firstName, isActive, passwordHash FROM app_users WHERE email = ?",
+      [email]
+    );
+    const user = rows[0];
+
+    if (user && user.isActive && user.passwordHash) {
+      const token = await createUserToken(
+        user.id,
+        "password_reset",
+        PASSWORD_RESET_TTL_MINUTES
+      );
+      const link = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`;
+      await sendMail({
+        to: user.email,
+        ...renderMail("passwordReset", await getPreferences(user.id), {
+          firstName: user.firstName,
+          ttl: PASSWORD_RESET_TTL_MINUTES,
+          expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+          link,
+        }),
+      });
+    }
+
+    return res.json({
+      message: "If the email is registered, a reset link has been sent",
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Consumes the reset token, marks the email as verified and revokes every existing session of the user.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token: { type: string }
+ *               password: { type: string, format: password }
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Missing fields, invalid/expired token, or a password that breaks the password policy or was used recently
+ *       429:
+ *         description: Too many attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post("/reset-password", authRateLimit("reset-password"), async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password)
+    return res.status(400).json({ error: "token and password are required" });
+  const passwordProblem = checkPassword(password);
+  if (passwordProblem) return res.status(400).json({ error: passwordProblem });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const consumed = await consumeUserToken(token, "password_reset", client);
+    if (!consumed) {
+      await client.query("ROLLBACK");
+      await req.authThrottle.fail();
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    await setUserPassword(consumed.userId, password, client);
+    // The reset link reached the inbox, which proves the address too
+    await client.query(
+      `UPDATE app_users SET email_verified_at = COALESCE(email_verified_at, NOW())
+        WHERE id = $1`,
+      [consumed.userId]
+    );
+    await revokeUserTokens(consumed.userId, "password_reset", client);
+
+    await client.query("COMMIT");
+    return res.json({ message: "Password has been reset" });
+  } catch (e) {
+    // A rejected password rolls back, so the link can be used again
+    await client.query("ROLLBACK");
+    return res.status(e.status || 500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change my password
+ *     description: >
+ *       Requires the current password. The new one must follow the password
+ *       policy (GET /auth/password-policy) and differ from the recent ones.
+ *       Every other session of the user is signed out. Accounts without a
+ *       password use POST /auth/link-password instead.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword: { type: string, format: password }
+ *               newPassword: { type: string, format: password }
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Missing fields, wrong current password, or a new password that breaks the policy or was used recently
+ *       401:
+ *         description: Not authenticated
+ *       409:
+ *         description: Account has no password yet
+ *       429:
+ *         description: Too many attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+const changePasswordRateLimit = authRateLimit("change-password", {
+  accountKey: (req) => req.jwtUser?.id,
+});
+
+router.post(
+  "/change-password",
+  authenticateJwt,
+  changePasswordRateLimit,
+  async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!currentPassword || !newPassword)
+      return res
+        .status(400)
+        .json({ error: "currentPassword and newPassword are required" });
+    if (!req.jwtUser.passwordHash)
+      return res.status(409).json({
+        error: "Account has no password yet; use /auth/link-password",
+      });
+
+    const client = await pool.connect();
+    try {
+      const ok = await bcrypt.compare(currentPassword, req.jwtUser.passwordHash);
+      if (!ok) {
+        await req.authThrottle.fail();
+        return res.status(400).json({ error: "Current password is incorrect" });
+      }
+      await req.authThrottle.succeed();
+
+      await client.query("BEGIN");
+      await setUserPassword(req.jwtUser.id, newPassword, client);
+      await revokeOtherUserTokens(
+        req.jwtUser.id,
+        req.jwtFamilyId,
+        "password_change",
+        client
+      );
+      await client.query("COMMIT");
+      return res.json({ message: "Password changed" });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      return res.status(e.status || 500).json({ error: e.message });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address
+ *     description: Consumes the token from the confirmation email and marks the account's email as verified.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Missing, invalid or expired token
+ *       429:
+ *         description: Too many attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post("/verify-email", authRateLimit("verify-email"), async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ error: "token is required" });
+
+    const userId = await verifyEmail(token);
+    const user = await getUserById(userId);
+    return res.json({ message: "Email address verified", user: toUser(user) });
+  } catch (e) {
+    if (e.status === 400) await req.authThrottle.fail();
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new email confirmation link
+ *     description: >
+ *       Emails a new confirmation link if the account exists, is active and has
+ *       not verified its email yet. The response is the same either way.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Missing email
+ *       429:
+ *         description: Too many attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+const resendVerificationRateLimit = authRateLimit("verify-email-resend", {
+  accountKey: (req) => req.body?.email,
+});
+
+router.post(
+  "/verify-email/resend",
+  resendVerificationRateLimit,
+  async (req, res) => {
+    try {
+      const { email } = req.body || {};
+      if (!email) return res.status(400).json({ error: "email is required" });
+
+      // Every request counts, so the endpoint cannot be used to flood an inbox
+      await req.authThrottle.fail();
+
+      const [rows] = await pool.execute(
+        `SELECT id, email, firstName, isActive, isServiceAccount, emailVerifiedAt
+           FROM app_users WHERE email = ?`,
+        [email]
+      );
+      const user = rows[0];
+      if (user && user.isActive && !user.isServiceAccount && !user.emailVerifiedAt) {
+        await sendVerificationEmail(user);
+      }
+
+      return res.json({
+        message: "If the account needs confirming, a new link has been sent",
+      });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List my active sessions
+ *     description: One entry per login that still holds a usable refresh token. The session of the calling token is flagged with current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get("/sessions", authenticateJwt, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.jwtUser.id);
+    return res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.jwtFamilyId,
+      })),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of my sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/sessions/:id", authenticateJwt, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, {
+      userId: req.jwtUser.id,
+      reason: "logout",
+    });
+    if (!revoked) return res.status(404).json({ error: "Session not found" });
+    return res.json({ message: "Session revoked" });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login-history:
+ *   get:
+ *     summary: My recent sign-in attempts
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, default: 0 }
+ *     responses:
+ *       200:
+ *         description: Login events, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginEvent'
+ *                 total: { type: integer }
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get("/login-history", authenticateJwt, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await listLoginEvents({
+      userId: req.jwtUser.id,
+      limit,
+      offset,
+    });
+    return res.json(result);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Rotate a refresh token
+ *     description: >
+ *       Exchanges a refresh token for a new access token and a new refresh token.
+ *       Each refresh token can only be used once; presenting a token that was
+ *       already rotated revokes its whole token family (all sessions started by
+ *       that login).
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token: { type: string }
+ *                 refreshToken: { type: string }
+ *                 expiresIn: { type: integer }
+ *       400:
+ *         description: Missing refreshToken
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       500:
+ *         description: Server error
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken)
+      return res.status(400).json({ error: "refreshToken is required" });
+
+    const tokens = await rotateRefreshToken(refreshToken);
+    return res.json(tokens);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout
+ *     description: >
+ *       Revokes the token family of the current access token, so neither the
+ *       access token nor its refresh tokens can be used again. With
+ *       `allSessions: true` every token family of the user is revoked.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allSessions: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Error logging out
+ */
+router.post("/logout", authenticateJwt, async (req, res) => {
+  try {
+    const { allSessions = false } = req.body || {};
+    if (allSessions) {
+      await revokeUserTokens(req.jwtUser.id, "logout");
+    } else {
+      await revokeTokenFamily(req.jwtFamilyId, "logout");
+    }
+    req.logout((err) => {
+      if (err) return res.status(500).json({ error: "Error logging out" });
+      res.json({ message: "Logged out successfully" });
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
 });
 
 /**
@@ -389,6 +2107,7 @@ router.get("/profile", authenticateJwt, async (req, res) => {
  * /auth/logout:
  *   get:
  *     summary: Logout (passport session)
+ *     description: Only ends the passport session; use POST /auth/logout to revoke JWTs.
  *     tags: [Authentication]
  *     security: []
  *     responses:
@@ -1,16 +1,28 @@
 const express = require("express");
 const router = express.Router();
-const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
+const { pool, generateUUID } = require("./utils");
+const { authenticateJwtOrApiKey } = require("../services/api-keys");
+const {
+  accessibleProjectIds,
+  canAccessProject,
+  isProjectArchived,
+} = require("../services/project-access");
+const { hasPermission } = require("../services/permissions");
+const {
+  houseActivityChanges,
+  recordActivityEvents,
+} = require("../services/activity-events");
 
 /**
  * @swagger
  * /api/house-activities:
  *   get:
  *     summary: Get house activities
- *     description: Retrieve house activities with optional filtering by houseId or isBlocked status
+ *     description: Retrieve house activities with optional filtering by houseId or isBlocked status. plannedStartDate and plannedEndDate come from the house's schedule (see /api/projects/{id}/schedule) and are null when neither the house nor its project has a planned start.
  *     tags: [House Activities]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: houseId
@@ -36,7 +48,7 @@ const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
  *       500:
  *         description: Server error
  */
-router.get("/", authenticateJwt, async (req, res) => {
+router.get("/", authenticateJwtOrApiKey, async (req, res) => {
   try {
     const { houseId, isBlocked, status } = req.query;
     // first merge point - added stats routes: added rejectedRemarks to select list
@@ -58,10 +70,14 @@ router.get("/", authenticateJwt, async (req, res) => {
         ha.house_id AS "houseId",
         p.title AS project,
         h.name AS "houseName",
-        h.project_id AS "projectId"
+        h.project_id AS "projectId",
+        plan.planned_start_date::text AS "plannedStartDate",
+        plan.planned_end_date::text AS "plannedEndDate"
       FROM app_house_activities ha
       LEFT JOIN app_houses h ON ha.house_id = h.id
       LEFT JOIN app_projects p ON h.project_id = p.id
+      LEFT JOIN app_house_activity_plan plan
+        ON plan.house_id = ha.house_id AND plan.house_activity_id = ha.id
       WHERE 1=1`;
     const params = [];
 
@@ -92,6 +108,11 @@ router.get("/", authenticateJwt, async (req, res) => {
       params.push(status);
       query += ` AND ha.status = $${params.length}`;
     }
+    const scope = await accessibleProjectIds(req);
+    if (scope) {
+      params.push(scope);
+      query += ` AND h.project_id = ANY($${params.length}::uuid[])`;
+    }
 
     query += " ORDER BY num ASC";
 
@@ -112,6 +133,8 @@ router.get("/", authenticateJwt, async (req, res) => {
       lastUpdatedAt: ha.lastUpdatedAt,
       project: ha.project,
       houseName: ha.houseName,
+      plannedStartDate: ha.plannedStartDate,
+      plannedEndDate: ha.plannedEndDate,
       visible: !ha.isBlocked,
     }));
 
@@ -135,6 +158,7 @@ router.get("/", authenticateJwt, async (req, res) => {
  *     tags: [House Activities]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: House activity stats retrieved successfully
@@ -160,7 +184,7 @@ router.get("/", authenticateJwt, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get("/stats", authenticateJwt, async (req, res) => {
+router.get("/stats", authenticateJwtOrApiKey, async (req, res) => {
   try {
     let query = `
       SELECT
@@ -170,8 +194,14 @@ router.get("/stats", authenticateJwt, async (req, res) => {
       FROM app_house_activities ha
       WHERE 1=1
     `;
+    const params = [];
+    const scope = await accessibleProjectIds(req);
+    if (scope) {
+      params.push(scope);
+      query += ` AND ha.house_id IN (SELECT id FROM app_houses WHERE project_id = ANY(?::uuid[]))`;
+    }
 
-    const [rows] = await pool.execute(query);
+    const [rows] = await pool.execute(query, params);
     const stats = rows[0] || {
       pendingActivities: 0,
       completedActivities: 0,
@@ -189,10 +219,11 @@ router.get("/stats", authenticateJwt, async (req, res) => {
  * /api/house-activities/{id}:
  *   get:
  *     summary: Get house activity by ID
- *     description: Retrieve a specific house activity by its ID
+ *     description: Retrieve a specific house activity by its ID, with its planned start and end dates
  *     tags: [House Activities]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -210,7 +241,7 @@ router.get("/stats", authenticateJwt, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get("/:id", authenticateJwt, async (req, res) => {
+router.get("/:id", authenticateJwtOrApiKey, async (req, res) => {
   try {
     const { id } = req.params;
     // first merge point - added stats routes: added rejectedRemarks to select list
@@ -233,14 +264,21 @@ router.get("/:id", authenticateJwt, async (req, res) => {
          ha.last_upated_at AS "lastUpdatedAt",
          p.title AS project,
          h.name AS "houseName",
-         h.project_id AS "projectId"
+         h.project_id AS "projectId",
+         plan.planned_start_date::text AS "plannedStartDate",
+         plan.planned_end_date::text AS "plannedEndDate"
        FROM app_house_activities ha
        LEFT JOIN app_houses h ON ha.house_id = h.id
        LEFT JOIN app_projects p ON h.project_id = p.id
+       LEFT JOIN app_house_activity_plan plan
+         ON plan.house_id = ha.house_id AND plan.house_activity_id = ha.id
        WHERE ha.id = $1`,
       [id]
     );
-    if (houseActivities.length === 0) {
+    if (
+      houseActivities.length === 0 ||
+      !(await canAccessProject(req, houseActivities[0].projectId))
+    ) {
       return res.status(404).json({ error: "House activity not found" });
     }
     const ha = houseActivities[0];
@@ -260,6 +298,8 @@ router.get("/:id", authenticateJwt, async (req, res) => {
       lastUpdatedAt: ha.lastUpdatedAt,
       project: ha.project,
       houseName: ha.houseName,
+      plannedStartDate: ha.plannedStartDate,
+      plannedEndDate: ha.plannedEndDate,
       visible: !ha.isBlocked,
     };
 
@@ -274,10 +314,11 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  * /api/house-activities/{id}:
  *   put:
  *     summary: Update house activity
- *     description: Update a house activity. Surveyors can update their own activities (dates, remarks). Reviewers/Admins can approve and block activities. Status is auto-updated based on other fields, or can be manually set by reviewers/admins. When status changes to/from 'completed', the house's completedActivities count is automatically updated. If all activities are completed, the house status is automatically set to 'completed', and the project's housesCompleted count is updated accordingly.
+ *     description: Update a house activity. Which fields the caller may change depends on their permissions in the house's project - houseActivity.updateProgress for dates, remarks and assignee of their own activities, houseActivity.review to block, reject or set the status manually, houseActivity.approve to approve. Fields they may not change are ignored. Otherwise status is auto-updated based on other fields. When status changes to/from 'completed', the house's completedActivities count is automatically updated. If all activities are completed, the house status is automatically set to 'completed', and the project's housesCompleted count is updated accordingly.
  *     tags: [House Activities]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -306,10 +347,10 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *                 type: string
  *               rejectedRemarks:
  *                 type: string
- *                 description: Remarks when rejecting an activity (Reviewer/Admin only)
+ *                 description: Remarks when rejecting an activity (houseActivity.review only)
  *               approvedById:
  *                 type: string
- *                 description: Reviewer/Admin only - User ID of approver
+ *                 description: houseActivity.approve only - User ID of approver
  *               status:
  *                 type: string
  *                 enum: [pending, in_progress, review, completed, blocked, rejected]
@@ -323,10 +364,12 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *         description: Unauthorized
  *       404:
  *         description: House activity not found
+ *       409:
+ *         description: The house's project is archived
  *       500:
  *         description: Server error
  */
-router.put("/:id", authenticateJwt, async (req, res) => {
+router.put("/:id", authenticateJwtOrApiKey, async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -344,6 +387,7 @@ router.put("/:id", authenticateJwt, async (req, res) => {
       `SELECT
          id,
          house_id AS "houseId",
+         (SELECT project_id FROM app_houses WHERE id = house_id) AS "projectId",
          activity_id AS "activityId",
          status,
          start_date AS "startDate",
@@ -358,12 +402,26 @@ router.put("/:id", authenticateJwt, async (req, res) => {
        WHERE id = $1`,
       [id]
     );
-    if (existing.length === 0) {
+    if (
+      existing.length === 0 ||
+      !(await canAccessProject(req, existing[0].projectId))
+    ) {
       return res.status(404).json({ error: "House activity not found" });
     }
+    if (await isProjectArchived(existing[0].projectId)) {
+      return res.status(409).json({ error: "Project is archived" });
+    }
 
-    const isReviewer = ["reviewer", "admin"].includes(req.jwtUser.role);
-    const isSurveyor = req.jwtUser.role === "surveyor";
+    // What the caller may change depends on their permissions in the
+    // house's project
+    const can = (permission) =>
+      hasPermission(req, permission, existing[0].projectId);
+    const canUpdateProgress = await can("houseActivity.updateProgress");
+    const canReview = await can("houseActivity.review");
+    const canApprove = await can("houseActivity.approve");
+    const updatesProgress =
+      canUpdateProgress &&
+      (appUserId === req.jwtUser.id || appUserId === undefined);
 
     const updates = [];
     const values = [];
@@ -379,10 +437,7 @@ router.put("/:id", authenticateJwt, async (req, res) => {
       updates.push("completion_date = NOW()");
     }
 
-    if (
-      isSurveyor &&
-      (appUserId === req.jwtUser.id || appUserId === undefined)
-    ) {
+    if (updatesProgress) {
       if (startDate !== undefined) {
         values.push(startDate ? new Date(startDate) : null);
         updates.push(`start_date = $${values.length}`);
@@ -401,21 +456,22 @@ router.put("/:id", authenticateJwt, async (req, res) => {
       }
     }
 
-    if (isReviewer) {
-      if (approvedById !== undefined) {
-        values.push(approvedById);
-        updates.push(`approved_by_id = $${values.length}`);
-        if (approvedById) {
-          updates.push("approved_at = NOW()");
-        } else {
-          updates.push("approved_at = NULL");
-        }
+    if (canApprove && approvedById !== undefined) {
+      values.push(approvedById);
+      updates.push(`approved_by_id = $${values.length}`);
+      if (approvedById) {
+        updates.push("approved_at = NOW()");
+      } else {
+        updates.push("approved_at = NULL");
       }
+    }
+
+    if (canReview) {
       if (isBlocked !== undefined) {
         values.push(isBlocked);
         updates.push(`is_blocked = $${values.length}`);
       }
-      if (remarks !== undefined) {
+      if (remarks !== undefined && !updatesProgress) {
         values.push(remarks);
         updates.push(`remarks = $${values.length}`);
       }
@@ -447,7 +503,7 @@ router.put("/:id", authenticateJwt, async (req, res) => {
     const previousStatus = existing[0].status;
     let newStatus = previousStatus;
 
-    if (status !== undefined && isReviewer) {
+    if (status !== undefined && canReview) {
       newStatus = status;
     } else {
       const blockedValue =
@@ -505,115 +561,117 @@ router.put("/:id", authenticateJwt, async (req, res) => {
     }
 
     values.push(id);
-    await pool.query(
-      `UPDATE app_house_activities SET ${updates.join(
-        ", "
-      )} WHERE id = $${values.length}`,
-      values
-    );
-
-    if (statusChangedToCompleted || statusChangedFromCompleted) {
-      const houseId = existing[0].houseId;
-
-      const { rows: completedCount } = await pool.query(
-        `SELECT COUNT(*)::int AS count FROM app_house_activities 
-         WHERE house_id = $1 AND status = 'completed'`,
-        [houseId]
-      );
-
-      const { rows: houseInfo } = await pool.query(
-        "SELECT total_activities AS \"totalActivities\", status, project_id AS \"projectId\" FROM app_houses WHERE id = $1",
-        [houseId]
+    // The update, the house counters and the events commit together
+    const client = await pool.connect();
+    let updatedActivity;
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `UPDATE app_house_activities SET ${updates.join(
+          ", "
+        )} WHERE id = $${values.length}`,
+        values
       );
 
-      if (houseInfo.length > 0) {
-        const completedActivities = completedCount[0].count;
-        const totalActivities = houseInfo[0].totalActivities;
-        const previousHouseStatus = houseInfo[0].status;
+      if (statusChangedToCompleted || statusChangedFromCompleted) {
+        const houseId = existing[0].houseId;
 
-        // fourth merge point - house progress is now automatically calculated: progress calculation
-        // Compute progress = completed / total * 100
-        let progress = 0;
-        if (totalActivities > 0) {
-          progress = (completedActivities / totalActivities) * 100;
-        }
+        const { rows: completedCount } = await client.query(
+          `SELECT COUNT(*)::int AS count FROM app_house_activities 
+           WHERE house_id = $1 AND status = 'completed'`,
+          [houseId]
+        );
 
-        // Update house completedActivities and progress
-        // fourth merge point - house progress is now automatically calculated: added progress update
-        await pool.query(
-          "UPDATE app_houses SET completed_activities = $1, progress = $2 WHERE id = $3",
-          [completedActivities, progress, houseId]
+        const { rows: houseInfo } = await client.query(
+          "SELECT total_activities AS \"totalActivities\", status, project_id AS \"projectId\" FROM app_houses WHERE id = $1",
+          [houseId]
         );
 
-        let newHouseStatus = previousHouseStatus;
-        if (
-          completedActivities === totalActivities &&
-          completedActivities !== 0
-        ) {
-          newHouseStatus = "completed";
-        } else if (
-          completedActivities < totalActivities &&
-          previousHouseStatus === "completed"
-        ) {
-          newHouseStatus = "in_progress";
-        }
+        if (houseInfo.length > 0) {
+          const completedActivities = completedCount[0].count;
+          const totalActivities = houseInfo[0].totalActivities;
+          const previousHouseStatus = houseInfo[0].status;
+
+          // fourth merge point - house progress is now automatically calculated: progress calculation
+          // Compute progress = completed / total * 100
+          let progress = 0;
+          if (totalActivities > 0) {
+            progress = (completedActivities / totalActivities) * 100;
+          }
+
+          // Update house completedActivities and progress
+          // fourth merge point - house progress is now automatically calculated: added progress update
+          await client.query(
+            "UPDATE app_houses SET completed_activities = $1, progress = $2 WHERE id = $3",
+            [completedActivities, progress, houseId]
+          );
+
+          let newHouseStatus = previousHouseStatus;
+          if (
+            completedActivities === totalActivities &&
+            completedActivities !== 0
+          ) {
+            newHouseStatus = "completed";
+          } else if (
+            completedActivities < totalActivities &&
+            previousHouseStatus === "completed"
+          ) {
+            newHouseStatus = "in_progress";
+          }
 
-        if (newHouseStatus !== previousHouseStatus) {
-          await pool.query("UPDATE app_houses SET status = $1 WHERE id = $2", [
-            newHouseStatus,
-            houseId,
-          ]);
-
-          const projectId = houseInfo[0].projectId;
-
-          if (projectId) {
-            if (
-              newHouseStatus === "completed" &&
-              previousHouseStatus !== "completed"
-            ) {
-              await pool.query(
-                "UPDATE app_projects SET houses_completed = houses_completed + 1 WHERE id = $1",
-                [projectId]
-              );
-            } else if (
-              newHouseStatus !== "completed" &&
-              previousHouseStatus === "completed"
-            ) {
-              await pool.query(
-                "UPDATE app_projects SET houses_completed = GREATEST(houses_completed - 1, 0) WHERE id = $1",
-                [projectId]
-              );
-            }
+          // The project's housesCompleted follows through the app_houses trigger
+          if (newHouseStatus !== previousHouseStatus) {
+            await client.query("UPDATE app_houses SET status = $1 WHERE id = $2", [
+              newHouseStatus,
+              houseId,
+            ]);
           }
         }
       }
-    }
 
-    const { rows: updatedActivity } = await pool.query(
-      `SELECT
-         id,
-         house_id AS "houseId",
-         activity_id AS "activityId",
-         num,
-         phase,
-         sub_phase AS "subphase",
-         activity,
-         dependance,
-         description,
-         open_date AS "openDate",
-         start_date AS "startDate",
-         completion_date AS "completionDate",
-         status,
-         app_user_id AS "appUserId",
-         approved_by_id AS "approvedById",
-         approved_at AS "approvedAt",
-         remarks,
-         rejected_remarks AS "rejectedRemarks",
-         is_blocked AS "isBlocked"
-       FROM app_house_activities
-       WHERE id = $1`,
-      [id]
-    );
+      ({ rows: updatedActivity } = await client.query(
+        `SELECT
+           id,
+           house_id AS "houseId",
+           activity_id AS "activityId",
+           num,
+           phase,
+           sub_phase AS "subphase",
+           activity,
+           dependance,
+           description,
+           open_date AS "openDate",
+           start_date AS "startDate",
+           completion_date AS "completionDate",
+           status,
+           app_user_id AS "appUserId",
+           approved_by_id AS "approvedById",
+           approved_at AS "approvedAt",
+           remarks,
+           rejected_remarks AS "rejectedRemarks",
+           is_blocked AS "isBlocked"
+         FROM app_house_activities
+         WHERE id = $1`,
+        [id]
+      ));
+
+      await recordActivityEvents(
+        {
+          userId: req.jwtUser.id,
+          houseActivityId: id,
+          projectId: existing[0].projectId,
+          events: houseActivityChanges(existing[0], updatedActivity[0]),
+        },
+        client
+      );
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.json({ houseActivity: updatedActivity[0] });
   } catch (error) {
@@ -626,10 +684,11 @@ router.put("/:id", authenticateJwt, async (req, res) => {
  * /api/house-activities/{id}:
  *   delete:
  *     summary: Delete house activity
- *     description: Delete a house activity (admin only)
+ *     description: Delete a house activity (requires houseActivity.delete in the project)
  *     tags: [House Activities]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -643,19 +702,44 @@ router.put("/:id", authenticateJwt, async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin role required
+ *         description: Forbidden - Missing houseActivity.delete permission in the project
  *       404:
  *         description: House activity not found
+ *       409:
+ *         description: The house's project is archived
  *       500:
  *         description: Server error
  */
 router.delete(
   "/:id",
-  authenticateJwt,
-  requireRole("admin"),
+  authenticateJwtOrApiKey,
   async (req, res) => {
     try {
       const { id } = req.params;
+      const { rows: existing } = await pool.query(
+        `SELECT h.project_id AS "projectId"
+           FROM app_house_activities ha
+           LEFT JOIN app_houses h ON ha.house_id = h.id
+          WHERE ha.id = $1`,
+        [id]
+      );
+      if (
+        existing.length === 0 ||
+        !(await canAccessProject(req, existing[0].projectId))
+      ) {
+        return res.status(404).json({ error: "House activity not found" });
+      }
+      if (
+        !(await hasPermission(req, "houseActivity.delete", existing[0].projectId))
+      ) {
+        return res
+          .status(403)
+          .json({ error: "Forbidden", permission: "houseActivity.delete" });
+      }
+      if (await isProjectArchived(existing[0].projectId)) {
+        return res.status(409).json({ error: "Project is archived" });
+      }
+
       const { rowCount } = await pool.query(
         "DELETE FROM app_house_activities WHERE id = $1",
         [id]
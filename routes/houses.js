@@ -1,16 +1,29 @@
 const express = require("express");
 const router = express.Router();
-const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
+const { pool, generateUUID } = require("./utils");
+const { authenticateJwtOrApiKey } = require("../services/api-keys");
+const {
+  accessibleProjectIds,
+  canAccessProject,
+  isProjectArchived,
+} = require("../services/project-access");
+const { hasPermission } = require("../services/permissions");
+const {
+  validatePlannedDates,
+  isPlannedDatesViolation,
+} = require("../services/schedule");
+const { instantiateHouseActivities } = require("../services/houses");
 
 /**
  * @swagger
  * /api/houses:
  *   get:
  *     summary: Get all houses
- *     description: Retrieve a list of all houses with optional filtering by projectId, coto, or status. Optionally include project details with join.
+ *     description: Retrieve the houses of the projects the caller is a member of (admins see all), with optional filtering by projectId, coto, or status. Optionally include project details with join.
  *     tags: [Houses]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: projectId
@@ -50,7 +63,7 @@ const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
  *       500:
  *         description: Server error
  */
-router.get("/", authenticateJwt, async (req, res) => {
+router.get("/", authenticateJwtOrApiKey, async (req, res) => {
   try {
     const { projectId, coto, status, includeProject } = req.query;
     const includeProjectData =
@@ -72,6 +85,8 @@ router.get("/", authenticateJwt, async (req, res) => {
           h.description,
           h.house_image AS "houseImage",
           h.m2const,
+          h.planned_start_date AS "plannedStartDate",
+          h.planned_end_date AS "plannedEndDate",
           h.completed_activities AS "completedActivities",
           h.total_activities AS "totalActivities",
           h.created_at AS "createdAt",
@@ -102,6 +117,8 @@ router.get("/", authenticateJwt, async (req, res) => {
           description,
           house_image AS "houseImage",
           m2const,
+          planned_start_date AS "plannedStartDate",
+          planned_end_date AS "plannedEndDate",
           completed_activities AS "completedActivities",
           total_activities AS "totalActivities",
           created_at AS "createdAt",
@@ -129,6 +146,13 @@ router.get("/", authenticateJwt, async (req, res) => {
         ? ` AND h.status = $${params.length}`
         : ` AND status = $${params.length}`;
     }
+    const scope = await accessibleProjectIds(req);
+    if (scope) {
+      params.push(scope);
+      query += includeProjectData
+        ? ` AND h.project_id = ANY($${params.length}::uuid[])`
+        : ` AND project_id = ANY($${params.length}::uuid[])`;
+    }
 
     query += includeProjectData
       ? " ORDER BY h.created_at DESC"
@@ -149,6 +173,8 @@ router.get("/", authenticateJwt, async (req, res) => {
           description: house.description,
           houseImage: house.houseImage,
           m2const: house.m2const,
+          plannedStartDate: house.plannedStartDate,
+          plannedEndDate: house.plannedEndDate,
           // completedActivities: house.completedActivities,
           // totalActivities: house.totalActivities,
           // createdAt: house.createdAt,
@@ -186,10 +212,11 @@ router.get("/", authenticateJwt, async (req, res) => {
  * /api/houses/stats:
  *   get:
  *     summary: Get house statistics
- *     description: Returns total houses, completed houses, and active (not completed) houses.
+ *     description: Returns total houses, completed houses, and active (not completed) houses in the projects the caller can see.
  *     tags: [Houses]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: House stats retrieved successfully
@@ -212,7 +239,7 @@ router.get("/", authenticateJwt, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get("/stats", authenticateJwt, async (req, res) => {
+router.get("/stats", authenticateJwtOrApiKey, async (req, res) => {
   try {
     // added stats routes: added quotation marks to alias names to avoid camelCase conversion issues
     const query = `
@@ -221,9 +248,10 @@ router.get("/stats", authenticateJwt, async (req, res) => {
         SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS "completedHouses",
         SUM(CASE WHEN status <> 'completed' THEN 1 ELSE 0 END) AS "activeHouses"
       FROM app_houses
+      WHERE $1::uuid[] IS NULL OR project_id = ANY($1::uuid[])
     `;
     // added stats routes: change to pool.query, from pool.execute to avoid camelCase conversion issues
-    const { rows } = await pool.query(query);
+    const { rows } = await pool.query(query, [await accessibleProjectIds(req)]);
     const stats = rows[0] || {
       totalHouses: 0,
       completedHouses: 0,
@@ -245,6 +273,7 @@ router.get("/stats", authenticateJwt, async (req, res) => {
  *     tags: [Houses]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -274,7 +303,7 @@ router.get("/stats", authenticateJwt, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get("/:id", authenticateJwt, async (req, res) => {
+router.get("/:id", authenticateJwtOrApiKey, async (req, res) => {
   try {
     const { id } = req.params;
     const { includeProject } = req.query;
@@ -297,6 +326,8 @@ router.get("/:id", authenticateJwt, async (req, res) => {
           h.description,
           h.house_image AS "houseImage",
           h.m2const,
+          h.planned_start_date AS "plannedStartDate",
+          h.planned_end_date AS "plannedEndDate",
           h.completed_activities AS "completedActivities",
           h.total_activities AS "totalActivities",
           h.created_at AS "createdAt",
@@ -327,6 +358,8 @@ router.get("/:id", authenticateJwt, async (req, res) => {
           description,
           house_image AS "houseImage",
           m2const,
+          planned_start_date AS "plannedStartDate",
+          planned_end_date AS "plannedEndDate",
           completed_activities AS "completedActivities",
           total_activities AS "totalActivities",
           created_at AS "createdAt",
@@ -337,7 +370,7 @@ router.get("/:id", authenticateJwt, async (req, res) => {
     }
 
     const { rows } = await pool.query(query, params);
-    if (rows.length === 0) {
+    if (rows.length === 0 || !(await canAccessProject(req, rows[0].projectId))) {
       return res.status(404).json({ error: "House not found" });
     }
 
@@ -355,6 +388,8 @@ router.get("/:id", authenticateJwt, async (req, res) => {
         description: house.description,
         houseImage: house.houseImage,
         m2const: house.m2const,
+        plannedStartDate: house.plannedStartDate,
+        plannedEndDate: house.plannedEndDate,
         completedActivities: house.completedActivities,
         totalActivities: house.totalActivities,
         createdAt: house.createdAt,
@@ -389,10 +424,11 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  * /api/houses:
  *   post:
  *     summary: Create new house
- *     description: Create a new house and auto-generate house_activities based on the master activities list (only active activities are used). If the house is created with status 'completed' and has a projectId, the project's housesCompleted count is automatically updated.
+ *     description: Create a new house and auto-generate house_activities based on the master activities list (only active activities are used). The project's totalHouses and housesCompleted counts follow automatically.
  *     tags: [Houses]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -431,6 +467,16 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *                 type: number
  *                 example: 120.5
  *                 description: Construction area in square meters
+ *               plannedStartDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-03-01
+ *                 description: Defaults to the project's plannedStartDate for scheduling
+ *               plannedEndDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-09-30
+ *                 description: The activities' planned durations are scaled to end on this date
  *     responses:
  *       201:
  *         description: House created successfully with auto-generated activities
@@ -442,18 +488,19 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *                 house:
  *                   type: object
  *       400:
- *         description: Invalid input or missing required fields
+ *         description: Invalid input or missing required fields, or plannedEndDate before plannedStartDate
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin or Reviewer role required
+ *         description: Forbidden - Missing house.create permission in the project, or read-only API key
+ *       409:
+ *         description: Project is archived
  *       500:
  *         description: Server error
  */
 router.post(
   "/",
-  authenticateJwt,
-  requireRole("admin", "reviewer"),
+  authenticateJwtOrApiKey,
   async (req, res) => {
     const client = await pool.connect();
     try {
@@ -469,6 +516,8 @@ router.post(
         description,
         houseImage,
         m2const,
+        plannedStartDate,
+        plannedEndDate,
       } = req.body;
 
       // Use houseName if provided, otherwise use name
@@ -483,6 +532,19 @@ router.post(
         return res.status(400).json({ error: "Invalid status" });
       }
 
+      const datesError = validatePlannedDates(req.body);
+      if (datesError) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: datesError });
+      }
+
+      if (!(await hasPermission(req, "house.create", projectId || null))) {
+        await client.query("ROLLBACK");
+        return res
+          .status(403)
+          .json({ error: "Forbidden", permission: "house.create" });
+      }
+
       // Validate projectId exists if provided
       if (projectId) {
         const { rows: projects } = await client.query(
@@ -493,14 +555,18 @@ router.post(
           await client.query("ROLLBACK");
           return res.status(400).json({ error: "Project not found" });
         }
+        if (await isProjectArchived(projectId, client)) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({ error: "Project is archived" });
+        }
       }
 
       // Create house
       const houseId = generateUUID();
       await client.query(
         `INSERT INTO app_houses
-          (id, project_id, coto, name, model, status, progress, description, house_image, m2const, completed_activities, total_activities)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+          (id, project_id, coto, name, model, status, progress, description, house_image, m2const, completed_activities, total_activities, planned_start_date, planned_end_date)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
         [
           houseId,
           projectId || null,
@@ -514,16 +580,14 @@ router.post(
           m2const || null,
           0, // comopleted_activities
           0, // total_activities
+          plannedStartDate || null,
+          plannedEndDate || null,
         ]
       );
 
-      // Get all active activities from master list
-      // Fixed bug: changed is_active to TRUE for proper boolean comparison
-      const { rows: activities } = await client.query(
-        "SELECT * FROM app_activities WHERE is_active = TRUE ORDER BY num ASC"
-      );
-
-      if (!activities || activities.length === 0) {
+      // One pending house activity per active activity of the master list
+      const totalActivities = await instantiateHouseActivities([houseId], client);
+      if (totalActivities === 0) {
         await client.query("ROLLBACK");
         return res.status(400).json({
           error:
@@ -531,47 +595,6 @@ router.post(
         });
       }
 
-      // Generate house_activities for this house
-      const totalActivities = activities.length;
-      const openDate = new Date();
-
-      // Create house_activities for each activity in the master list
-      // Using prepared statement for better performance and security
-      const insertHouseActivityQuery = `
-        INSERT INTO app_house_activities
-          (id, activity_id, num, phase, sub_phase, activity, dependance, description, open_date, status, house_id)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`;
-
-
-      for (const activity of activities) {
-        const houseActivityId = generateUUID();
-        await client.query(insertHouseActivityQuery, [
-          houseActivityId,
-          activity.id,
-          activity.num,
-          activity.phase,
-          activity.sub_phase,
-          activity.activity,
-          activity.dependance,
-          activity.description,
-          openDate,
-          "pending", // Default status when creating house activity
-          houseId,
-        ]);
-      }
-      // Update house with total activities count
-      await client.query(
-        "UPDATE app_houses SET total_activities = $1 WHERE id = $2",
-        [totalActivities, houseId]
-      );
-
-      if (status === "completed" && projectId) {
-        await client.query(
-          "UPDATE app_projects SET houses_completed = houses_completed + 1 WHERE id = $1",
-          [projectId]
-        );
-      }
-
       await client.query("COMMIT");
 
       // Fetch created house
@@ -587,6 +610,8 @@ router.post(
            description,
            house_image AS "houseImage",
            m2const,
+           planned_start_date AS "plannedStartDate",
+           planned_end_date AS "plannedEndDate",
            completed_activities AS "completedActivities",
            total_activities AS "totalActivities",
            created_at AS "createdAt",
@@ -601,6 +626,11 @@ router.post(
       });
     } catch (error) {
       await client.query("ROLLBACK");
+      if (isPlannedDatesViolation(error)) {
+        return res
+          .status(400)
+          .json({ error: "plannedEndDate must not be before plannedStartDate" });
+      }
       return res.status(500).json({ error: error.message });
     } finally {
       client.release();
@@ -613,10 +643,11 @@ router.post(
  * /api/houses/{id}:
  *   put:
  *     summary: Update house
- *     description: Update house information (admin or reviewer only). If completedActivities equals totalActivities and both are greater than 0, the house status is automatically set to 'completed'. When a house status changes to/from 'completed', the project's housesCompleted count is automatically updated.
+ *     description: Update house information (requires house.update in the project). If completedActivities equals totalActivities and both are greater than 0, the house status is automatically set to 'completed'. When the house changes status or project, the projects' totalHouses and housesCompleted counts follow automatically. Houses with planned dates are moved between in_progress and delayed by the periodic schedule check (see /api/projects/{id}/schedule).
  *     tags: [Houses]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -653,6 +684,14 @@ router.post(
  *               m2const:
  *                 type: number
  *                 description: Construction area in square meters
+ *               plannedStartDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               plannedEndDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
  *               completedActivities:
  *                 type: integer
  *               totalActivities:
@@ -668,20 +707,21 @@ router.post(
  *                 house:
  *                   type: object
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or plannedEndDate before plannedStartDate
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin or Reviewer role required
+ *         description: Forbidden - Missing house.update permission in the project, or read-only API key
  *       404:
  *         description: House not found
+ *       409:
+ *         description: The house's project, or the one it would move to, is archived
  *       500:
  *         description: Server error
  */
 router.put(
   "/:id",
-  authenticateJwt,
-  requireRole("admin", "reviewer"),
+  authenticateJwtOrApiKey,
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -695,6 +735,8 @@ router.put(
         description,
         houseImage,
         m2const,
+        plannedStartDate,
+        plannedEndDate,
         completedActivities,
         totalActivities,
       } = req.body;
@@ -710,9 +752,23 @@ router.put(
          WHERE id = $1`,
         [id]
       );
-      if (existing.length === 0) {
+      if (
+        existing.length === 0 ||
+        !(await canAccessProject(req, existing[0].projectId))
+      ) {
         return res.status(404).json({ error: "House not found" });
       }
+      // house.update is needed in the current project and, when the house
+      // moves, in the target project too
+      if (
+        !(await hasPermission(req, "house.update", existing[0].projectId)) ||
+        (projectId !== undefined &&
+          !(await hasPermission(req, "house.update", projectId || null)))
+      ) {
+        return res
+          .status(403)
+          .json({ error: "Forbidden", permission: "house.update" });
+      }
 
       if (projectId !== undefined && projectId !== null) {
         const { rows: projects } = await pool.query(
@@ -723,6 +779,12 @@ router.put(
           return res.status(400).json({ error: "Project not found" });
         }
       }
+      if (
+        (await isProjectArchived(existing[0].projectId)) ||
+        (projectId && (await isProjectArchived(projectId)))
+      ) {
+        return res.status(409).json({ error: "Project is archived" });
+      }
 
       const updates = [];
       const values = [];
@@ -761,6 +823,18 @@ router.put(
         values.push(m2const || null);
         updates.push(`m2const = $${values.length}`);
       }
+      const datesError = validatePlannedDates(req.body);
+      if (datesError) {
+        return res.status(400).json({ error: datesError });
+      }
+      if (plannedStartDate !== undefined) {
+        values.push(plannedStartDate || null);
+        updates.push(`planned_start_date = $${values.length}`);
+      }
+      if (plannedEndDate !== undefined) {
+        values.push(plannedEndDate || null);
+        updates.push(`planned_end_date = $${values.length}`);
+      }
       if (completedActivities !== undefined) {
         values.push(completedActivities);
         updates.push(`completed_activities = $${values.length}`);
@@ -785,9 +859,6 @@ router.put(
           ? totalActivities
           : currentTotalActivities;
       const currentStatus = existing[0].status;
-      const previousProjectId = existing[0].projectId;
-      const newProjectId =
-        projectId !== undefined ? projectId || null : previousProjectId;
 
       // Compute progress as completed / total * 100
       let computedProgress = 0; 
@@ -797,72 +868,31 @@ router.put(
       updates.push("progress = ?");
       values.push(computedProgress);
 
-      let newHouseStatus = currentStatus;
       if (status === undefined) {
         if (
           newCompletedActivities === newTotalActivities &&
           newCompletedActivities !== 0 &&
           currentStatus !== "completed"
         ) {
-          newHouseStatus = "completed";
           values.push("completed");
           updates.push(`status = $${values.length}`);
         } else if (
           newCompletedActivities < newTotalActivities &&
           currentStatus === "completed"
         ) {
-          newHouseStatus = "in_progress";
           values.push("in_progress");
           updates.push(`status = $${values.length}`);
         }
-      } else {
-        newHouseStatus = status;
       }
 
+      // Project counters follow moves and status changes through the
+      // app_houses trigger
       values.push(id);
       const updateQuery = `UPDATE app_houses SET ${updates.join(
         ", "
       )} WHERE id = $${values.length}`;
       await pool.query(updateQuery, values);
 
-      if (previousProjectId !== newProjectId) {
-        if (previousProjectId && currentStatus === "completed") {
-          await pool.query(
-            `UPDATE app_projects
-             SET houses_completed = GREATEST(houses_completed - 1, 0)
-             WHERE id = $1`,
-            [previousProjectId]
-          );
-        }
-        if (newProjectId && newHouseStatus === "completed") {
-          await pool.query(
-            `UPDATE app_projects
-             SET houses_completed = houses_completed + 1
-             WHERE id = $1`,
-            [newProjectId]
-          );
-        }
-      } else if (currentStatus !== newHouseStatus && newProjectId) {
-        if (newHouseStatus === "completed" && currentStatus !== "completed") {
-          await pool.query(
-            `UPDATE app_projects
-             SET houses_completed = houses_completed + 1
-             WHERE id = $1`,
-            [newProjectId]
-          );
-        } else if (
-          newHouseStatus !== "completed" &&
-          currentStatus === "completed"
-        ) {
-          await pool.query(
-            `UPDATE app_projects
-             SET houses_completed = GREATEST(houses_completed - 1, 0)
-             WHERE id = $1`,
-            [newProjectId]
-          );
-        }
-      }
-
       const { rows: houses } = await pool.query(
         `SELECT
            id,
@@ -875,6 +905,8 @@ router.put(
            description,
            house_image AS "houseImage",
            m2const,
+           planned_start_date AS "plannedStartDate",
+           planned_end_date AS "plannedEndDate",
            completed_activities AS "completedActivities",
            total_activities AS "totalActivities",
            created_at AS "createdAt",
@@ -885,6 +917,11 @@ router.put(
       );
       res.json({ house: houses[0] });
     } catch (error) {
+      if (isPlannedDatesViolation(error)) {
+        return res
+          .status(400)
+          .json({ error: "plannedEndDate must not be before plannedStartDate" });
+      }
       res.status(500).json({ error: error.message });
     }
   }
@@ -895,10 +932,11 @@ router.put(
  * /api/houses/{id}:
  *   delete:
  *     summary: Delete house
- *     description: Delete a house (admin only - cascades to house_activities and images)
+ *     description: Delete a house (requires house.delete in the project - cascades to house_activities and images)
  *     tags: [Houses]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -920,33 +958,41 @@ router.put(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin role required
+ *         description: Forbidden - Missing house.delete permission in the project
  *       404:
  *         description: House not found
+ *       409:
+ *         description: The house's project is archived
  *       500:
  *         description: Server error
  */
 router.delete(
   "/:id",
-  authenticateJwt,
-  requireRole("admin"),
+  authenticateJwtOrApiKey,
   async (req, res) => {
     try {
       const { id } = req.params;
 
-      // Get house info before deleting to update project housesCompleted if needed
       const { rows: existing } = await pool.query(
-        `SELECT status, project_id AS "projectId"
+        `SELECT project_id AS "projectId"
          FROM app_houses
          WHERE id = $1`,
         [id]
       );
-      if (existing.length === 0) {
+      if (
+        existing.length === 0 ||
+        !(await canAccessProject(req, existing[0].projectId))
+      ) {
         return res.status(404).json({ error: "House not found" });
       }
-
-      const houseStatus = existing[0].status;
-      const projectId = existing[0].projectId;
+      if (!(await hasPermission(req, "house.delete", existing[0].projectId))) {
+        return res
+          .status(403)
+          .json({ error: "Forbidden", permission: "house.delete" });
+      }
+      if (await isProjectArchived(existing[0].projectId)) {
+        return res.status(409).json({ error: "Project is archived" });
+      }
 
       // Delete house
       const { rows: deleted } = await pool.query(
@@ -957,16 +1003,6 @@ router.delete(
         return res.status(404).json({ error: "House not found" });
       }
 
-      // Update project housesCompleted count if house was completed and had a projectId
-      if (houseStatus === "completed" && projectId) {
-        await pool.query(
-          `UPDATE app_projects
-           SET houses_completed = GREATEST(houses_completed - 1, 0)
-           WHERE id = $1`,
-          [projectId]
-        );
-      }
-
       res.json({ message: "House deleted successfully" });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1,13 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const { pool, authenticateJwt, generateUUID } = require('./utils');
+const {
+  accessibleProjectIds,
+  canAccessProject,
+  isProjectArchived,
+} = require('../services/project-access');
+const { hasPermission } = require('../services/permissions');
+const { recordActivityEvents } = require('../services/activity-events');
+
+// Project of the house an image (or house activity) belongs to
+async function getImageProjectId(imageId) {
+  const { rows } = await pool.query(
+    `SELECT h.project_id AS "projectId"
+       FROM app_images i
+       JOIN app_house_activities ha ON ha.id = i.house_activity_id
+       LEFT JOIN app_houses h ON h.id = ha.house_id
+      WHERE i.id = $1`,
+    [imageId]
+  );
+  return rows.length > 0 ? rows[0].projectId : null;
+}
 
 /**
  * @swagger
  * /api/images:
  *   get:
  *     summary: Get images
- *     description: Retrieve images with optional filtering by houseActivityId
+ *     description: Retrieve images of the projects the caller is a member of (admins see all), with optional filtering by houseActivityId
  *     tags: [Images]
  *     security:
  *       - bearerAuth: []
@@ -44,6 +64,14 @@ router.get('/', authenticateJwt, async (req, res) => {
       params.push(houseActivityId);
       query += ` AND house_activity_id = $${params.length}`;
     }
+    const scope = await accessibleProjectIds(req);
+    if (scope) {
+      params.push(scope);
+      query += ` AND house_activity_id IN (
+        SELECT ha.id FROM app_house_activities ha
+          JOIN app_houses h ON h.id = ha.house_id
+         WHERE h.project_id = ANY($${params.length}::uuid[]))`;
+    }
 
     query += ' ORDER BY uploaded_at DESC';
 
@@ -95,7 +123,7 @@ router.get('/:id', authenticateJwt, async (req, res) => {
        WHERE id = $1`,
       [id]
     );
-    if (rows.length === 0) {
+    if (rows.length === 0 || !(await canAccessProject(req, await getImageProjectId(id)))) {
       return res.status(404).json({ error: 'Image not found' });
     }
     res.json({ image: rows[0] });
@@ -140,8 +168,12 @@ router.get('/:id', authenticateJwt, async (req, res) => {
  *         description: Invalid input or missing required fields
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Missing image.upload permission in the project
  *       404:
  *         description: House activity not found
+ *       409:
+ *         description: The house's project is archived
  *       500:
  *         description: Server error
  */
@@ -157,19 +189,53 @@ router.post('/', authenticateJwt, async (req, res) => {
 
     // Verify house_activity exists
     const { rows: houseActivities } = await pool.query(
-      'SELECT id FROM app_house_activities WHERE id = $1',
+      `SELECT ha.id, h.project_id AS "projectId"
+         FROM app_house_activities ha
+         LEFT JOIN app_houses h ON h.id = ha.house_id
+        WHERE ha.id = $1`,
       [houseActivityId]
     );
-    if (houseActivities.length === 0) {
+    if (
+      houseActivities.length === 0 ||
+      !(await canAccessProject(req, houseActivities[0].projectId))
+    ) {
       return res.status(404).json({ error: 'House activity not found' });
     }
+    if (!(await hasPermission(req, 'image.upload', houseActivities[0].projectId))) {
+      return res.status(403).json({ error: 'Forbidden', permission: 'image.upload' });
+    }
+    if (await isProjectArchived(houseActivities[0].projectId)) {
+      return res.status(409).json({ error: 'Project is archived' });
+    }
 
     const id = generateUUID();
-    await pool.query(
-      `INSERT INTO app_images (id, house_activity_id, app_user_id, url, caption) 
-       VALUES ($1, $2, $3, $4, $5)`,
-      [id, houseActivityId, req.jwtUser.id, url, caption]
-    );
+    // The image and its event commit together
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO app_images (id, house_activity_id, app_user_id, url, caption) 
+         VALUES ($1, $2, $3, $4, $5)`,
+        [id, houseActivityId, req.jwtUser.id, url, caption]
+      );
+      await recordActivityEvents(
+        {
+          userId: req.jwtUser.id,
+          houseActivityId,
+          projectId: houseActivities[0].projectId,
+          events: [
+            { type: 'image_uploaded', details: { imageId: id, url, caption: caption || null } },
+          ],
+        },
+        client
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     const { rows } = await pool.query(
       `SELECT
@@ -194,7 +260,7 @@ router.post('/', authenticateJwt, async (req, res) => {
  * /api/images/{id}:
  *   put:
  *     summary: Update image
- *     description: Update image URL or caption (owner or admin/reviewer only)
+ *     description: Update image URL or caption (owner, or image.updateAny in the project)
  *     tags: [Images]
  *     security:
  *       - bearerAuth: []
@@ -228,6 +294,8 @@ router.post('/', authenticateJwt, async (req, res) => {
  *         description: Forbidden - Cannot update other users' images
  *       404:
  *         description: Image not found
+ *       409:
+ *         description: The house's project is archived
  *       500:
  *         description: Server error
  */
@@ -236,7 +304,7 @@ router.put('/:id', authenticateJwt, async (req, res) => {
     const { id } = req.params;
     const { url, caption } = req.body;
 
-    // Check if image exists and user owns it or is admin/reviewer
+    // Check if image exists and user owns it or may edit any image
     const { rows: existing } = await pool.query(
       `SELECT
          id,
@@ -249,16 +317,18 @@ router.put('/:id', authenticateJwt, async (req, res) => {
        WHERE id = $1`,
       [id]
     );
-    if (existing.length === 0) {
+    const projectId = existing.length > 0 ? await getImageProjectId(id) : null;
+    if (existing.length === 0 || !(await canAccessProject(req, projectId))) {
       return res.status(404).json({ error: 'Image not found' });
     }
 
     const isOwner = existing[0].appUserId === req.jwtUser.id;
-    const isAdminOrReviewer = ['admin', 'reviewer'].includes(req.jwtUser.role);
-
-    if (!isOwner && !isAdminOrReviewer) {
+    if (!isOwner && !(await hasPermission(req, 'image.updateAny', projectId))) {
       return res.status(403).json({ error: 'You can only update your own images' });
     }
+    if (await isProjectArchived(projectId)) {
+      return res.status(409).json({ error: 'Project is archived' });
+    }
 
     // Build update query
     const updates = [];
@@ -303,7 +373,7 @@ router.put('/:id', authenticateJwt, async (req, res) => {
  * /api/images/{id}:
  *   delete:
  *     summary: Delete image
- *     description: Delete an image (owner or admin/reviewer only)
+ *     description: Delete an image (owner, or image.deleteAny in the project)
  *     tags: [Images]
  *     security:
  *       - bearerAuth: []
@@ -323,6 +393,8 @@ router.put('/:id', authenticateJwt, async (req, res) => {
  *         description: Forbidden - Cannot delete other users' images
  *       404:
  *         description: Image not found
+ *       409:
+ *         description: The house's project is archived
  *       500:
  *         description: Server error
  */
@@ -339,16 +411,18 @@ router.delete('/:id', authenticateJwt, async (req, res) => {
        WHERE id = $1`,
       [id]
     );
-    if (existing.length === 0) {
+    const projectId = existing.length > 0 ? await getImageProjectId(id) : null;
+    if (existing.length === 0 || !(await canAccessProject(req, projectId))) {
       return res.status(404).json({ error: 'Image not found' });
     }
 
     const isOwner = existing[0].appUserId === req.jwtUser.id;
-    const isAdminOrReviewer = ['admin', 'reviewer'].includes(req.jwtUser.role);
-
-    if (!isOwner && !isAdminOrReviewer) {
+    if (!isOwner && !(await hasPermission(req, 'image.deleteAny', projectId))) {
       return res.status(403).json({ error: 'You can only delete your own images' });
     }
+    if (await isProjectArchived(projectId)) {
+      return res.status(409).json({ error: 'Project is archived' });
+    }
 
     const { rowCount } = await pool.query('DELETE FROM app_images WHERE id = $1', [id]);
     if (rowCount === 0) {
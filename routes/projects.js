@@ -1,13 +1,30 @@
 const express = require("express");
 const router = express.Router();
-const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
+const { pool, authenticateJwt, generateUUID } = require("./utils");
+const {
+  PROJECT_ROLES,
+  accessibleProjectIds,
+  canAccessProject,
+  listProjectMembers,
+  setProjectMember,
+  removeProjectMember,
+} = require("../services/project-access");
+const { hasPermission, requirePermission } = require("../services/permissions");
+const { checkProjectCounters } = require("../services/project-counters");
+const { getProjectDashboard } = require("../services/project-dashboard");
+const { cloneProject } = require("../services/project-clone");
+const {
+  validatePlannedDates,
+  isPlannedDatesViolation,
+  getProjectSchedule,
+} = require("../services/schedule");
 
 /**
  * @swagger
  * /api/projects:
  *   get:
  *     summary: Get all projects
- *     description: Retrieve a list of all projects with optional filtering by status
+ *     description: Retrieve the projects the caller is a member of (admins see all), with optional filtering by status. Archived projects are left out unless archived is true or all.
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -18,6 +35,13 @@ const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
  *           type: string
  *           enum: [active, completed, not_started]
  *         description: Filter by status
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: string
+ *           enum: ["false", "true", all]
+ *           default: "false"
+ *         description: List active projects only (false), archived ones only (true), or both (all)
  *     responses:
  *       200:
  *         description: List of projects retrieved successfully
@@ -37,8 +61,12 @@ const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
  *                         type: string
  *                       housesCompleted:
  *                         type: integer
+ *                         readOnly: true
+ *                         description: Houses of the project with status completed
  *                       totalHouses:
  *                         type: integer
+ *                         readOnly: true
+ *                         description: Houses of the project
  *                       projectImage:
  *                         type: string
  *                       description:
@@ -46,15 +74,30 @@ const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
  *                       startDate:
  *                         type: string
  *                         format: date
+ *                       plannedStartDate:
+ *                         type: string
+ *                         format: date
+ *                       plannedEndDate:
+ *                         type: string
+ *                         format: date
  *                       status:
  *                         type: string
  *                         enum: [active, completed, not_started]
+ *                       archivedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       archivedById:
+ *                         type: string
+ *                         nullable: true
  *                       createdAt:
  *                         type: string
  *                         format: date-time
  *                       lastUpdatedAt:
  *                         type: string
  *                         format: date-time
+ *       400:
+ *         description: Invalid archived value
  *       401:
  *         description: Unauthorized JWT token - missing or invalid
  *       500:
@@ -62,7 +105,7 @@ const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
  */
 router.get("/", authenticateJwt, async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, archived = "false" } = req.query;
     let query = "SELECT * FROM app_projects WHERE 1=1";
     const params = [];
 
@@ -70,6 +113,20 @@ router.get("/", authenticateJwt, async (req, res) => {
       query += " AND status = ?";
       params.push(status);
     }
+    if (archived === "false") {
+      query += " AND archivedAt IS NULL";
+    } else if (archived === "true") {
+      query += " AND archivedAt IS NOT NULL";
+    } else if (archived !== "all") {
+      return res
+        .status(400)
+        .json({ error: "archived must be true, false or all" });
+    }
+    const scope = await accessibleProjectIds(req);
+    if (scope) {
+      query += " AND id = ANY(?::uuid[])";
+      params.push(scope);
+    }
 
     query += " ORDER BY createdAt DESC";
 
@@ -80,6 +137,106 @@ router.get("/", authenticateJwt, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectCounterDrift:
+ *       type: object
+ *       properties:
+ *         projectId: { type: string }
+ *         title: { type: string }
+ *         stored:
+ *           type: object
+ *           properties:
+ *             totalHouses: { type: integer }
+ *             housesCompleted: { type: integer }
+ *         actual:
+ *           type: object
+ *           properties:
+ *             totalHouses: { type: integer }
+ *             housesCompleted: { type: integer }
+ */
+
+/**
+ * @swagger
+ * /api/projects/consistency:
+ *   get:
+ *     summary: Find projects whose house counters drifted (project.maintain)
+ *     description: Lists every project whose totalHouses or housesCompleted differ from its houses. Nothing is changed.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Projects with drift (empty when all are consistent)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectCounterDrift'
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/consistency",
+  authenticateJwt,
+  requirePermission("project.maintain"),
+  async (req, res) => {
+    try {
+      const projects = await checkProjectCounters();
+      res.json({ projects });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/projects/consistency/repair:
+ *   post:
+ *     summary: Repair drifted house counters of every project (project.maintain)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The projects that were repaired, with their previous and new counters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 repaired:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectCounterDrift'
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/consistency/repair",
+  authenticateJwt,
+  requirePermission("project.maintain"),
+  async (req, res) => {
+    try {
+      const repaired = await checkProjectCounters({ repair: true });
+      res.json({ repaired });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/projects/{id}:
@@ -113,8 +270,12 @@ router.get("/", authenticateJwt, async (req, res) => {
  *                       type: string
  *                     housesCompleted:
  *                       type: integer
+ *                       readOnly: true
+ *                       description: Houses of the project with status completed
  *                     totalHouses:
  *                       type: integer
+ *                       readOnly: true
+ *                       description: Houses of the project
  *                     projectImage:
  *                       type: string
  *                     description:
@@ -122,6 +283,12 @@ router.get("/", authenticateJwt, async (req, res) => {
  *                     startDate:
  *                       type: string
  *                       format: date
+ *                     plannedStartDate:
+ *                       type: string
+ *                       format: date
+ *                     plannedEndDate:
+ *                       type: string
+ *                       format: date
  *                     status:
  *                       type: string
  *                     createdAt:
@@ -144,7 +311,7 @@ router.get("/:id", authenticateJwt, async (req, res) => {
       "SELECT * FROM app_projects WHERE id = ?",
       [id]
     );
-    if (projects.length === 0) {
+    if (projects.length === 0 || !(await canAccessProject(req, id))) {
       return res.status(404).json({ error: "Project not found" });
     }
     res.json({ project: projects[0] });
@@ -158,7 +325,7 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  * /api/projects:
  *   post:
  *     summary: Create new project
- *     description: Create a new construction project (admin or reviewer only)
+ *     description: Create a new construction project (requires project.create)
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -170,18 +337,10 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *             type: object
  *             required:
  *               - title
- *               - totalHouses
  *             properties:
  *               title:
  *                 type: string
  *                 example: Villa del Sol
- *               totalHouses:
- *                 type: integer
- *                 example: 150
- *               housesCompleted:
- *                 type: integer
- *                 default: 0
- *                 example: 0
  *               projectImage:
  *                 type: string
  *                 format: uri
@@ -193,6 +352,15 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *                 type: string
  *                 format: date
  *                 example: 2024-01-15
+ *               plannedStartDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-02-01
+ *                 description: Default planned start of the project's houses
+ *               plannedEndDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-06-30
  *               status:
  *                 type: string
  *                 enum: [active, completed, not_started]
@@ -209,35 +377,34 @@ router.get("/:id", authenticateJwt, async (req, res) => {
  *                 project:
  *                   type: object
  *       400:
- *         description: Invalid input or missing required fields
+ *         description: Invalid input or missing required fields, or plannedEndDate before plannedStartDate
  *       401:
  *         description: Unauthorized JWT token
  *       403:
- *         description: Forbidden - Admin or Reviewer role required
+ *         description: Forbidden - Missing project.create permission
  *       500:
  *         description: Server error
  */
 router.post(
   "/",
   authenticateJwt,
-  requireRole("admin", "reviewer"),
+  requirePermission("project.create"),
   async (req, res) => {
     try {
+      // totalHouses and housesCompleted are derived from the project's houses
       const {
         title,
-        totalHouses,
-        housesCompleted = 0,
         projectImage = null,
         description = null,
         startDate = null,
+        plannedStartDate = null,
+        plannedEndDate = null,
         status = "not_started",
       } = req.body;
 
       // Validate required fields
-      if (!title || totalHouses === null) {
-        return res.status(400).json({
-          error: "title and totalHouses are required",
-        });
+      if (!title) {
+        return res.status(400).json({ error: "title is required" });
       }
 
       // Validate status
@@ -247,42 +414,37 @@ router.post(
         });
       }
 
-      // Validate numbers
-      if (typeof totalHouses !== "number" || totalHouses < 0) {
-        return res
-          .status(400)
-          .json({ error: "totalHouses must be a non-negative number" });
-      }
-
-      if (typeof housesCompleted !== "number" || housesCompleted < 0) {
-        return res
-          .status(400)
-          .json({ error: "housesCompleted must be a non-negative number" });
-      }
-
-      if (housesCompleted > totalHouses) {
-        return res.status(400).json({
-          error: "housesCompleted cannot be greater than totalHouses",
-        });
+      const datesError = validatePlannedDates(req.body);
+      if (datesError) {
+        return res.status(400).json({ error: datesError });
       }
 
       // Create project
       const projectId = generateUUID();
       await pool.execute(
-        `INSERT INTO app_projects (id, title, housesCompleted, totalHouses, projectImage, description, startDate, status)
+        `INSERT INTO app_projects (id, title, projectImage, description, startDate, plannedStartDate, plannedEndDate, status)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           projectId,
           title,
-          housesCompleted,
-          totalHouses,
           projectImage,
           description,
           startDate,
+          plannedStartDate,
+          plannedEndDate,
           status,
         ]
       );
 
+      // Reviewers that create a project become its first member
+      if (req.jwtUser.role !== "admin") {
+        await pool.query(
+          `INSERT INTO app_project_members (project_id, user_id, role)
+           VALUES ($1, $2, $3)`,
+          [projectId, req.jwtUser.id, req.jwtUser.role]
+        );
+      }
+
       // Fetch created project
       const [projects] = await pool.execute(
         "SELECT * FROM app_projects WHERE id = ?",
@@ -290,6 +452,11 @@ router.post(
       );
       res.status(201).json({ project: projects[0] });
     } catch (error) {
+      if (isPlannedDatesViolation(error)) {
+        return res
+          .status(400)
+          .json({ error: "plannedEndDate must not be before plannedStartDate" });
+      }
       res.status(500).json({ error: error.message });
     }
   }
@@ -300,7 +467,7 @@ router.post(
  * /api/projects/{id}:
  *   put:
  *     summary: Update project
- *     description: Update project information (admin or reviewer only)
+ *     description: Update project information (requires project.update in the project)
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -321,10 +488,6 @@ router.post(
  *             properties:
  *               title:
  *                 type: string
- *               totalHouses:
- *                 type: integer
- *               housesCompleted:
- *                 type: integer
  *               projectImage:
  *                 type: string
  *                 format: uri
@@ -333,6 +496,14 @@ router.post(
  *               startDate:
  *                 type: string
  *                 format: date
+ *               plannedStartDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               plannedEndDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
  *               status:
  *                 type: string
  *                 enum: [active, completed, not_started]
@@ -347,30 +518,32 @@ router.post(
  *                 project:
  *                   type: object
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or plannedEndDate before plannedStartDate
  *       401:
  *         description: Unauthorized JWT token
  *       403:
- *         description: Forbidden - Admin or Reviewer role required
+ *         description: Forbidden - Missing project.update permission in the project
  *       404:
  *         description: Project not found
+ *       409:
+ *         description: Project is archived
  *       500:
  *         description: Server error
  */
 router.put(
   "/:id",
   authenticateJwt,
-  requireRole("admin", "reviewer"),
   async (req, res) => {
     try {
       const { id } = req.params;
+      // totalHouses and housesCompleted are derived from the project's houses
       const {
         title,
-        totalHouses,
-        housesCompleted,
         projectImage,
         description,
         startDate,
+        plannedStartDate,
+        plannedEndDate,
         status,
       } = req.body;
 
@@ -379,9 +552,17 @@ router.put(
         "SELECT * FROM app_projects WHERE id = ?",
         [id]
       );
-      if (existing.length === 0) {
+      if (existing.length === 0 || !(await canAccessProject(req, id))) {
         return res.status(404).json({ error: "Project not found" });
       }
+      if (!(await hasPermission(req, "project.update", id))) {
+        return res
+          .status(403)
+          .json({ error: "Forbidden", permission: "project.update" });
+      }
+      if (existing[0].archivedAt) {
+        return res.status(409).json({ error: "Project is archived" });
+      }
 
       // Build update query
       const updates = [];
@@ -397,24 +578,6 @@ router.put(
         updates.push("title = ?");
         values.push(title);
       }
-      if (totalHouses !== undefined) {
-        if (typeof totalHouses !== "number" || totalHouses < 0) {
-          return res
-            .status(400)
-            .json({ error: "totalHouses must be a non-negative number" });
-        }
-        updates.push("totalHouses = ?");
-        values.push(totalHouses);
-      }
-      if (housesCompleted !== undefined) {
-        if (typeof housesCompleted !== "number" || housesCompleted < 0) {
-          return res
-            .status(400)
-            .json({ error: "housesCompleted must be a non-negative number" });
-        }
-        updates.push("housesCompleted = ?");
-        values.push(housesCompleted);
-      }
       if (projectImage !== undefined) {
         updates.push("projectImage = ?");
         values.push(projectImage);
@@ -427,6 +590,18 @@ router.put(
         updates.push("startDate = ?");
         values.push(startDate);
       }
+      const datesError = validatePlannedDates(req.body);
+      if (datesError) {
+        return res.status(400).json({ error: datesError });
+      }
+      if (plannedStartDate !== undefined) {
+        updates.push("plannedStartDate = ?");
+        values.push(plannedStartDate);
+      }
+      if (plannedEndDate !== undefined) {
+        updates.push("plannedEndDate = ?");
+        values.push(plannedEndDate);
+      }
       if (status) {
         if (!["active", "completed", "not_started"].includes(status)) {
           return res.status(400).json({ error: "Invalid status" });
@@ -435,19 +610,6 @@ router.put(
         values.push(status);
       }
 
-      // Validate that housesCompleted doesn't exceed totalHouses
-      const currentTotal =
-        totalHouses !== undefined ? totalHouses : existing[0].totalHouses;
-      const currentCompleted =
-        housesCompleted !== undefined
-          ? housesCompleted
-          : existing[0].housesCompleted;
-      if (currentCompleted > currentTotal) {
-        return res.status(400).json({
-          error: "housesCompleted cannot be greater than totalHouses",
-        });
-      }
-
       if (updates.length === 0) {
         return res.status(400).json({ error: "No fields to update" });
       }
@@ -464,6 +626,11 @@ router.put(
       );
       res.json({ project: projects[0] });
     } catch (error) {
+      if (isPlannedDatesViolation(error)) {
+        return res
+          .status(400)
+          .json({ error: "plannedEndDate must not be before plannedStartDate" });
+      }
       res.status(500).json({ error: error.message });
     }
   }
@@ -474,7 +641,7 @@ router.put(
  * /api/projects/{id}:
  *   delete:
  *     summary: Delete project
- *     description: Delete a project (admin only)
+ *     description: Delete a project (requires project.delete)
  *     tags: [Projects]
  *     security:
  *       - bearerAuth: []
@@ -499,16 +666,18 @@ router.put(
  *       401:
  *         description: Unauthorized JWT token
  *       403:
- *         description: Forbidden - Admin role required
+ *         description: Forbidden - Missing project.delete permission
  *       404:
  *         description: Project not found
+ *       409:
+ *         description: Project is archived
  *       500:
  *         description: Server error
  */
 router.delete(
   "/:id",
   authenticateJwt,
-  requireRole("admin"),
+  requirePermission("project.delete"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -521,6 +690,9 @@ router.delete(
       if (existing.length === 0) {
         return res.status(404).json({ error: "Project not found" });
       }
+      if (existing[0].archivedAt) {
+        return res.status(409).json({ error: "Project is archived" });
+      }
 
       // Check if project has houses (optional: prevent deletion if houses exist)
       const [houses] = await pool.execute(
@@ -548,4 +720,747 @@ router.delete(
   }
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectMember:
+ *       type: object
+ *       properties:
+ *         userId: { type: string }
+ *         email: { type: string }
+ *         firstName: { type: string }
+ *         lastName: { type: string }
+ *         userImage: { type: string }
+ *         isActive: { type: boolean }
+ *         role: { type: string, enum: [surveyor, reviewer, admin], description: Role in this project }
+ *         createdAt: { type: string, format: date-time }
+ */
+
+/**
+ * @swagger
+ * /api/projects/{id}/recalculate:
+ *   post:
+ *     summary: Recalculate a project's house counters (project.maintain)
+ *     description: Recounts totalHouses and housesCompleted from the project's houses.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Counters after recalculation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 repaired: { type: boolean, description: Whether the stored counters were wrong }
+ *                 drift:
+ *                   $ref: '#/components/schemas/ProjectCounterDrift'
+ *                 project:
+ *                   type: object
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/recalculate",
+  authenticateJwt,
+  requirePermission("project.maintain"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const [existing] = await pool.execute(
+        "SELECT id FROM app_projects WHERE id = ?",
+        [id]
+      );
+      if (existing.length === 0) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+
+      const [drift] = await checkProjectCounters({ projectId: id, repair: true });
+      const [projects] = await pool.execute(
+        "SELECT * FROM app_projects WHERE id = ?",
+        [id]
+      );
+      res.json({ repaired: Boolean(drift), drift: drift || null, project: projects[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/projects/{id}/dashboard:
+ *   get:
+ *     summary: Project dashboard
+ *     description: >
+ *       House counts by status, overall progress (completed house activities over all
+ *       house activities), progress per phase and sub-phase across all houses, house
+ *       activity counts by status, the slowest unfinished houses (least progress per
+ *       day since they were created) and the latest entries of the activity log.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: slowest
+ *         schema: { type: integer, default: 5, maximum: 50 }
+ *         description: Number of slowest houses to list
+ *       - in: query
+ *         name: recent
+ *         schema: { type: integer, default: 20, maximum: 100 }
+ *         description: Number of activity log entries to list
+ *     responses:
+ *       200:
+ *         description: Dashboard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project: { type: object }
+ *                 houses:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer }
+ *                     byStatus: { type: object, example: { in_progress: 40, completed: 12, delayed: 3 } }
+ *                 activities:
+ *                   type: object
+ *                   properties:
+ *                     total: { type: integer }
+ *                     byStatus: { type: object, example: { pending: 900, in_progress: 120, review: 14, completed: 600, blocked: 2, rejected: 5 } }
+ *                     inReview: { type: integer }
+ *                     rejected: { type: integer }
+ *                     blocked: { type: integer }
+ *                 progress: { type: number, example: 37.5, description: Percent of house activities completed }
+ *                 phases:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       phase: { type: string }
+ *                       total: { type: integer }
+ *                       completed: { type: integer }
+ *                       inReview: { type: integer }
+ *                       rejected: { type: integer }
+ *                       blocked: { type: integer }
+ *                       progress: { type: number }
+ *                       subPhases:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             subPhase: { type: string }
+ *                             total: { type: integer }
+ *                             completed: { type: integer }
+ *                             inReview: { type: integer }
+ *                             rejected: { type: integer }
+ *                             blocked: { type: integer }
+ *                             progress: { type: number }
+ *                 slowestHouses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       houseName: { type: string }
+ *                       coto: { type: string }
+ *                       model: { type: string }
+ *                       status: { type: string }
+ *                       progress: { type: number }
+ *                       completedActivities: { type: integer }
+ *                       totalActivities: { type: integer }
+ *                       daysOpen: { type: integer }
+ *                       progressPerDay: { type: number }
+ *                       openIssues: { type: integer, description: Rejected or blocked activities }
+ *                 recentActivity:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       type: { type: string }
+ *                       createdAt: { type: string, format: date-time }
+ *                       fromStatus: { type: string, nullable: true }
+ *                       toStatus: { type: string, nullable: true }
+ *                       details: { type: object, nullable: true }
+ *                       userId: { type: string }
+ *                       firstName: { type: string }
+ *                       lastName: { type: string }
+ *                       houseActivityId: { type: string }
+ *                       activity: { type: string }
+ *                       houseId: { type: string }
+ *                       houseName: { type: string }
+ *       401:
+ *         description: Unauthorized JWT token
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/dashboard", authenticateJwt, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [projects] = await pool.execute(
+      "SELECT * FROM app_projects WHERE id = ?",
+      [id]
+    );
+    if (projects.length === 0 || !(await canAccessProject(req, id))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const dashboard = await getProjectDashboard(id, {
+      slowest: Math.min(Math.max(parseInt(req.query.slowest, 10) || 5, 1), 50),
+      recent: Math.min(Math.max(parseInt(req.query.recent, 10) || 20, 1), 100),
+    });
+    res.json({ project: projects[0], ...dashboard });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/schedule:
+ *   get:
+ *     summary: Project schedule variance
+ *     description: >
+ *       Planned against actual progress of every house of the project, as of today.
+ *       A house's activities are planned back to back in master list order from its
+ *       plannedStartDate (else the project's plannedStartDate, else its startDate), each
+ *       lasting the activity's plannedDurationDays, scaled to end on the house's
+ *       plannedEndDate when it has one. plannedProgress is the percent of its activities
+ *       planned to be finished by today; houses more than SCHEDULE_DELAY_TOLERANCE points
+ *       behind are behind, and a periodic check sets their status to delayed.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project: { type: object }
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     houses: { type: integer }
+ *                     scheduled: { type: integer, description: Houses with a planned start }
+ *                     behind: { type: integer }
+ *                     delayed: { type: integer, description: Houses with status delayed }
+ *                     progress: { type: number, nullable: true, description: Average progress of the scheduled houses }
+ *                     plannedProgress: { type: number, nullable: true }
+ *                     variance: { type: number, nullable: true, description: progress minus plannedProgress }
+ *                 houses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       houseName: { type: string }
+ *                       coto: { type: string }
+ *                       model: { type: string }
+ *                       status: { type: string, enum: [in_progress, completed, delayed] }
+ *                       progress: { type: number }
+ *                       completedActivities: { type: integer }
+ *                       totalActivities: { type: integer }
+ *                       plannedStartDate: { type: string, format: date, nullable: true }
+ *                       plannedEndDate: { type: string, format: date, nullable: true }
+ *                       plannedProgress: { type: number, nullable: true }
+ *                       variance: { type: number, nullable: true, example: -12.5 }
+ *                       nextDueDate: { type: string, format: date, nullable: true, description: Earliest planned end of its unfinished activities }
+ *                       daysBehind: { type: integer, description: Days since nextDueDate passed }
+ *                       isBehind: { type: boolean }
+ *       401:
+ *         description: Unauthorized JWT token
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/schedule", authenticateJwt, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [projects] = await pool.execute(
+      "SELECT * FROM app_projects WHERE id = ?",
+      [id]
+    );
+    if (projects.length === 0 || !(await canAccessProject(req, id))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const schedule = await getProjectSchedule(id);
+    res.json({ project: projects[0], ...schedule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/clone:
+ *   post:
+ *     summary: Clone a project
+ *     description: >
+ *       Creates a new not_started project from this one, copying its title, description
+ *       and image (each can be overridden). With includeHouses the house roster (name,
+ *       coto, model, m2const) is copied too, each house getting fresh house activities
+ *       from the current master list. Status, dates, progress, images, members and
+ *       history are not copied. Requires project.create; archived projects can be cloned.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: Project to copy
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title: { type: string, description: Defaults to the source title followed by (copy) }
+ *               description: { type: string }
+ *               projectImage: { type: string, format: uri }
+ *               startDate: { type: string, format: date }
+ *               plannedStartDate: { type: string, format: date }
+ *               plannedEndDate: { type: string, format: date }
+ *               includeHouses: { type: boolean, default: false }
+ *     responses:
+ *       201:
+ *         description: Project created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project: { type: object }
+ *                 housesCloned: { type: integer }
+ *       400:
+ *         description: Invalid input, or no active activities to instantiate on the houses
+ *       401:
+ *         description: Unauthorized JWT token
+ *       403:
+ *         description: Forbidden - Missing project.create permission
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/clone",
+  authenticateJwt,
+  requirePermission("project.create"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
+        title,
+        description,
+        projectImage,
+        startDate,
+        plannedStartDate,
+        plannedEndDate,
+        includeHouses = false,
+      } = req.body;
+
+      if (!(await canAccessProject(req, id))) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+      if (title !== undefined && (typeof title !== "string" || title.trim() === "")) {
+        return res.status(400).json({ error: "title cannot be empty" });
+      }
+      if (typeof includeHouses !== "boolean") {
+        return res.status(400).json({ error: "includeHouses must be a boolean" });
+      }
+      const datesError = validatePlannedDates(req.body);
+      if (datesError) {
+        return res.status(400).json({ error: datesError });
+      }
+
+      // Reviewers that clone a project become its first member, as on create
+      const { projectId, houses } = await cloneProject(id, {
+        overrides: {
+          title,
+          description,
+          projectImage,
+          startDate,
+          plannedStartDate,
+          plannedEndDate,
+        },
+        includeHouses,
+        member:
+          req.jwtUser.role !== "admin"
+            ? { userId: req.jwtUser.id, role: req.jwtUser.role }
+            : null,
+      });
+
+      const [projects] = await pool.execute(
+        "SELECT * FROM app_projects WHERE id = ?",
+        [projectId]
+      );
+      res.status(201).json({ project: projects[0], housesCloned: houses });
+    } catch (error) {
+      if (isPlannedDatesViolation(error)) {
+        return res
+          .status(400)
+          .json({ error: "plannedEndDate must not be before plannedStartDate" });
+      }
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/projects/{id}/archive:
+ *   post:
+ *     summary: Archive a completed project (project.archive)
+ *     description: >
+ *       Hides the project from the default project list. It stays readable (GET by id,
+ *       houses, house activities, images, dashboard, schedule) but the project, its houses,
+ *       house activities and images cannot be changed until it is unarchived. Members
+ *       can still be managed.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Project archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project: { type: object }
+ *       400:
+ *         description: Only completed projects can be archived
+ *       403:
+ *         description: Forbidden - Missing project.archive permission in the project
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Project is already archived
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/archive", authenticateJwt, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [existing] = await pool.execute(
+      "SELECT * FROM app_projects WHERE id = ?",
+      [id]
+    );
+    if (existing.length === 0 || !(await canAccessProject(req, id))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!(await hasPermission(req, "project.archive", id))) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden", permission: "project.archive" });
+    }
+    if (existing[0].archivedAt) {
+      return res.status(409).json({ error: "Project is already archived" });
+    }
+    if (existing[0].status !== "completed") {
+      return res
+        .status(400)
+        .json({ error: "Only completed projects can be archived" });
+    }
+
+    await pool.execute(
+      "UPDATE app_projects SET archivedAt = NOW(), archivedById = ? WHERE id = ?",
+      [req.jwtUser.id, id]
+    );
+    const [projects] = await pool.execute(
+      "SELECT * FROM app_projects WHERE id = ?",
+      [id]
+    );
+    res.json({ project: projects[0] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/unarchive:
+ *   post:
+ *     summary: Restore an archived project (project.archive)
+ *     description: The project is listed by default and can be changed again.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Project restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 project: { type: object }
+ *       403:
+ *         description: Forbidden - Missing project.archive permission in the project
+ *       404:
+ *         description: Project not found
+ *       409:
+ *         description: Project is not archived
+ *       500:
+ *         description: Server error
+ */
+router.post("/:id/unarchive", authenticateJwt, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [existing] = await pool.execute(
+      "SELECT * FROM app_projects WHERE id = ?",
+      [id]
+    );
+    if (existing.length === 0 || !(await canAccessProject(req, id))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!(await hasPermission(req, "project.archive", id))) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden", permission: "project.archive" });
+    }
+    if (!existing[0].archivedAt) {
+      return res.status(409).json({ error: "Project is not archived" });
+    }
+
+    await pool.execute(
+      "UPDATE app_projects SET archivedAt = NULL, archivedById = NULL WHERE id = ?",
+      [id]
+    );
+    const [projects] = await pool.execute(
+      "SELECT * FROM app_projects WHERE id = ?",
+      [id]
+    );
+    res.json({ project: projects[0] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   get:
+ *     summary: List project members
+ *     description: Visible to the project's members and to admins
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Members with their project role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectMember'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/:id/members", authenticateJwt, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [projects] = await pool.execute(
+      "SELECT id FROM app_projects WHERE id = ?",
+      [id]
+    );
+    if (projects.length === 0 || !(await canAccessProject(req, id))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.json({ members: await listProjectMembers(id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Add a project member or change their role
+ *     description: Requires project.manageMembers in this project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [surveyor, reviewer, admin]
+ *     responses:
+ *       200:
+ *         description: Member saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 member:
+ *                   $ref: '#/components/schemas/ProjectMember'
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Forbidden - Missing project.manageMembers permission in the project
+ *       404:
+ *         description: Project or user not found
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id/members/:userId", authenticateJwt, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+    if (!PROJECT_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid role. Must be surveyor, reviewer, or admin" });
+    }
+
+    const [projects] = await pool.execute(
+      "SELECT id FROM app_projects WHERE id = ?",
+      [id]
+    );
+    if (projects.length === 0 || !(await canAccessProject(req, id))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!(await hasPermission(req, "project.manageMembers", id))) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden", permission: "project.manageMembers" });
+    }
+
+    const member = await setProjectMember(id, userId, role);
+    res.json({ member });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a project member
+ *     description: Requires project.manageMembers in this project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Forbidden - Missing project.manageMembers permission in the project
+ *       404:
+ *         description: Project or member not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id/members/:userId", authenticateJwt, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const [projects] = await pool.execute(
+      "SELECT id FROM app_projects WHERE id = ?",
+      [id]
+    );
+    if (projects.length === 0 || !(await canAccessProject(req, id))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (!(await hasPermission(req, "project.manageMembers", id))) {
+      return res
+        .status(403)
+        .json({ error: "Forbidden", permission: "project.manageMembers" });
+    }
+
+    await removeProjectMember(id, userId);
+    res.json({ message: "Member removed successfully" });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
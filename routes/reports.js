@@ -0,0 +1,109 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateJwt } = require("./utils");
+const { parsePeriod, getWorkload } = require("../services/workload");
+const { permissionScope } = require("../services/permissions");
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Reports
+ *     description: Aggregated figures for supervisors
+ * components:
+ *   schemas:
+ *     Workload:
+ *       type: object
+ *       properties:
+ *         userId: { type: string }
+ *         firstName: { type: string }
+ *         lastName: { type: string }
+ *         email: { type: string }
+ *         role: { type: string }
+ *         isActive: { type: boolean }
+ *         open:
+ *           type: object
+ *           description: House activities assigned to the user right now
+ *           properties:
+ *             assigned: { type: integer, description: Not completed }
+ *             pending: { type: integer }
+ *             inProgress: { type: integer }
+ *             inReview: { type: integer }
+ *             blocked: { type: integer }
+ *             rejected: { type: integer }
+ *         period:
+ *           type: object
+ *           description: Output within from/to (all time when omitted)
+ *           properties:
+ *             completed: { type: integer, description: Completed (completion date) in the period }
+ *             rejected: { type: integer, description: Currently rejected and last updated in the period }
+ *             rejectionRate: { type: number, nullable: true, example: 0.125, description: "rejected / (completed + rejected)" }
+ *             averageCycleTimeDays: { type: number, nullable: true, description: Average days from start date to completion date of the completed activities }
+ *   parameters:
+ *     PeriodFrom:
+ *       in: query
+ *       name: from
+ *       schema: { type: string, format: date }
+ *       description: Start of the period (inclusive)
+ *     PeriodTo:
+ *       in: query
+ *       name: to
+ *       schema: { type: string, format: date }
+ *       description: End of the period (inclusive for a date, exclusive for a timestamp)
+ */
+
+/**
+ * @swagger
+ * /api/reports/workload:
+ *   get:
+ *     summary: Workload and productivity per assignee (report.workload)
+ *     description: >
+ *       One entry per user with house activities assigned in the projects where the
+ *       caller holds report.workload (every project for admins), or in projectId.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/PeriodFrom'
+ *       - $ref: '#/components/parameters/PeriodTo'
+ *     responses:
+ *       200:
+ *         description: Workload per assignee
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from: { type: string, format: date-time, nullable: true }
+ *                 to: { type: string, format: date-time, nullable: true }
+ *                 workload:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Workload'
+ *       400:
+ *         description: Invalid from or to
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get("/workload", authenticateJwt, async (req, res) => {
+  try {
+    const period = parsePeriod(req.query);
+    if (period.error) return res.status(400).json({ error: period.error });
+
+    const scope = await permissionScope(req, "report.workload", req.query.projectId);
+    if (scope.forbidden) {
+      return res.status(403).json({ error: "Forbidden", permission: "report.workload" });
+    }
+
+    const workload = await getWorkload({ projectIds: scope.projectIds, ...period });
+    res.json({ from: period.from, to: period.to, workload });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,57 +1,1730 @@
 const express = require("express");
 const router = express.Router();
-const bcrypt = require("bcryptjs");
-const { pool, authenticateJwt, requireRole, generateUUID } = require("./utils");
+const crypto = require("crypto");
+const multer = require("multer");
+const { pool, authenticateJwt, generateUUID } = require("./utils");
+const {
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+} = require("../services/invitations");
+const { unlockAccount } = require("../services/auth-throttle");
+const {
+  listActiveSessions,
+  revokeSession,
+  revokeUserTokens,
+} = require("../services/tokens");
+const { listLoginEvents } = require("../services/login-events");
+const { sendVerificationEmail } = require("../services/email-verification");
+const { checkPassword, setUserPassword } = require("../services/password-policy");
+const {
+  SORT_COLUMNS,
+  MAX_PAGE_SIZE,
+  listUsers,
+  exportUsers,
+  lookupUsers,
+} = require("../services/user-directory");
+const { validateImport, importUsers } = require("../services/user-import");
+const { toCsv } = require("../services/csv");
+const {
+  LOCALES,
+  DEFAULT_PREFERENCES,
+  validatePreferences,
+  getPreferences,
+  getStoredPreferences,
+  updatePreferences,
+  formatDateTime,
+} = require("../services/preferences");
+const { parsePeriod, getUserWorkload } = require("../services/workload");
+const { EVENT_TYPES, listUserTimeline } = require("../services/activity-events");
+const { canAccessProject } = require("../services/project-access");
+const { offboardUser, hasAttributedWork } = require("../services/offboarding");
+const {
+  AVATAR_MAX_BYTES,
+  setAvatar,
+  removeAvatar,
+  deleteAvatarFiles,
+} = require("../services/avatars");
+const {
+  hasPermission,
+  requirePermission,
+  permissionScope,
+  getEffectivePermissions,
+} = require("../services/permissions");
 
 /**
  * @swagger
  * tags:
  *   - name: Users
  *     description: User management
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         userId: { type: string, nullable: true }
+ *         email: { type: string }
+ *         firstName: { type: string }
+ *         lastName: { type: string }
+ *         role: { type: string }
+ *         projectIds: { type: array, items: { type: string } }
+ *         status: { type: string, enum: [pending, expired, accepted, revoked] }
+ *         invitedById: { type: string }
+ *         createdAt: { type: string, format: date-time }
+ *         lastSentAt: { type: string, format: date-time }
+ *         expiresAt: { type: string, format: date-time }
+ *         acceptedAt: { type: string, format: date-time }
+ *         revokedAt: { type: string, format: date-time }
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         userId: { type: string }
+ *         email: { type: string }
+ *         method: { type: string, example: password }
+ *         ipAddress: { type: string }
+ *         userAgent: { type: string }
+ *         createdAt: { type: string, format: date-time }
+ *         lastUsedAt: { type: string, format: date-time }
+ *         expiresAt: { type: string, format: date-time }
+ *         current: { type: boolean, description: Only in GET /auth/sessions }
+ *     LoginEvent:
+ *       type: object
+ *       properties:
+ *         id: { type: string }
+ *         userId: { type: string, nullable: true }
+ *         email: { type: string }
+ *         method: { type: string, example: password, description: "password, google, register, invite or oidc:<provider>" }
+ *         ipAddress: { type: string }
+ *         userAgent: { type: string }
+ *         success: { type: boolean }
+ *         failureReason: { type: string, nullable: true }
+ *         createdAt: { type: string, format: date-time }
+ *     Preferences:
+ *       type: object
+ *       properties:
+ *         locale: { type: string, enum: [en, es], description: Language of emails sent to the user }
+ *         timezone: { type: string, example: America/Mexico_City }
+ *         dateFormat: { type: string, enum: [iso, dmy, mdy], description: "YYYY-MM-DD, DD/MM/YYYY or MM/DD/YYYY" }
+ *         notificationChannels: { type: array, items: { type: string, enum: [email] }, description: "Where the digest is sent; empty for no digest" }
+ *         digestFrequency: { type: string, enum: [none, daily, weekly], description: "How often the user gets an email summary of their open activities and changes to them" }
  */
 
+// Directory filters and sorting shared by the list and the CSV export;
+// returns { error } when a parameter is invalid
+function parseDirectoryQuery(query) {
+  const {
+    q,
+    role,
+    isActive,
+    isServiceAccount,
+    projectId,
+    sort = "createdAt",
+    order = "desc",
+  } = query;
+  if (role && !["surveyor", "reviewer", "admin"].includes(role)) {
+    return { error: "Invalid role" };
+  }
+  if (!SORT_COLUMNS[sort]) {
+    return { error: `sort must be one of ${Object.keys(SORT_COLUMNS).join(", ")}` };
+  }
+  if (!["asc", "desc"].includes(order)) {
+    return { error: "order must be asc or desc" };
+  }
+  return {
+    q,
+    role,
+    isActive: isActive === undefined ? undefined : isActive === "true",
+    isServiceAccount:
+      isServiceAccount === undefined ? undefined : isServiceAccount === "true",
+    projectId,
+    sort,
+    order,
+  };
+}
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Search the user directory
+ *     description: Paginated, filterable and sortable list of users (user.read).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *         description: Matches first name, last name, full name or email
+ *       - in: query
+ *         name: role
+ *         schema: { type: string, enum: [surveyor, reviewer, admin] }
+ *       - in: query
+ *         name: isActive
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: isServiceAccount
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: string }
+ *         description: Only members of this project
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [firstName, lastName, email, role, isActive, createdAt, lastLoginAt], default: createdAt }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc], default: desc }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: One page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total: { type: integer, description: Users matching the filters }
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 totalPages: { type: integer }
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       email: { type: string }
+ *                       firstName: { type: string }
+ *                       lastName: { type: string }
+ *                       userImage: { type: string }
+ *                       role: { type: string }
+ *                       isActive: { type: boolean }
+ *                       isServiceAccount: { type: boolean }
+ *                       emailVerifiedAt: { type: string, format: date-time, nullable: true }
+ *                       createdAt: { type: string, format: date-time }
+ *                       lastLoginAt: { type: string, format: date-time, nullable: true }
+ *       400:
+ *         description: Invalid filter, sort or paging parameter
+ *       403:
+ *         description: Forbidden user
+ *       500:
+ *         description: Server error 
+ */
+router.get(
+  "/",
+  authenticateJwt,
+  requirePermission("user.read"),
+  async (req, res) => {
+    try {
+      const filters = parseDirectoryQuery(req.query);
+      if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+      }
+
+      const result = await listUsers({
+        ...filters,
+        page: Math.max(parseInt(req.query.page, 10) || 1, 1),
+        limit: Math.min(
+          Math.max(parseInt(req.query.limit, 10) || 50, 1),
+          MAX_PAGE_SIZE
+        ),
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/lookup:
+ *   get:
+ *     summary: Find users for assignee pickers
+ *     description: >
+ *       Minimal profiles of active users (no service accounts), for any signed-in
+ *       user. Without user.read only members of the caller's projects are
+ *       returned; with projectId only members of that project.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *         description: Matches full name or email
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *     responses:
+ *       200:
+ *         description: Matching users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       firstName: { type: string }
+ *                       lastName: { type: string }
+ *                       email: { type: string }
+ *                       userImage: { type: string }
+ *                       role: { type: string }
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/lookup", authenticateJwt, async (req, res) => {
+  try {
+    const { q, projectId } = req.query;
+    if (projectId && !(await canAccessProject(req, projectId))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const users = await lookupUsers(req, {
+      q,
+      projectId,
+      canReadAll: await hasPermission(req, "user.read"),
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50),
+    });
+    res.json({ users });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/export:
+ *   get:
+ *     summary: Export the user directory as CSV (user.read)
+ *     description: >
+ *       Every user matching the same filters and sorting as GET /api/users, without
+ *       paging. Dates follow the caller's time zone and date format (see
+ *       /api/users/me/preferences). The email, first name, last name, role and
+ *       projects columns can be imported again through POST /api/users/import.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *       - in: query
+ *         name: role
+ *         schema: { type: string, enum: [surveyor, reviewer, admin] }
+ *       - in: query
+ *         name: isActive
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: isServiceAccount
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [firstName, lastName, email, role, isActive, createdAt, lastLoginAt], default: createdAt }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc], default: desc }
+ *     responses:
+ *       200:
+ *         description: CSV file, one user per row
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter or sort parameter
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/export",
+  authenticateJwt,
+  requirePermission("user.read"),
+  async (req, res) => {
+    try {
+      const filters = parseDirectoryQuery(req.query);
+      if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+      }
+
+      const [users, preferences] = await Promise.all([
+        exportUsers(filters),
+        getPreferences(req.jwtUser.id),
+      ]);
+      const csv = toCsv([
+        [
+          "email",
+          "first name",
+          "last name",
+          "role",
+          "projects",
+          "active",
+          "service account",
+          "email verified at",
+          "last login at",
+          "created at",
+        ],
+        ...users.map((user) => [
+          user.email,
+          user.firstName,
+          user.lastName,
+          user.role,
+          user.projects.join("; "),
+          user.isActive,
+          user.isServiceAccount,
+          formatDateTime(user.emailVerifiedAt, preferences),
+          formatDateTime(user.lastLoginAt, preferences),
+          formatDateTime(user.createdAt, preferences),
+        ]),
+      ]);
+      const date = new Date().toISOString().slice(0, 10);
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="users-${date}.csv"`);
+      res.send(csv);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/import:
+ *   post:
+ *     summary: Invite users in bulk from a CSV file (user.invite)
+ *     description: >
+ *       The first row names the columns - email, first name and last name are
+ *       required, role defaults to surveyor, and project (or projects) lists
+ *       project ids or titles separated by semicolons. An optional locale (or
+ *       language) column sets the invitee's language (en or es). Every valid row gets an
+ *       invitation as in POST /api/users/invitations. Rows with errors, and emails
+ *       that already exist or repeat within the file, are skipped and reported.
+ *       With dryRun nothing is created and the per-row report shows what would
+ *       happen. At most 1000 rows per file.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema: { type: boolean, default: false }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "email,first name,last name,role,project\njane@example.com,Jane,Doe,surveyor,Creekside Phase 2\n"
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [csv]
+ *             properties:
+ *               csv: { type: string }
+ *               dryRun: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Per-row report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun: { type: boolean }
+ *                 summary:
+ *                   type: object
+ *                   description: Row counts by status, plus total
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line: { type: integer, description: Line number in the file }
+ *                       email: { type: string }
+ *                       firstName: { type: string }
+ *                       lastName: { type: string }
+ *                       role: { type: string }
+ *                       locale: { type: string, nullable: true }
+ *                       projectIds: { type: array, items: { type: string } }
+ *                       status: { type: string, enum: [valid, invalid, duplicate, invited, failed] }
+ *                       errors: { type: array, items: { type: string } }
+ *                       userId: { type: string }
+ *                       invitationId: { type: string }
+ *       400:
+ *         description: Missing or unreadable CSV, missing column or too many rows
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/import",
+  authenticateJwt,
+  requirePermission("user.invite"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  async (req, res) => {
+    try {
+      const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+      if (!csv || typeof csv !== "string") {
+        return res.status(400).json({ error: "CSV content is required" });
+      }
+      const dryRun =
+        req.query.dryRun === "true" ||
+        (typeof req.body === "object" && req.body.dryRun === true);
+
+      const result = dryRun
+        ? await validateImport(csv)
+        : await importUsers(csv, { invitedById: req.jwtUser.id });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      res.json({ dryRun, ...result });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/invitations:
+ *   get:
+ *     summary: List invitations (user.invite)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, expired, accepted, revoked, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: A list of invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invitations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/invitations",
+  authenticateJwt,
+  requirePermission("user.invite"),
+  async (req, res) => {
+    try {
+      const { status = "pending" } = req.query;
+      if (!["pending", "expired", "accepted", "revoked", "all"].includes(status)) {
+        return res.status(400).json({
+          error: "Invalid status. Must be pending, expired, accepted, revoked, or all",
+        });
+      }
+      const invitations = await listInvitations(status);
+      res.json({ invitations });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/invitations:
+ *   post:
+ *     summary: Invite a new user (user.invite)
+ *     description: >
+ *       Creates a pending (inactive, passwordless) user with the given role and
+ *       project assignments, and emails an expiring invitation link. The invitee
+ *       sets their password through POST /auth/accept-invite.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *               firstName: { type: string }
+ *               lastName: { type: string }
+ *               role: { type: string, enum: [surveyor, reviewer, admin], default: surveyor }
+ *               projectIds: { type: array, items: { type: string, format: uuid } }
+ *               locale: { type: string, enum: [en, es], description: "Language of the invitation email and the invitee's preferences (default DEFAULT_LOCALE)" }
+ *     responses:
+ *       201:
+ *         description: Invitation created and sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invitation:
+ *                   $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Missing email, invalid role or unknown project
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Email already exists or already invited
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/invitations",
+  authenticateJwt,
+  requirePermission("user.invite"),
+  async (req, res) => {
+    try {
+      const {
+        email,
+        firstName,
+        lastName,
+        role = "surveyor",
+        projectIds = [],
+        locale,
+      } = req.body;
+      if (!email) {
+        return res.status(400).json({ error: "email is required" });
+      }
+      if (!["surveyor", "reviewer", "admin"].includes(role)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid role. Must be surveyor, reviewer, or admin" });
+      }
+      if (!Array.isArray(projectIds)) {
+        return res.status(400).json({ error: "projectIds must be an array" });
+      }
+      if (locale !== undefined && !LOCALES.includes(locale)) {
+        return res
+          .status(400)
+          .json({ error: `locale must be one of ${LOCALES.join(", ")}` });
+      }
+
+      const invitation = await createInvitation({
+        email,
+        firstName,
+        lastName,
+        role,
+        projectIds,
+        locale,
+        invitedById: req.jwtUser.id,
+      });
+      res.status(201).json({ invitation });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation (user.invite)
+ *     description: Issues a new link (the previous one stops working) and restarts the expiry window.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/invitations/:id/resend",
+  authenticateJwt,
+  requirePermission("user.invite"),
+  async (req, res) => {
+    try {
+      const invitation = await resendInvitation(req.params.id);
+      res.json({ invitation });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation (user.invite)
+ *     description: Invalidates the link and removes the pending user and its project assignments.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/invitations/:id",
+  authenticateJwt,
+  requirePermission("user.invite"),
+  async (req, res) => {
+    try {
+      const invitation = await revokeInvitation(req.params.id);
+      res.json({ invitation });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/sessions:
+ *   get:
+ *     summary: List active sessions of all users (session.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema: { type: string }
+ *         description: Only sessions of this user
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/sessions",
+  authenticateJwt,
+  requirePermission("session.manage"),
+  async (req, res) => {
+    try {
+      const sessions = await listActiveSessions(req.query.userId || null);
+      res.json({ sessions });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/sessions/{id}:
+ *   delete:
+ *     summary: Revoke any user's session (session.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/sessions/:id",
+  authenticateJwt,
+  requirePermission("session.manage"),
+  async (req, res) => {
+    try {
+      const revoked = await revokeSession(req.params.id, { reason: "admin" });
+      if (!revoked)
+        return res.status(404).json({ error: "Session not found" });
+      res.json({ message: "Session revoked" });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/login-events:
+ *   get:
+ *     summary: Login history across all users (session.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: success
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: method
+ *         schema: { type: string, example: password }
+ *         description: password, google, register, invite or oidc:<provider>
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, default: 0 }
+ *     responses:
+ *       200:
+ *         description: Login events, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginEvent'
+ *                 total: { type: integer }
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/login-events",
+  authenticateJwt,
+  requirePermission("session.manage"),
+  async (req, res) => {
+    try {
+      const { userId, success, method, from, to } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const result = await listLoginEvents({
+        userId,
+        success: success === undefined ? undefined : success === "true",
+        method,
+        from,
+        to,
+        limit,
+        offset,
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/service-accounts:
+ *   get:
+ *     summary: List service accounts (serviceAccount.manage)
+ *     description: Non-human users that authenticate only with API keys.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Service accounts with their number of active keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 serviceAccounts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       email: { type: string }
+ *                       firstName: { type: string }
+ *                       role: { type: string }
+ *                       isActive: { type: boolean }
+ *                       activeApiKeys: { type: integer }
+ *                       createdAt: { type: string, format: date-time }
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/service-accounts",
+  authenticateJwt,
+  requirePermission("serviceAccount.manage"),
+  async (req, res) => {
+    try {
+      const { rows: serviceAccounts } = await pool.query(
+        `SELECT
+           u.id,
+           u.email,
+           u.first_name AS "firstName",
+           u.role,
+           u.is_active AS "isActive",
+           u.created_at AS "createdAt",
+           (SELECT COUNT(*)::int FROM app_api_keys k
+             WHERE k.user_id = u.id AND k.revoked_at IS NULL
+               AND (k.expires_at IS NULL OR k.expires_at > NOW())) AS "activeApiKeys"
+         FROM app_users u
+         WHERE u.is_service_account = TRUE
+         ORDER BY u.created_at DESC`
+      );
+      res.json({ serviceAccounts });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/service-accounts:
+ *   post:
+ *     summary: Create a service account (serviceAccount.manage)
+ *     description: >
+ *       Creates a user without a password that cannot sign in interactively.
+ *       Give it access by creating API keys with POST /api/api-keys.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: BI dashboard }
+ *               role: { type: string, enum: [surveyor, reviewer], default: surveyor }
+ *     responses:
+ *       201:
+ *         description: Service account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 serviceAccount:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: string }
+ *                     email: { type: string, example: svc-bi-dashboard-3f9a1c@service-accounts.invalid }
+ *                     firstName: { type: string }
+ *                     role: { type: string }
+ *                     isActive: { type: boolean }
+ *                     createdAt: { type: string, format: date-time }
+ *       400:
+ *         description: Missing name or invalid role
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/service-accounts",
+  authenticateJwt,
+  requirePermission("serviceAccount.manage"),
+  async (req, res) => {
+    try {
+      const { name, role = "surveyor" } = req.body;
+      if (!name || typeof name !== "string") {
+        return res.status(400).json({ error: "name is required" });
+      }
+      // Admin rights are never handed to an unattended integration
+      if (!["surveyor", "reviewer"].includes(role)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid role. Must be surveyor or reviewer" });
+      }
+
+      // The .invalid domain can never receive mail or match a Google account
+      const slug =
+        name
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-")
+          .replace(/^-+|-+$/g, "")
+          .slice(0, 40) || "account";
+      const email = `svc-${slug}-${crypto
+        .randomBytes(3)
+        .toString("hex")}@service-accounts.invalid`;
+
+      const id = generateUUID();
+      const { rows } = await pool.query(
+        `INSERT INTO app_users (id, email, first_name, role, is_active, is_service_account)
+         VALUES ($1, $2, $3, $4, TRUE, TRUE)
+         RETURNING id, email, first_name AS "firstName", role,
+                   is_active AS "isActive", created_at AS "createdAt"`,
+        [id, email, name, role]
+      );
+      res.status(201).json({ serviceAccount: rows[0] });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/me/permissions:
+ *   get:
+ *     summary: Get the caller's effective permissions
+ *     description: Global permissions come from the caller's account role; project permissions from their role in each project they belong to. Admins hold every project permission in every project (allProjects). Use this to hide actions the caller cannot perform.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Effective permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 role: { type: string }
+ *                 permissions:
+ *                   type: array
+ *                   items: { type: string }
+ *                   example: [project.create, activity.create, activity.update]
+ *                 allProjects: { type: boolean }
+ *                 allProjectsPermissions:
+ *                   type: array
+ *                   items: { type: string }
+ *                   description: Project permissions held in every project when allProjects is true
+ *                 projects:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       projectId: { type: string }
+ *                       role: { type: string }
+ *                       permissions:
+ *                         type: array
+ *                         items: { type: string }
+ *                         example: [houseActivity.updateProgress, image.upload]
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get("/me/permissions", authenticateJwt, async (req, res) => {
+  try {
+    res.json(await getEffectivePermissions(req));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/preferences:
+ *   get:
+ *     summary: Get the caller's preferences
+ *     description: >
+ *       preferences holds the effective values, with server defaults filled in;
+ *       stored holds only what the caller has set (null when nothing is stored).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 preferences:
+ *                   $ref: '#/components/schemas/Preferences'
+ *                 stored:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Same fields, null where the default applies, plus updatedAt
+ *                 defaults:
+ *                   $ref: '#/components/schemas/Preferences'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get("/me/preferences", authenticateJwt, async (req, res) => {
+  try {
+    const [preferences, stored] = await Promise.all([
+      getPreferences(req.jwtUser.id),
+      getStoredPreferences(req.jwtUser.id),
+    ]);
+    res.json({ preferences, stored, defaults: DEFAULT_PREFERENCES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/preferences:
+ *   put:
+ *     summary: Update the caller's preferences
+ *     description: Only the fields sent are changed; null resets a field to the server default.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Preferences'
+ *     responses:
+ *       200:
+ *         description: Effective preferences after the update
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 preferences:
+ *                   $ref: '#/components/schemas/Preferences'
+ *       400:
+ *         description: Unknown locale, time zone, date format, channel or digest frequency
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.put("/me/preferences", authenticateJwt, async (req, res) => {
+  try {
+    const { changes, error } = validatePreferences(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const preferences = await updatePreferences(req.jwtUser.id, changes);
+    res.json({ preferences });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get user by ID
+ *     description: Retrieve a specific user by their ID
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: User found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: string }
+ *                     email: { type: string }
+ *                     firstName: { type: string }
+ *                     lastName: { type: string }
+ *                     userImage: { type: string }
+ *                     role: { type: string }
+ *                     isActive: { type: boolean }
+ *                     createdAt: { type: string, format: date-time }
+ *       404:
+ *         description: User not found
+ */
+router.get("/:id", authenticateJwt, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [rows] = await pool.execute(
+      `SELECT id, email, firstName, lastName, userImage, role, isActive, isServiceAccount, emailVerifiedAt, createdAt
+         FROM app_users
+        WHERE id = ?`,
+      [id]
+    );
+    if (rows.length === 0)
+      return res.status(404).json({ error: "User not found" });
+    res.json({ user: rows[0] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create a new user (user.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, firstName, lastName, role]
+ *             properties:
+ *               email: { type: string, format: email }
+ *               password: { type: string, format: password }
+ *               firstName: { type: string }
+ *               lastName: { type: string }
+ *               role: { type: string, enum: [surveyor, reviewer, admin], default: surveyor }
+ *               isActive: { type: boolean, default: true }
+ *               emailVerified: { type: boolean, default: false, description: "Vouch for the address; otherwise a confirmation link is emailed" }
+ *               userImage: { type: string, example: "https://cdn.example.com/u/jane.jpg" }
+ *     responses:
+ *       201:
+ *         description: Created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: string }
+ *                     email: { type: string }
+ *                     firstName: { type: string }
+ *                     lastName: { type: string }
+ *                     userImage: { type: string }
+ *                     role: { type: string }
+ *                     isActive: { type: boolean }
+ *                     createdAt: { type: string, format: date-time }
+ *       400:
+ *         description: Missing required fields, invalid role, or a password that breaks the password policy
+ *       409:
+ *         description: Email already exists
+ *       500:
+ *         description: Server error  
+ */
+router.post(
+  "/",
+  authenticateJwt,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    // Added password field to request body
+    try {
+      const {
+        email,
+        password,
+        firstName,
+        lastName,
+        role = "surveyor",
+        isActive = true,
+        emailVerified = false,
+        userImage = null,
+      } = req.body;
+      if (!firstName || !lastName || !email || !password || !role) {
+        return res
+          .status(400)
+          .json({ error: "firstName, lastName, email, password, and role are required" });
+      }
+      if (!["surveyor", "reviewer", "admin"].includes(role)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid role. Must be surveyor, reviewer, or admin" });
+      }
+      const passwordProblem = checkPassword(password, { email, firstName, lastName });
+      if (passwordProblem) {
+        return res.status(400).json({ error: passwordProblem });
+      }
+      
+      const id = generateUUID();
+      const active = !!isActive;
+      // The password goes through setUserPassword like every other password
+      // write, in the same transaction as the account
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        await client.query(
+          `INSERT INTO app_users (id, email, first_name, last_name, user_image, role, is_active, email_verified_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            id,
+            email,
+            firstName,
+            lastName,
+            userImage,
+            role,
+            active,
+            emailVerified ? new Date() : null,
+          ]
+        );
+        await setUserPassword(id, password, client);
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      const [rows] = await pool.execute(
+        `SELECT id, email, firstName, lastName, userImage, role, isActive, isServiceAccount, emailVerifiedAt, createdAt
+           FROM app_users
+          WHERE id = ?`,
+        [id]
+      );
+      if (!emailVerified) await sendVerificationEmail(rows[0]);
+      res.status(201).json({ user: rows[0] });
+    } catch (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "Email already exists" });
+      }
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Update user (self, or user.manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string, format: email }
+ *               firstName: { type: string }
+ *               lastName: { type: string }
+ *               userImage: { type: string, description: "Picture URL; replaces an avatar uploaded through POST /api/users/{id}/avatar" }
+ *               role: { type: string, enum: [surveyor, reviewer, admin] }
+ *               isActive: { type: boolean }
+ *               emailVerified: { type: boolean, description: "Mark the email as verified or not (user.manage only)" }
+ *               password: { type: string, format: password, description: "New password (user.manage only, must follow the password policy); ends all of the user's sessions" }
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: No fields to update, invalid role, or a password that breaks the password policy or was used recently
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Not found
+ */
+router.put("/:id", authenticateJwt, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      email,
+      firstName,
+      lastName,
+      role,
+      isActive,
+      emailVerified,
+      userImage,
+      password,
+    } = req.body;
+
+    const canManage = await hasPermission(req, "user.manage");
+    const isSelf = req.jwtUser.id === id;
+    if (!canManage && !isSelf) {
+      return res
+        .status(403)
+        .json({ error: "You can only update your own profile" });
+    }
+
+    const [exists] = await pool.execute(
+      "SELECT id, email, avatarFiles FROM app_users WHERE id = ?",
+      [id]
+    );
+    if (exists.length === 0)
+      return res.status(404).json({ error: "User not found" });
+
+    const updates = [];
+    const values = [];
+
+    // A new address has to be confirmed again, unless a user manager vouches for it
+    const emailChanged = Boolean(email) && email !== exists[0].email;
+    if (emailChanged) {
+      values.push(email);
+      updates.push(`email = $${values.length}`);
+      if (!(canManage && emailVerified === true)) {
+        updates.push("email_verified_at = NULL");
+      }
+    }
+    if (firstName) {
+      values.push(firstName);
+      updates.push(`first_name = $${values.length}`);
+    }
+    if (lastName) {
+      values.push(lastName);
+      updates.push(`last_name = $${values.length}`);
+    }
+    // A URL set by hand replaces any uploaded avatar
+    const replacesAvatar = typeof userImage === "string";
+    if (replacesAvatar) {
+      values.push(userImage);
+      updates.push(`user_image = $${values.length}`, "avatar_files = NULL");
+    }
+
+    if (canManage) {
+      if (role) {
+        if (!["surveyor", "reviewer", "admin"].includes(role)) {
+          return res.status(400).json({ error: "Invalid role" });
+        }
+        values.push(role);
+        updates.push(`role = $${values.length}`);
+      }
+      if (typeof isActive === "boolean") {
+        values.push(!!isActive);
+        updates.push(`is_active = $${values.length}`);
+      }
+      if (emailVerified === true && !emailChanged) {
+        updates.push("email_verified_at = COALESCE(email_verified_at, NOW())");
+      } else if (emailVerified === false) {
+        updates.push("email_verified_at = NULL");
+      }
+    }
+
+    // Only user managers can set passwords here; users change their own
+    // through POST /auth/change-password
+    const setsPassword = canManage && Boolean(password);
+    if (updates.length === 0 && !setsPassword)
+      return res.status(400).json({ error: "No fields to update" });
+
+    // The password and the profile change succeed or fail together; a new
+    // password signs the user out everywhere, as a reset does
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (setsPassword) {
+        await setUserPassword(id, password, client);
+        await revokeUserTokens(id, "password_change", client);
+      }
+      if (updates.length > 0) {
+        values.push(id);
+        await client.query(
+          `UPDATE app_users SET ${updates.join(", ")} WHERE id = $${values.length}`,
+          values
+        );
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT id, email, firstName, lastName, userImage, role, isActive, isServiceAccount, emailVerifiedAt, createdAt
+         FROM app_users
+        WHERE id = ?`,
+      [id]
+    );
+    if (replacesAvatar) await deleteAvatarFiles(exists[0].avatarFiles);
+    if (emailChanged && !rows[0].emailVerifiedAt) {
+      await sendVerificationEmail({ ...rows[0], email });
+    }
+    res.json({ user: rows[0] });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: "Email already exists" });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Users manage their own avatar; user.manage may change anyone's
+async function canEditProfile(req, res, next) {
+  try {
+    if (req.jwtUser.id === req.params.id || (await hasPermission(req, "user.manage"))) {
+      return next();
+    }
+    res.status(403).json({ error: "You can only update your own profile" });
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+}).single("avatar");
+
+function receiveAvatar(req, res, next) {
+  avatarUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res
+        .status(413)
+        .json({ error: `Avatar must be at most ${AVATAR_MAX_BYTES} bytes` });
+    }
+    res.status(400).json({ error: err.message });
+  });
+}
+
+/**
+ * @swagger
+ * /api/users/{id}/avatar:
+ *   post:
+ *     summary: Upload a profile picture (self, or user.manage)
+ *     description: >
+ *       Accepts a JPEG, PNG, WebP or GIF image (AVATAR_MAX_BYTES, 5 MB by default),
+ *       crops it to a square and stores it in every size of AVATAR_SIZES. userImage
+ *       is set to the largest size and the previous uploaded avatar is deleted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [avatar]
+ *             properties:
+ *               avatar: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Avatar stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userImage: { type: string }
+ *                 sizes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       size: { type: integer, example: 256 }
+ *                       url: { type: string }
+ *       400:
+ *         description: Missing file, unsupported type or unreadable image
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       413:
+ *         description: File too large
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/:id/avatar",
+  authenticateJwt,
+  canEditProfile,
+  receiveAvatar,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "avatar file is required" });
+      }
+      const avatar = await setAvatar(req.params.id, {
+        buffer: req.file.buffer,
+        mimeType: req.file.mimetype,
+      });
+      res.json(avatar);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/avatar:
+ *   delete:
+ *     summary: Remove the profile picture (self, or user.manage)
+ *     description: Clears userImage and deletes any uploaded avatar files.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Removed
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/:id/avatar", authenticateJwt, canEditProfile, async (req, res) => {
+  try {
+    await removeAvatar(req.params.id);
+    res.json({ message: "Avatar removed" });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
- * /api/users:
+ * /api/users/{id}/workload:
  *   get:
- *     summary: Get all users
+ *     summary: Workload and productivity of one user (self, or report.workload)
+ *     description: >
+ *       House activities assigned to the user. Users see all of their own; others
+ *       only see the projects where they hold report.workload (every project for admins).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/PeriodFrom'
+ *       - $ref: '#/components/parameters/PeriodTo'
  *     responses:
  *       200:
- *         description: A list of users
+ *         description: Workload
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 users:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       id: { type: string }
- *                       email: { type: string }
- *                       firstName: { type: string }
- *                       lastName: { type: string }
- *                       userImage: { type: string }
- *                       role: { type: string }
- *                       isActive: { type: boolean }
- *                       createdAt: { type: string, format: date-time }
+ *                 from: { type: string, format: date-time, nullable: true }
+ *                 to: { type: string, format: date-time, nullable: true }
+ *                 workload:
+ *                   $ref: '#/components/schemas/Workload'
+ *       400:
+ *         description: Invalid from or to
  *       403:
- *         description: Forbidden user
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
  *       500:
- *         description: Server error 
+ *         description: Server error
  */
-router.get("/", authenticateJwt, requireRole("admin"), async (req, res) => {
+router.get("/:id/workload", authenticateJwt, async (req, res) => {
   try {
-    const [users] = await pool.execute(
-      `SELECT id, email, firstName, lastName, userImage, role, isActive, createdAt
-         FROM app_users
-        ORDER BY createdAt DESC`
-    );
-    res.json({ users });
+    const { id } = req.params;
+    const { projectId } = req.query;
+    const period = parsePeriod(req.query);
+    if (period.error) return res.status(400).json({ error: period.error });
+
+    let projectIds = projectId ? [projectId] : null;
+    if (req.jwtUser.id !== id) {
+      const scope = await permissionScope(req, "report.workload", projectId);
+      if (scope.forbidden) {
+        return res
+          .status(403)
+          .json({ error: "Forbidden", permission: "report.workload" });
+      }
+      projectIds = scope.projectIds;
+    }
+
+    const workload = await getUserWorkload(id, { projectIds, ...period });
+    if (!workload) return res.status(404).json({ error: "User not found" });
+    res.json({ from: period.from, to: period.to, workload });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -59,10 +1732,14 @@ router.get("/", authenticateJwt, requireRole("admin"), async (req, res) => {
 
 /**
  * @swagger
- * /api/users/{id}:
+ * /api/users/{id}/timeline:
  *   get:
- *     summary: Get user by ID
- *     description: Retrieve a specific user by their ID
+ *     summary: What a user did, oldest first (self, or report.timeline)
+ *     description: >
+ *       House activity status changes, remarks, approvals and image uploads performed
+ *       by the user. Users see all of their own; others only see events in projects
+ *       where they hold report.timeline (every project for admins). Status changes and
+ *       remarks are recorded since this endpoint was deployed.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -71,40 +1748,98 @@ router.get("/", authenticateJwt, requireRole("admin"), async (req, res) => {
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - in: query
+ *         name: projectId
+ *         schema: { type: string }
+ *       - $ref: '#/components/parameters/PeriodFrom'
+ *       - $ref: '#/components/parameters/PeriodTo'
+ *       - in: query
+ *         name: type
+ *         schema: { type: string }
+ *         description: "Comma separated event types: status_changed, remark_updated, approved, approval_revoked, image_uploaded"
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
  *     responses:
  *       200:
- *         description: User found
+ *         description: One page of events
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 user:
- *                   type: object
- *                   properties:
- *                     id: { type: string }
- *                     email: { type: string }
- *                     firstName: { type: string }
- *                     lastName: { type: string }
- *                     userImage: { type: string }
- *                     role: { type: string }
- *                     isActive: { type: boolean }
- *                     createdAt: { type: string, format: date-time }
+ *                 total: { type: integer }
+ *                 page: { type: integer }
+ *                 limit: { type: integer }
+ *                 totalPages: { type: integer }
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: string }
+ *                       type: { type: string, enum: [status_changed, remark_updated, approved, approval_revoked, image_uploaded] }
+ *                       createdAt: { type: string, format: date-time }
+ *                       fromStatus: { type: string, nullable: true }
+ *                       toStatus: { type: string, nullable: true }
+ *                       details: { type: object, nullable: true }
+ *                       houseActivityId: { type: string, nullable: true, description: Null when the house activity was deleted }
+ *                       num: { type: string }
+ *                       activity: { type: string }
+ *                       houseId: { type: string }
+ *                       houseName: { type: string }
+ *                       projectId: { type: string }
+ *                       projectTitle: { type: string }
+ *       400:
+ *         description: Invalid from, to or type
+ *       403:
+ *         description: Forbidden
  *       404:
  *         description: User not found
+ *       500:
+ *         description: Server error
  */
-router.get("/:id", authenticateJwt, async (req, res) => {
+router.get("/:id/timeline", authenticateJwt, async (req, res) => {
   try {
     const { id } = req.params;
-    const [rows] = await pool.execute(
-      `SELECT id, email, firstName, lastName, userImage, role, isActive, createdAt
-         FROM app_users
-        WHERE id = ?`,
-      [id]
-    );
-    if (rows.length === 0)
+    const { projectId } = req.query;
+    const period = parsePeriod(req.query);
+    if (period.error) return res.status(400).json({ error: period.error });
+
+    const types = req.query.type ? String(req.query.type).split(",") : null;
+    if (types && types.some((type) => !EVENT_TYPES.includes(type))) {
+      return res
+        .status(400)
+        .json({ error: `type must be one of ${EVENT_TYPES.join(", ")}` });
+    }
+
+    let projectIds = projectId ? [projectId] : null;
+    if (req.jwtUser.id !== id) {
+      const scope = await permissionScope(req, "report.timeline", projectId);
+      if (scope.forbidden) {
+        return res
+          .status(403)
+          .json({ error: "Forbidden", permission: "report.timeline" });
+      }
+      projectIds = scope.projectIds;
+    }
+
+    const [users] = await pool.execute("SELECT id FROM app_users WHERE id = ?", [id]);
+    if (users.length === 0) {
       return res.status(404).json({ error: "User not found" });
-    res.json({ user: rows[0] });
+    }
+
+    const timeline = await listUserTimeline(id, {
+      projectIds,
+      ...period,
+      types,
+      page: Math.max(parseInt(req.query.page, 10) || 1, 1),
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE),
+    });
+    res.json(timeline);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -112,106 +1847,73 @@ router.get("/:id", authenticateJwt, async (req, res) => {
 
 /**
  * @swagger
- * /api/users:
+ * /api/users/{id}/unlock:
  *   post:
- *     summary: Create a new user (admin)
+ *     summary: Unlock a user locked out by failed logins (user.manage)
+ *     description: Clears the failed-attempt counters and lockouts of the user's account. IP lockouts are not affected.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required: [email, firstName, lastName, role]
- *             properties:
- *               email: { type: string, format: email }
- *               password: { type: string, format: password }
- *               firstName: { type: string }
- *               lastName: { type: string }
- *               role: { type: string, enum: [surveyor, reviewer, admin], default: surveyor }
- *               isActive: { type: boolean, default: true }
- *               userImage: { type: string, example: "https://cdn.example.com/u/jane.jpg" }
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
  *     responses:
- *       201:
- *         description: Created successfully
+ *       200:
+ *         description: Unlocked
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 user:
- *                   type: object
- *                   properties:
- *                     id: { type: string }
- *                     email: { type: string }
- *                     firstName: { type: string }
- *                     lastName: { type: string }
- *                     userImage: { type: string }
- *                     role: { type: string }
- *                     isActive: { type: boolean }
- *                     createdAt: { type: string, format: date-time }
- *       400:
- *         description: Missing required fields or invalid role
- *       409:
- *         description: Email already exists
+ *                 message: { type: string }
+ *                 clearedLocks: { type: integer }
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
  *       500:
- *         description: Server error  
+ *         description: Server error
  */
-router.post("/", authenticateJwt, requireRole("admin"), async (req, res) => {
-  // Added password field to request body
-  try {
-    const {
-      email,
-      password,
-      firstName,
-      lastName,
-      role = "surveyor",
-      isActive = true,
-      userImage = null,
-    } = req.body;
-    if (!firstName || !lastName || !email || !password || !role) {
-      return res
-        .status(400)
-        .json({ error: "firstName, lastName, email, password, and role are required" });
-    }
-    if (!["surveyor", "reviewer", "admin"].includes(role)) {
-      return res
-        .status(400)
-        .json({ error: "Invalid role. Must be surveyor, reviewer, or admin" });
-    }
-    
-    const pwdHash = await bcrypt.hash(password, 12);
-  
-    const id = generateUUID();
-    const active = !!isActive;
-    await pool.execute(
-      `INSERT INTO app_users (id, email, firstName, lastName, userImage, passwordHash, role, isActive)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [id, email, firstName, lastName, userImage, pwdHash, role, active]
-    );
+router.post(
+  "/:id/unlock",
+  authenticateJwt,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const [rows] = await pool.execute(
+        "SELECT id, email FROM app_users WHERE id = ?",
+        [id]
+      );
+      if (rows.length === 0)
+        return res.status(404).json({ error: "User not found" });
 
-    const [rows] = await pool.execute(
-      `SELECT id, email, firstName, lastName, userImage, role, isActive, createdAt
-         FROM app_users
-        WHERE id = ?`,
-      [id]
-    );
-    res.status(201).json({ user: rows[0] });
-  } catch (error) {
-    if (error.code === "23505") {
-      return res.status(409).json({ error: "Email already exists" });
+      const clearedLocks = await unlockAccount({
+        userId: rows[0].id,
+        email: rows[0].email,
+      });
+      res.json({ message: "User unlocked", clearedLocks });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 /**
  * @swagger
- * /api/users/{id}:
- *   put:
- *     summary: Update user (self or admin)
+ * /api/users/{id}/offboard:
+ *   post:
+ *     summary: Offboard a user (user.manage)
+ *     description: >
+ *       Deactivates the account instead of deleting it, so completed work,
+ *       approvals and images stay attributed to it. Open house activities go
+ *       to reassignToId (who joins the affected projects as a surveyor if
+ *       needed) or become unassigned. Sessions, API keys, pending links and
+ *       invitations are revoked and project memberships removed. With
+ *       anonymize the name, email, picture and sign-in data are erased too,
+ *       keeping only the id; an offboarded user can be anonymized later.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -221,119 +1923,74 @@ router.post("/", authenticateJwt, requireRole("admin"), async (req, res) => {
  *         required: true
  *         schema: { type: string }
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               email: { type: string, format: email }
- *               firstName: { type: string }
- *               lastName: { type: string }
- *               userImage: { type: string }
- *               role: { type: string, enum: [surveyor, reviewer, admin] }
- *               isActive: { type: boolean }
- *               password: { type: string, format: password, description: "New password (admin only)" }
+ *               reassignToId: { type: string, description: Active user that takes over the open house activities }
+ *               anonymize: { type: boolean, default: false }
  *     responses:
  *       200:
- *         description: Updated
+ *         description: User offboarded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reassignedActivities: { type: integer }
+ *                 unassignedActivities: { type: integer }
+ *                 user: { type: object }
+ *       400:
+ *         description: Offboarding yourself, or an invalid reassignToId
  *       403:
  *         description: Forbidden
  *       404:
- *         description: Not found
+ *         description: User not found
+ *       409:
+ *         description: Already offboarded (without anonymize) or already anonymized
+ *       500:
+ *         description: Server error
  */
-router.put("/:id", authenticateJwt, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { email, firstName, lastName, role, isActive, userImage, password } =
-      req.body;
-
-    const isAdmin = req.jwtUser.role === "admin";
-    const isSelf = req.jwtUser.id === id;
-    if (!isAdmin && !isSelf) {
-      return res
-        .status(403)
-        .json({ error: "You can only update your own profile" });
-    }
-
-    const [exists] = await pool.execute("SELECT id FROM app_users WHERE id = ?", [
-      id,
-    ]);
-    if (exists.length === 0)
-      return res.status(404).json({ error: "User not found" });
-
-    const updates = [];
-    const values = [];
-
-    if (email) {
-      updates.push("email = ?");
-      values.push(email);
-    }
-    if (firstName) {
-      updates.push("firstName = ?");
-      values.push(firstName);
-    }
-    if (lastName) {
-      updates.push("lastName = ?");
-      values.push(lastName);
-    }
-    if (typeof userImage === "string") {
-      updates.push("userImage = ?");
-      values.push(userImage);
-    }
-
-    if (isAdmin) {
-      if (role) {
-        if (!["surveyor", "reviewer", "admin"].includes(role)) {
-          return res.status(400).json({ error: "Invalid role" });
-        }
-        updates.push("role = ?");
-        values.push(role);
-      }
-      if (typeof isActive === "boolean") {
-        updates.push("isActive = ?");
-        values.push(!!isActive);
-      }
-      // Only admins can change passwords
-      if (password) {
-        if (typeof password !== "string" || password.length < 6) {
-          return res.status(400).json({ error: "Password must be at least 6 characters long" });
-        }
-        const passwordHash = await bcrypt.hash(password, 12);
-        updates.push("passwordHash = ?");
-        values.push(passwordHash);
+router.post(
+  "/:id/offboard",
+  authenticateJwt,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reassignToId = null, anonymize = false } = req.body || {};
+      if (req.jwtUser.id === id) {
+        return res.status(400).json({ error: "Cannot offboard your own account" });
       }
-    }
-
-    if (updates.length === 0)
-      return res.status(400).json({ error: "No fields to update" });
-
-    values.push(id);
-    await pool.execute(
-      `UPDATE app_users SET ${updates.join(", ")} WHERE id = ?`,
-      values
-    );
 
-    const [rows] = await pool.execute(
-      `SELECT id, email, firstName, lastName, userImage, role, isActive, createdAt
-         FROM app_users
-        WHERE id = ?`,
-      [id]
-    );
-    res.json({ user: rows[0] });
-  } catch (error) {
-    if (error.code === "23505") {
-      return res.status(409).json({ error: "Email already exists" });
+      const result = await offboardUser({
+        userId: id,
+        reassignToId,
+        anonymize: anonymize === true,
+      });
+      const [rows] = await pool.execute(
+        `SELECT id, email, firstName, lastName, userImage, role, isActive, isServiceAccount, emailVerifiedAt, offboardedAt, anonymizedAt, createdAt
+           FROM app_users
+          WHERE id = ?`,
+        [id]
+      );
+      res.json({ ...result, user: rows[0] });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
     }
-    res.status(500).json({ error: error.message });
   }
-});
+);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   delete:
- *     summary: Delete user (admin)
+ *     summary: Delete user (user.manage)
+ *     description: >
+ *       Permanently deletes a user that has no work attributed to it (for
+ *       example a mistaken invitation). Anyone who worked on house activities
+ *       or uploaded images is offboarded instead (POST /api/users/{id}/offboard).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -346,11 +2003,12 @@ router.put("/:id", authenticateJwt, async (req, res) => {
  *       200: { description: Deleted }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
+ *       409: { description: User has attributed work; offboard instead }
  */
 router.delete(
   "/:id",
   authenticateJwt,
-  requireRole("admin"),
+  requirePermission("user.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -358,6 +2016,13 @@ router.delete(
         return res
           .status(400)
           .json({ error: "Cannot delete your own account" });
+      if (await hasAttributedWork(id)) {
+        return res.status(409).json({
+          error:
+            "User has work attributed to them; offboard them instead to keep the history",
+          offboardRequired: true,
+        });
+      }
       const result = await pool.query("DELETE FROM app_users WHERE id = $1", 
         [id]
       );
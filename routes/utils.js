@@ -2,6 +2,7 @@
 require("dotenv").config();
 const { Pool } = require("pg");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
 const fs = require("fs");
 const path = require("path");
@@ -103,8 +104,11 @@ pool.execute = async function (text, params) {
 
 // JWT
 const JWT_SECRET = process.env.JWT_SECRET;
+// Access tokens are short-lived; long sessions go through /auth/refresh
+const JWT_ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TOKEN_TTL || "15m";
 
-function generateJwtToken(user) {
+// familyId ties the access token to a refresh token family (see services/tokens.js)
+function generateJwtToken(user, familyId) {
   if (!JWT_SECRET) {
     throw new Error('JWT_SECRET no esta configurado');
   }
@@ -116,9 +120,10 @@ function generateJwtToken(user) {
       firstName: user.firstName,
       lastName: user.lastName,
       role: user.role,
+      fid: familyId,
     },
     JWT_SECRET,
-    { expiresIn: "7d" }
+    { expiresIn: JWT_ACCESS_TOKEN_TTL }
   );
 }
 
@@ -134,6 +139,11 @@ async function authenticateJwt(req, res, next) {
 
     const payload = jwt.verify(token, JWT_SECRET);
 
+    // Tokens issued before refresh tokens existed carry no family
+    if (!payload.fid) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
     const [users] = await pool.execute(
       "SELECT * FROM app_users WHERE id = ?",
       [payload.id]
@@ -142,8 +152,20 @@ async function authenticateJwt(req, res, next) {
     if (users.length === 0) {
       return res.status(401).json({ error: "Invalid token user" });
     }
+    if (!users[0].isActive) {
+      return res.status(401).json({ error: "Account is inactive" });
+    }
+
+    const [families] = await pool.execute(
+      "SELECT revokedAt FROM app_token_families WHERE id = ? AND userId = ?",
+      [payload.fid, payload.id]
+    );
+    if (families.length === 0 || families[0].revokedAt) {
+      return res.status(401).json({ error: "Token has been revoked" });
+    }
 
     req.jwtUser = users[0];
+    req.jwtFamilyId = payload.fid;
     next();
   } catch (err) {
     return res.status(401).json({ error: "Invalid or expired token" });
@@ -167,6 +189,23 @@ function generateUUID() {
   return uuidv4();
 }
 
+// Error carrying the HTTP status a route should answer with
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Opaque random token (refresh tokens, links sent by email, ...)
+function generateOpaqueToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+// Only the SHA-256 of opaque tokens is stored in the database
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
 // Helper to test DB connection
 async function testConnection() {
   try {
@@ -186,4 +225,7 @@ module.exports = {
   authenticateJwt,
   requireRole,
   generateUUID,
+  httpError,
+  generateOpaqueToken,
+  hashToken,
 };
@@ -0,0 +1,141 @@
+// services/activity-events.js
+// Log of what people did to house activities, behind GET
+// /api/users/:id/timeline. Each row records who acted (user_id), on which
+// house activity and project, and what happened:
+//   status_changed    from_status -> to_status
+//   remark_updated    details.field (remarks | rejectedRemarks), details.text
+//   approved          details.approvedById
+//   approval_revoked
+//   image_uploaded    details.imageId, details.url, details.caption
+// Rows outlive the house activity they describe (house_activity_id is set to
+// NULL when it is deleted), so a user's history stays complete.
+const { pool } = require("../routes/utils");
+
+const EVENT_TYPES = [
+  "status_changed",
+  "remark_updated",
+  "approved",
+  "approval_revoked",
+  "image_uploaded",
+];
+
+// Events for the differences between two snapshots of a house activity
+// ({ status, remarks, rejectedRemarks, approvedById })
+function houseActivityChanges(before, after) {
+  const events = [];
+  if (after.status !== before.status) {
+    events.push({
+      type: "status_changed",
+      fromStatus: before.status,
+      toStatus: after.status,
+    });
+  }
+  for (const field of ["remarks", "rejectedRemarks"]) {
+    if ((after[field] || "") !== (before[field] || "")) {
+      events.push({ type: "remark_updated", details: { field, text: after[field] } });
+    }
+  }
+  if (after.approvedById !== before.approvedById) {
+    events.push(
+      after.approvedById
+        ? { type: "approved", details: { approvedById: after.approvedById } }
+        : { type: "approval_revoked" }
+    );
+  }
+  return events;
+}
+
+async function recordActivityEvents(
+  { userId, houseActivityId, projectId, events },
+  db = pool
+) {
+  for (const event of events) {
+    await db.query(
+      `INSERT INTO app_activity_events
+         (user_id, house_activity_id, project_id, event_type, from_status, to_status, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        userId,
+        houseActivityId,
+        projectId,
+        event.type,
+        event.fromStatus || null,
+        event.toStatus || null,
+        event.details ? JSON.stringify(event.details) : null,
+      ]
+    );
+  }
+}
+
+// filters: projectIds (null = every project), from, to, types; paging: page
+// (from 1), limit. Oldest first.
+async function listUserTimeline(
+  userId,
+  { projectIds = null, from = null, to = null, types = null, page = 1, limit = 50 }
+) {
+  const params = [userId];
+  let where = "WHERE e.user_id = $1";
+  if (projectIds) {
+    params.push(projectIds);
+    where += ` AND e.project_id = ANY($${params.length}::uuid[])`;
+  }
+  if (from) {
+    params.push(from);
+    where += ` AND e.created_at >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    where += ` AND e.created_at < $${params.length}`;
+  }
+  if (types) {
+    params.push(types);
+    where += ` AND e.event_type = ANY($${params.length}::text[])`;
+  }
+
+  const { rows: countRows } = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM app_activity_events e ${where}`,
+    params
+  );
+
+  params.push(limit, (page - 1) * limit);
+  const { rows } = await pool.query(
+    `SELECT
+       e.id,
+       e.event_type AS "type",
+       e.created_at AS "createdAt",
+       e.from_status AS "fromStatus",
+       e.to_status AS "toStatus",
+       e.details,
+       e.house_activity_id AS "houseActivityId",
+       ha.num,
+       ha.activity,
+       ha.house_id AS "houseId",
+       h.name AS "houseName",
+       e.project_id AS "projectId",
+       p.title AS "projectTitle"
+     FROM app_activity_events e
+     LEFT JOIN app_house_activities ha ON ha.id = e.house_activity_id
+     LEFT JOIN app_houses h ON h.id = ha.house_id
+     LEFT JOIN app_projects p ON p.id = e.project_id
+     ${where}
+     ORDER BY e.created_at, e.id
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  const total = countRows[0].total;
+  return {
+    events: rows,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  houseActivityChanges,
+  recordActivityEvents,
+  listUserTimeline,
+};
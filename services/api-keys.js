@@ -0,0 +1,250 @@
+// services/api-keys.js
+// Long-lived API keys for integrations (spreadsheets, BI tools) that call the
+// API without a human logging in. A key belongs to a service account
+// (app_users.is_service_account), never to a person, and acts with that
+// account's role, narrowed by the key's own scope:
+//   read_only    only GET/HEAD requests are allowed
+//   project_ids  only these projects are visible (NULL = every project)
+// Keys are sent in the X-API-Key header. Only their SHA-256 is stored; the
+// plain key is returned once, when it is created.
+const {
+  pool,
+  authenticateJwt,
+  generateUUID,
+  httpError,
+  generateOpaqueToken,
+  hashToken,
+} = require("../routes/utils");
+
+const API_KEY_PREFIX = "csk_";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const API_KEY_COLUMNS = `
+  k.id,
+  k.user_id AS "userId",
+  u.email AS "userEmail",
+  u.is_service_account AS "isServiceAccount",
+  k.name,
+  k.key_prefix AS "keyPrefix",
+  k.read_only AS "readOnly",
+  k.project_ids AS "projectIds",
+  k.expires_at AS "expiresAt",
+  k.last_used_at AS "lastUsedAt",
+  k.created_by_id AS "createdById",
+  k.created_at AS "createdAt",
+  k.revoked_at AS "revokedAt",
+  CASE
+    WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN k.expires_at IS NOT NULL AND k.expires_at <= NOW() THEN 'expired'
+    ELSE 'active'
+  END AS status`;
+
+async function getApiKey(id, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ${API_KEY_COLUMNS}
+       FROM app_api_keys k
+       JOIN app_users u ON u.id = k.user_id
+      WHERE k.id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// status: active | expired | revoked | all
+async function listApiKeys({ userId = null, status = "active" } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM (
+       SELECT ${API_KEY_COLUMNS}
+         FROM app_api_keys k
+         JOIN app_users u ON u.id = k.user_id
+        WHERE $1::uuid IS NULL OR k.user_id = $1
+     ) api_keys
+     WHERE $2 = 'all' OR status = $2
+     ORDER BY "createdAt" DESC`,
+    [userId, status]
+  );
+  return rows;
+}
+
+async function assertProjectsExist(projectIds, db) {
+  if (!projectIds || projectIds.length === 0) return;
+  const { rows } = await db.query(
+    "SELECT id FROM app_projects WHERE id = ANY($1::uuid[])",
+    [projectIds]
+  );
+  if (rows.length !== new Set(projectIds).size) {
+    throw httpError(400, "One or more projects not found");
+  }
+}
+
+// Returns { apiKey, key }; key is the plain secret and is not stored
+async function createApiKey({
+  userId,
+  name,
+  readOnly = true,
+  projectIds = null,
+  expiresAt = null,
+  createdById,
+}) {
+  const { rows: users } = await pool.query(
+    `SELECT id, is_active AS "isActive", is_service_account AS "isServiceAccount"
+       FROM app_users WHERE id = $1`,
+    [userId]
+  );
+  if (users.length === 0) throw httpError(404, "User not found");
+  if (!users[0].isServiceAccount) throw httpError(409, "User is not a service account");
+  if (!users[0].isActive) throw httpError(409, "User is inactive");
+  await assertProjectsExist(projectIds, pool);
+
+  const key = API_KEY_PREFIX + generateOpaqueToken();
+  const id = generateUUID();
+  await pool.query(
+    `INSERT INTO app_api_keys
+       (id, user_id, name, key_prefix, key_hash, read_only, project_ids, expires_at, created_by_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      id,
+      userId,
+      name,
+      key.slice(0, API_KEY_PREFIX.length + 6),
+      hashToken(key),
+      readOnly,
+      projectIds && projectIds.length > 0 ? [...new Set(projectIds)] : null,
+      expiresAt,
+      createdById,
+    ]
+  );
+  return { apiKey: await getApiKey(id), key };
+}
+
+// Only name, scope and expiry can change; the secret itself never does
+async function updateApiKey(id, { name, readOnly, projectIds, expiresAt }) {
+  const existing = await getApiKey(id);
+  if (!existing) throw httpError(404, "API key not found");
+  if (existing.revokedAt) throw httpError(409, "API key is revoked");
+  if (!existing.isServiceAccount) {
+    throw httpError(409, "User is not a service account");
+  }
+
+  const updates = [];
+  const values = [];
+  if (name !== undefined) {
+    values.push(name);
+    updates.push(`name = $${values.length}`);
+  }
+  if (readOnly !== undefined) {
+    values.push(Boolean(readOnly));
+    updates.push(`read_only = $${values.length}`);
+  }
+  if (projectIds !== undefined) {
+    await assertProjectsExist(projectIds, pool);
+    values.push(projectIds && projectIds.length > 0 ? [...new Set(projectIds)] : null);
+    updates.push(`project_ids = $${values.length}`);
+  }
+  if (expiresAt !== undefined) {
+    values.push(expiresAt);
+    updates.push(`expires_at = $${values.length}`);
+  }
+  if (updates.length === 0) throw httpError(400, "No fields to update");
+
+  values.push(id);
+  await pool.query(
+    `UPDATE app_api_keys SET ${updates.join(", ")} WHERE id = $${values.length}`,
+    values
+  );
+  return getApiKey(id);
+}
+
+async function revokeApiKey(id) {
+  const existing = await getApiKey(id);
+  if (!existing) throw httpError(404, "API key not found");
+  if (!existing.revokedAt) {
+    await pool.query(
+      "UPDATE app_api_keys SET revoked_at = NOW() WHERE id = $1",
+      [id]
+    );
+  }
+  return getApiKey(id);
+}
+
+// Revoke every key of a user (used when an account is deactivated)
+async function revokeUserApiKeys(userId, db = pool) {
+  await db.query(
+    "UPDATE app_api_keys SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId]
+  );
+}
+
+// Resolve a plain key to { user, apiKey } or null when it is unknown,
+// revoked, expired or its user is inactive or not a service account
+async function resolveApiKey(key) {
+  if (!key || !String(key).startsWith(API_KEY_PREFIX)) return null;
+  const { rows } = await pool.query(
+    `SELECT id, user_id AS "userId", read_only AS "readOnly", project_ids AS "projectIds"
+       FROM app_api_keys
+      WHERE key_hash = $1
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashToken(key)]
+  );
+  if (rows.length === 0) return null;
+  const apiKey = rows[0];
+
+  const [users] = await pool.execute(
+    "SELECT * FROM app_users WHERE id = ?",
+    [apiKey.userId]
+  );
+  if (users.length === 0 || !users[0].isActive || !users[0].isServiceAccount) {
+    return null;
+  }
+
+  // Integrations poll often; a minute of precision is enough
+  await pool.query(
+    `UPDATE app_api_keys SET last_used_at = NOW()
+      WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [apiKey.id]
+  );
+  return { user: users[0], apiKey };
+}
+
+// Sibling of authenticateJwt for routes that integrations may call: an
+// X-API-Key header authenticates with the key, anything else falls through
+// to the normal bearer token check. Sets req.jwtUser like authenticateJwt,
+// plus req.apiKey = { id, readOnly, projectIds }.
+async function authenticateJwtOrApiKey(req, res, next) {
+  const key = req.headers["x-api-key"];
+  if (!key) return authenticateJwt(req, res, next);
+
+  try {
+    const resolved = await resolveApiKey(key);
+    if (!resolved) {
+      return res.status(401).json({ error: "Invalid or expired API key" });
+    }
+    if (resolved.apiKey.readOnly && !SAFE_METHODS.includes(req.method)) {
+      return res.status(403).json({ error: "API key is read-only" });
+    }
+
+    req.jwtUser = resolved.user;
+    req.apiKey = resolved.apiKey;
+    next();
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// Projects a project-scoped API key may see, or null when unrestricted.
+// Routes combine this with the user's memberships via services/project-access.js
+function apiKeyProjectScope(req) {
+  return req.apiKey?.projectIds || null;
+}
+
+module.exports = {
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  revokeUserApiKeys,
+  authenticateJwtOrApiKey,
+  apiKeyProjectScope,
+};
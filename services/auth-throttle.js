@@ -0,0 +1,161 @@
+// services/auth-throttle.js
+// Failed-attempt tracking for the public /auth endpoints, stored in
+// app_auth_throttle per (action, scope, key) where scope is "ip" or
+// "account". Once a bucket reaches its limit inside the failure window it is
+// locked, and every further failure doubles the lock (up to a maximum).
+// Buckets whose window and lock have both run out count as absent and are
+// deleted, so requests from ever new addresses do not grow the table.
+//   AUTH_MAX_ACCOUNT_FAILURES    failures per account before locking (5)
+//   AUTH_MAX_IP_FAILURES         failures per IP before locking (20)
+//   AUTH_FAILURE_WINDOW_SECONDS  quiet period that resets the count (900)
+//   AUTH_LOCKOUT_BASE_SECONDS    first lock duration (60)
+//   AUTH_LOCKOUT_MAX_SECONDS     longest lock duration (3600)
+const { pool } = require("../routes/utils");
+
+function envInt(name, fallback) {
+  return parseInt(process.env[name], 10) || fallback;
+}
+
+const MAX_ACCOUNT_FAILURES = envInt("AUTH_MAX_ACCOUNT_FAILURES", 5);
+const MAX_IP_FAILURES = envInt("AUTH_MAX_IP_FAILURES", 20);
+const FAILURE_WINDOW_SECONDS = envInt("AUTH_FAILURE_WINDOW_SECONDS", 900);
+const LOCKOUT_BASE_SECONDS = envInt("AUTH_LOCKOUT_BASE_SECONDS", 60);
+const LOCKOUT_MAX_SECONDS = envInt("AUTH_LOCKOUT_MAX_SECONDS", 3600);
+
+// Seconds until every given bucket is unlocked (0 = not locked)
+async function getRetryAfter(action, buckets) {
+  const { rows } = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - NOW()))::int AS "retryAfter"
+       FROM app_auth_throttle
+      WHERE action = $1
+        AND (scope, key) IN (SELECT * FROM unnest($2::text[], $3::text[]))
+        AND locked_until > NOW()`,
+    [action, buckets.map((b) => b.scope), buckets.map((b) => b.key)]
+  );
+  return rows[0].retryAfter || 0;
+}
+
+// At most once a minute per instance, on a failure
+const PURGE_INTERVAL_MS = 60 * 1000;
+let lastPurgeAt = 0;
+
+async function purgeExpiredBuckets() {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = Date.now();
+  await pool.query(
+    `DELETE FROM app_auth_throttle
+      WHERE last_failure_at < NOW() - make_interval(secs => $1)
+        AND (locked_until IS NULL OR locked_until < NOW())`,
+    [FAILURE_WINDOW_SECONDS]
+  );
+}
+
+async function recordFailure(action, { scope, key, max }) {
+  await purgeExpiredBuckets();
+  const { rows } = await pool.query(
+    `INSERT INTO app_auth_throttle (action, scope, key, failures, last_failure_at)
+     VALUES ($1, $2, $3, 1, NOW())
+     ON CONFLICT (action, scope, key) DO UPDATE SET
+       failures = CASE
+         WHEN app_auth_throttle.last_failure_at < NOW() - make_interval(secs => $4)
+          AND (app_auth_throttle.locked_until IS NULL OR app_auth_throttle.locked_until < NOW())
+         THEN 1
+         ELSE app_auth_throttle.failures + 1
+       END,
+       last_failure_at = NOW()
+     RETURNING failures`,
+    [action, scope, key, FAILURE_WINDOW_SECONDS]
+  );
+
+  const failures = rows[0].failures;
+  if (failures >= max) {
+    const lockSeconds = Math.min(
+      LOCKOUT_BASE_SECONDS * 2 ** (failures - max),
+      LOCKOUT_MAX_SECONDS
+    );
+    await pool.query(
+      `UPDATE app_auth_throttle
+          SET locked_until = NOW() + make_interval(secs => $4)
+        WHERE action = $1 AND scope = $2 AND key = $3`,
+      [action, scope, key, lockSeconds]
+    );
+  }
+}
+
+async function clearBucket(action, { scope, key }) {
+  await pool.query(
+    "DELETE FROM app_auth_throttle WHERE action = $1 AND scope = $2 AND key = $3",
+    [action, scope, key]
+  );
+}
+
+// Remove every account lock for a user (login buckets are keyed by email,
+// second-factor buckets by user id). Returns the number of cleared buckets.
+async function unlockAccount({ userId, email }) {
+  const { rowCount } = await pool.query(
+    `DELETE FROM app_auth_throttle
+      WHERE scope = 'account' AND key = ANY($1::text[])`,
+    [[String(userId), String(email).trim().toLowerCase()]]
+  );
+  return rowCount;
+}
+
+function normalizeAccountKey(value) {
+  return value ? String(value).trim().toLowerCase() : null;
+}
+
+function toAccountBucket(value) {
+  const account = normalizeAccountKey(value);
+  return account
+    ? { scope: "account", key: account, max: MAX_ACCOUNT_FAILURES }
+    : null;
+}
+
+// Middleware factory. accountKey(req) identifies the targeted account (e.g.
+// the email in the body). Handlers report the outcome through
+// req.authThrottle.fail() / req.authThrottle.succeed(); a success only
+// clears the account bucket so a valid login cannot reset an IP's count.
+// When the account is only known once the request is verified (a signed
+// token), leave accountKey out and call req.authThrottle.forAccount(key)
+// after verifying: it adds the account bucket to later fail() / succeed()
+// calls and resolves to the seconds that account is still locked (0 = not
+// locked). Failures before that count against the IP only.
+function authRateLimit(action, { accountKey } = {}) {
+  return async (req, res, next) => {
+    try {
+      const buckets = [{ scope: "ip", key: req.ip, max: MAX_IP_FAILURES }];
+      let accountBucket = accountKey ? toAccountBucket(accountKey(req)) : null;
+      if (accountBucket) buckets.push(accountBucket);
+
+      const retryAfter = await getRetryAfter(action, buckets);
+      if (retryAfter > 0) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          error: "Too many attempts. Try again later.",
+          retryAfter,
+        });
+      }
+
+      req.authThrottle = {
+        forAccount: async (key) => {
+          accountBucket = toAccountBucket(key);
+          if (!accountBucket) return 0;
+          buckets.push(accountBucket);
+          return getRetryAfter(action, [accountBucket]);
+        },
+        fail: () =>
+          Promise.all(buckets.map((bucket) => recordFailure(action, bucket))),
+        succeed: () =>
+          accountBucket ? clearBucket(action, accountBucket) : Promise.resolve(),
+      };
+      next();
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+  };
+}
+
+module.exports = {
+  authRateLimit,
+  unlockAccount,
+};
@@ -0,0 +1,124 @@
+// services/avatars.js
+// Profile pictures uploaded through POST /api/users/:id/avatar. The upload is
+// decoded (so the declared content type is not trusted), cropped to a square
+// and written in every size of AVATAR_SIZES as WebP through services/storage.
+// app_users.user_image points at the largest size; avatar_files lists every
+// stored file so they can be removed when the avatar is replaced.
+//   AVATAR_MAX_BYTES  largest accepted upload (default 5 MB)
+//   AVATAR_SIZES      square sizes in pixels, comma separated (default 256,64)
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { pool, httpError } = require("../routes/utils");
+const { putObject, deleteObject } = require("./storage");
+
+const AVATAR_MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const AVATAR_SIZES = (process.env.AVATAR_SIZES || "256,64")
+  .split(",")
+  .map((size) => parseInt(size, 10))
+  .filter((size) => size > 0)
+  .sort((a, b) => b - a);
+const AVATAR_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+// Larger images are rejected before resizing to bound memory use
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+async function readImage(buffer, mimeType) {
+  if (!AVATAR_TYPES[mimeType]) {
+    throw httpError(400, `Avatar must be one of ${Object.keys(AVATAR_TYPES).join(", ")}`);
+  }
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw httpError(400, "The file is not a readable image");
+  }
+  if (metadata.format !== AVATAR_TYPES[mimeType]) {
+    throw httpError(400, "The file content does not match its image type");
+  }
+  return metadata;
+}
+
+// Delete stored avatar files; failures are logged, not thrown, since the
+// database no longer points at them
+async function deleteAvatarFiles(files) {
+  for (const file of files || []) {
+    try {
+      await deleteObject(file.key);
+    } catch (err) {
+      console.error(`Failed to delete avatar file ${file.key}:`, err.message);
+    }
+  }
+}
+
+// Store the resized avatar and point the user at it. Returns
+// { userImage, sizes: [{ size, url }] }.
+async function setAvatar(userId, { buffer, mimeType }) {
+  if (buffer.length > AVATAR_MAX_BYTES) {
+    throw httpError(413, `Avatar must be at most ${AVATAR_MAX_BYTES} bytes`);
+  }
+  await readImage(buffer, mimeType);
+
+  const { rows: users } = await pool.query(
+    `SELECT avatar_files AS "avatarFiles" FROM app_users WHERE id = $1`,
+    [userId]
+  );
+  if (users.length === 0) throw httpError(404, "User not found");
+
+  // A new name per upload, so cached copies of the old picture do not linger
+  const version = crypto.randomBytes(8).toString("hex");
+  const files = [];
+  try {
+    for (const size of AVATAR_SIZES) {
+      const image = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(size, size, { fit: "cover", position: "attention" })
+        .webp({ quality: 85 })
+        .toBuffer();
+      const stored = await putObject(
+        `avatars/${userId}/${version}-${size}.webp`,
+        image,
+        "image/webp"
+      );
+      files.push({ size, ...stored });
+    }
+
+    await pool.query(
+      `UPDATE app_users SET user_image = $2, avatar_files = $3 WHERE id = $1`,
+      [userId, files[0].url, JSON.stringify(files)]
+    );
+  } catch (error) {
+    await deleteAvatarFiles(files);
+    throw error;
+  }
+
+  await deleteAvatarFiles(users[0].avatarFiles);
+  return {
+    userImage: files[0].url,
+    sizes: files.map(({ size, url }) => ({ size, url })),
+  };
+}
+
+// Clear the user's picture and delete any uploaded files
+async function removeAvatar(userId) {
+  const { rows } = await pool.query(
+    `UPDATE app_users u SET user_image = NULL, avatar_files = NULL
+       FROM app_users old
+      WHERE u.id = $1 AND old.id = u.id
+      RETURNING old.avatar_files AS "avatarFiles"`,
+    [userId]
+  );
+  if (rows.length === 0) throw httpError(404, "User not found");
+  await deleteAvatarFiles(rows[0].avatarFiles);
+}
+
+module.exports = {
+  AVATAR_MAX_BYTES,
+  AVATAR_TYPES,
+  setAvatar,
+  removeAvatar,
+  deleteAvatarFiles,
+};
@@ -0,0 +1,89 @@
+// services/email-verification.js
+// Proof that a user owns their email address (app_users.email_verified_at).
+// Self-registered accounts start unverified and get a single-use link; an
+// accepted invitation, a password reset or a provider that vouches for the
+// address verify it as well. What an unverified account may not do:
+//   EMAIL_VERIFICATION_MODE   none  - nothing, verification is informational
+//                             link  - no automatic linking of a Google/OIDC
+//                                     sign-in by email (default)
+//                             login - no sign-in at all (implies link)
+//   EMAIL_VERIFICATION_URL        frontend page that calls /auth/verify-email
+//   EMAIL_VERIFICATION_TTL_HOURS  link lifetime (default 48)
+const { pool, httpError } = require("../routes/utils");
+const { createUserToken, consumeUserToken } = require("./user-tokens");
+const { sendMail } = require("./mail");
+const { getPreferences } = require("./preferences");
+const { renderMail } = require("./mail-templates");
+
+const EMAIL_VERIFICATION_MODES = ["none", "link", "login"];
+const EMAIL_VERIFICATION_PURPOSE = "email_verification";
+const EMAIL_VERIFICATION_URL =
+  process.env.EMAIL_VERIFICATION_URL || "http://localhost:5173/verify-email";
+const EMAIL_VERIFICATION_TTL_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+function getEmailVerificationMode() {
+  const mode = process.env.EMAIL_VERIFICATION_MODE || "link";
+  if (!EMAIL_VERIFICATION_MODES.includes(mode)) {
+    throw new Error(`Invalid EMAIL_VERIFICATION_MODE "${mode}"`);
+  }
+  return mode;
+}
+
+function isEmailVerified(user) {
+  return Boolean(user.emailVerifiedAt);
+}
+
+// Whether user may sign in (password or external provider)
+function mayLogIn(user) {
+  return getEmailVerificationMode() !== "login" || isEmailVerified(user);
+}
+
+// Whether an external sign-in may be linked to user because the emails match
+function mayAutoLink(user) {
+  return getEmailVerificationMode() === "none" || isEmailVerified(user);
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(
+    user.id,
+    EMAIL_VERIFICATION_PURPOSE,
+    EMAIL_VERIFICATION_TTL_HOURS * 60
+  );
+  const link = `${EMAIL_VERIFICATION_URL}?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    ...renderMail("emailVerification", await getPreferences(user.id), {
+      firstName: user.firstName,
+      ttl: EMAIL_VERIFICATION_TTL_HOURS,
+      expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 3600 * 1000),
+      link,
+    }),
+  });
+}
+
+async function markEmailVerified(userId, db = pool) {
+  await db.query(
+    `UPDATE app_users SET email_verified_at = COALESCE(email_verified_at, NOW())
+      WHERE id = $1`,
+    [userId]
+  );
+}
+
+// Consume a verification token and return the verified user's id
+async function verifyEmail(token) {
+  const consumed = await consumeUserToken(token, EMAIL_VERIFICATION_PURPOSE);
+  if (!consumed) throw httpError(400, "Invalid or expired verification token");
+  await markEmailVerified(consumed.userId);
+  return consumed.userId;
+}
+
+module.exports = {
+  getEmailVerificationMode,
+  isEmailVerified,
+  mayLogIn,
+  mayAutoLink,
+  sendVerificationEmail,
+  markEmailVerified,
+  verifyEmail,
+};
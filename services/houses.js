@@ -0,0 +1,34 @@
+// services/houses.js
+// Setting up new houses: each house gets one pending house activity per
+// active activity of the master list.
+const { pool } = require("../routes/utils");
+
+// Instantiates the active master activities on every house of houseIds and
+// stores their total_activities. Returns the number of activities per house;
+// 0 when the master list has no active activity, in which case nothing is
+// written.
+async function instantiateHouseActivities(houseIds, db = pool) {
+  const { rows } = await db.query(
+    `WITH inserted AS (
+       INSERT INTO app_house_activities
+         (activity_id, num, phase, sub_phase, activity, dependance, description, open_date, status, house_id)
+       SELECT a.id, a.num::text, a.phase, a.sub_phase, a.activity, a.dependance, a.description, NOW(), 'pending', house.id
+         FROM unnest($1::uuid[]) AS house(id)
+         CROSS JOIN app_activities a
+        WHERE a.is_active = TRUE
+        ORDER BY house.id, a.num
+       RETURNING house_id
+     )
+     UPDATE app_houses h
+        SET total_activities = c.count
+       FROM (SELECT house_id, COUNT(*)::int AS count FROM inserted GROUP BY house_id) c
+      WHERE h.id = c.house_id
+     RETURNING h.total_activities AS "totalActivities"`,
+    [houseIds]
+  );
+  return rows.length > 0 ? rows[0].totalActivities : 0;
+}
+
+module.exports = {
+  instantiateHouseActivities,
+};
@@ -0,0 +1,200 @@
+// services/identities.js
+// External sign-in identities (Google, OIDC providers) linked to users in
+// app_user_identities. A returning user is found by (provider, subject), so a
+// changed email at the provider does not create a second account. Email is
+// only used to link a provider to an existing account the first time, and
+// only when the provider vouches for the address and the account has
+// verified it too (see services/email-verification.js).
+const { pool, generateUUID, httpError } = require("../routes/utils");
+const { checkSelfRegistration } = require("./registration-policy");
+const {
+  mayLogIn,
+  mayAutoLink,
+  markEmailVerified,
+} = require("./email-verification");
+
+async function findUserByIdentity(provider, subject) {
+  const [rows] = await pool.execute(
+    `SELECT u.* FROM app_users u
+       JOIN app_user_identities i ON i.user_id = u.id
+      WHERE i.provider = ? AND i.subject = ?`,
+    [provider, subject]
+  );
+  return rows[0] || null;
+}
+
+async function linkIdentity(userId, { provider, subject, email }, db = pool) {
+  await db.query(
+    `INSERT INTO app_user_identities (id, user_id, provider, subject, email, last_login_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (provider, subject) DO NOTHING`,
+    [generateUUID(), userId, provider, subject, email]
+  );
+}
+
+// Deactivated users, pending invitations, service accounts and (depending on
+// EMAIL_VERIFICATION_MODE) unverified accounts cannot sign in
+function rejectUser(user) {
+  if (!user.isActive) {
+    return { userId: user.id, reason: "inactive", message: "Account is inactive" };
+  }
+  if (user.isServiceAccount) {
+    return {
+      userId: user.id,
+      reason: "service_account",
+      message: "Service accounts can only use API keys",
+    };
+  }
+  if (!mayLogIn(user)) {
+    return {
+      userId: user.id,
+      reason: "unverified_account",
+      message: "Confirm your email address before signing in",
+    };
+  }
+  return null;
+}
+
+// Find or create the user for an external sign-in. Returns { user } or
+// { failure: { userId, reason, message } } where reason is recorded in the
+// login history.
+async function resolveFederatedUser({
+  provider,
+  subject,
+  email,
+  emailVerified,
+  firstName = "",
+  lastName = "",
+  userImage = null,
+  defaultRole,
+}) {
+  if (!subject) {
+    return { failure: { reason: "missing_subject", message: "Provider returned no subject" } };
+  }
+
+  const linked = await findUserByIdentity(provider, subject);
+  if (linked) {
+    const failure = rejectUser(linked);
+    if (failure) return { failure };
+    await pool.query(
+      `UPDATE app_user_identities SET last_login_at = NOW(), email = COALESCE($3, email)
+        WHERE provider = $1 AND subject = $2`,
+      [provider, subject, email]
+    );
+    return { user: linked };
+  }
+
+  if (!email) {
+    return { failure: { reason: "missing_email", message: "Provider profile missing email" } };
+  }
+
+  const [existing] = await pool.execute(
+    "SELECT * FROM app_users WHERE email = ?",
+    [email]
+  );
+  if (existing.length > 0) {
+    const user = existing[0];
+    const failure = rejectUser(user);
+    if (failure) return { failure };
+    // An unverified address could belong to anyone at the provider
+    if (!emailVerified) {
+      return {
+        failure: {
+          userId: user.id,
+          reason: "email_not_verified",
+          message:
+            "This email belongs to an existing account and the provider has not verified it",
+        },
+      };
+    }
+    // Someone could have registered the address without owning it
+    if (!mayAutoLink(user)) {
+      return {
+        failure: {
+          userId: user.id,
+          reason: "unverified_account",
+          message:
+            "This email belongs to an account that has not confirmed its address yet",
+        },
+      };
+    }
+    await linkIdentity(user.id, { provider, subject, email });
+    await markEmailVerified(user.id);
+    return { user };
+  }
+
+  // First sign-in creates an account: same rules as /register
+  const rejection = checkSelfRegistration(email);
+  if (rejection) {
+    return { failure: { reason: "registration_rejected", message: rejection.error } };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const id = generateUUID();
+    await client.query(
+      `INSERT INTO app_users
+         (id, email, first_name, last_name, user_image, role, is_active, email_verified_at)
+       VALUES ($1, $2, $3, $4, $5, $6, TRUE, CASE WHEN $7::boolean THEN NOW() END)`,
+      [id, email, firstName, lastName, userImage, defaultRole, Boolean(emailVerified)]
+    );
+    await linkIdentity(id, { provider, subject, email }, client);
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  return { user: await findUserByIdentity(provider, subject) };
+}
+
+async function listIdentities(userId) {
+  const { rows } = await pool.query(
+    `SELECT id, provider, email, created_at AS "createdAt", last_login_at AS "lastLoginAt"
+       FROM app_user_identities
+      WHERE user_id = $1
+      ORDER BY created_at`,
+    [userId]
+  );
+  return rows;
+}
+
+// Unlink an identity, unless it is the user's only way to sign in
+async function unlinkIdentity(userId, identityId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows: users } = await client.query(
+      `SELECT password_hash AS "passwordHash",
+              (SELECT COUNT(*)::int FROM app_user_identities WHERE user_id = $1) AS "identities"
+         FROM app_users WHERE id = $1
+          FOR UPDATE`,
+      [userId]
+    );
+    const { rowCount } = await client.query(
+      "DELETE FROM app_user_identities WHERE id = $1 AND user_id = $2",
+      [identityId, userId]
+    );
+    if (rowCount === 0) throw httpError(404, "Identity not found");
+    if (!users[0].passwordHash && users[0].identities <= 1) {
+      throw httpError(
+        409,
+        "Set a password before removing your last sign-in provider"
+      );
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  resolveFederatedUser,
+  listIdentities,
+  unlinkIdentity,
+};
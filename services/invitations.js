@@ -0,0 +1,285 @@
+// services/invitations.js
+// Invitation-based onboarding: an admin creates a pending (inactive, no
+// password) user, optionally assigned to projects, and the invitee activates
+// it by choosing a password through the emailed link (which also verifies
+// their email address).
+const { pool, generateUUID, httpError } = require("../routes/utils");
+const { createUserToken, consumeUserToken } = require("./user-tokens");
+const { sendMail } = require("./mail");
+const { setUserPassword } = require("./password-policy");
+const { getPreferences, updatePreferences } = require("./preferences");
+const { renderMail } = require("./mail-templates");
+
+const INVITE_ACCEPT_URL =
+  process.env.INVITE_ACCEPT_URL || "http://localhost:5173/accept-invite";
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS, 10) || 72;
+
+const INVITATION_COLUMNS = `
+  i.id,
+  i.user_id AS "userId",
+  i.email,
+  i.role,
+  i.invited_by_id AS "invitedById",
+  i.created_at AS "createdAt",
+  i.last_sent_at AS "lastSentAt",
+  i.expires_at AS "expiresAt",
+  i.accepted_at AS "acceptedAt",
+  i.revoked_at AS "revokedAt",
+  CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END AS status,
+  u.first_name AS "firstName",
+  u.last_name AS "lastName",
+  COALESCE(
+    (SELECT array_agg(pm.project_id) FROM app_project_members pm WHERE pm.user_id = i.user_id),
+    '{}'
+  ) AS "projectIds"`;
+
+async function getInvitation(id, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ${INVITATION_COLUMNS}
+       FROM app_user_invitations i
+       LEFT JOIN app_users u ON u.id = i.user_id
+      WHERE i.id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// status: pending | expired | accepted | revoked | all
+async function listInvitations(status = "pending") {
+  const { rows } = await pool.query(
+    `SELECT * FROM (
+       SELECT ${INVITATION_COLUMNS}
+         FROM app_user_invitations i
+         LEFT JOIN app_users u ON u.id = i.user_id
+     ) invitations
+     WHERE $1 = 'all' OR status = $1
+     ORDER BY "createdAt" DESC`,
+    [status]
+  );
+  return rows;
+}
+
+async function sendInvitationEmail(invitation, token, db) {
+  const link = `${INVITE_ACCEPT_URL}?token=${encodeURIComponent(token)}`;
+  const preferences = await getPreferences(invitation.userId, db);
+  await sendMail({
+    to: invitation.email,
+    ...renderMail("invitation", preferences, {
+      firstName: invitation.firstName,
+      role: invitation.role,
+      ttl: INVITE_TTL_HOURS,
+      expiresAt: invitation.expiresAt,
+      link,
+    }),
+  });
+}
+
+// Issue a fresh token (invalidating the previous one) and email it
+async function issueInvitationToken(invitationId, db) {
+  await db.query(
+    `UPDATE app_user_invitations
+        SET last_sent_at = NOW(), expires_at = NOW() + make_interval(hours => $2)
+      WHERE id = $1`,
+    [invitationId, INVITE_TTL_HOURS]
+  );
+  const invitation = await getInvitation(invitationId, db);
+  const token = await createUserToken(
+    invitation.userId,
+    "invite",
+    INVITE_TTL_HOURS * 60,
+    db
+  );
+  await sendInvitationEmail(invitation, token, db);
+  return invitation;
+}
+
+async function createInvitation({
+  email,
+  firstName = null,
+  lastName = null,
+  role = "surveyor",
+  projectIds = [],
+  locale = null,
+  invitedById,
+}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows: existing } = await client.query(
+      `SELECT u.id, i.id AS "invitationId"
+         FROM app_users u
+         LEFT JOIN app_user_invitations i
+           ON i.user_id = u.id AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+        WHERE u.email = $1`,
+      [email]
+    );
+    if (existing.length > 0) {
+      throw httpError(
+        409,
+        existing[0].invitationId
+          ? "This email already has a pending invitation; resend it instead"
+          : "Email already exists"
+      );
+    }
+
+    if (projectIds.length > 0) {
+      const { rows: projects } = await client.query(
+        "SELECT id FROM app_projects WHERE id = ANY($1::uuid[])",
+        [projectIds]
+      );
+      if (projects.length !== new Set(projectIds).size) {
+        throw httpError(400, "One or more projects not found");
+      }
+    }
+
+    const userId = generateUUID();
+    await client.query(
+      `INSERT INTO app_users (id, email, first_name, last_name, role, is_active)
+       VALUES ($1, $2, $3, $4, $5, FALSE)`,
+      [userId, email, firstName, lastName, role]
+    );
+    for (const projectId of new Set(projectIds)) {
+      await client.query(
+        `INSERT INTO app_project_members (project_id, user_id, role)
+         VALUES ($1, $2, $3)`,
+        [projectId, userId, role]
+      );
+    }
+
+    // Language of the invitation email and, later, of the account
+    if (locale) await updatePreferences(userId, { locale }, client);
+
+    const invitationId = generateUUID();
+    await client.query(
+      `INSERT INTO app_user_invitations (id, user_id, email, role, invited_by_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [invitationId, userId, email, role, invitedById]
+    );
+    // The email goes out before COMMIT so a failed delivery leaves nothing behind
+    const invitation = await issueInvitationToken(invitationId, client);
+
+    await client.query("COMMIT");
+    return invitation;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function findOpenInvitation(id, db) {
+  const invitation = await getInvitation(id, db);
+  if (!invitation) throw httpError(404, "Invitation not found");
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw httpError(409, `Invitation already ${invitation.status}`);
+  }
+  return invitation;
+}
+
+async function resendInvitation(id) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await findOpenInvitation(id, client);
+    const invitation = await issueInvitationToken(id, client);
+    await client.query("COMMIT");
+    return invitation;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Revoking removes the pending user (and its project memberships and
+// tokens); the invitation row is kept for the record.
+async function revokeInvitation(id) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const invitation = await findOpenInvitation(id, client);
+    await client.query(
+      "UPDATE app_user_invitations SET revoked_at = NOW() WHERE id = $1",
+      [id]
+    );
+    await client.query(
+      "DELETE FROM app_users WHERE id = $1 AND password_hash IS NULL AND is_active = FALSE",
+      [invitation.userId]
+    );
+    await client.query("COMMIT");
+    return getInvitation(id);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Activate the invited user with the password they chose; returns the user id
+async function acceptInvitation(token, { password, firstName, lastName }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const consumed = await consumeUserToken(token, "invite", client);
+    if (!consumed) throw httpError(400, "Invalid or expired invitation");
+
+    const { rows: invitations } = await client.query(
+      `UPDATE app_user_invitations SET accepted_at = NOW()
+        WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+        RETURNING id`,
+      [consumed.userId]
+    );
+    if (invitations.length === 0) {
+      throw httpError(400, "Invalid or expired invitation");
+    }
+
+    await client.query(
+      `UPDATE app_users
+          SET is_active = TRUE,
+              email_verified_at = COALESCE(email_verified_at, NOW()),
+              first_name = COALESCE($1, first_name),
+              last_name = COALESCE($2, last_name)
+        WHERE id = $3`,
+      [firstName || null, lastName || null, consumed.userId]
+    );
+    await setUserPassword(consumed.userId, password, client);
+
+    await client.query("COMMIT");
+    return consumed.userId;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Whether email belongs to a user that is still waiting to accept an invitation
+async function hasPendingInvitation(email) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM app_user_invitations
+      WHERE email = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [email]
+  );
+  return rows.length > 0;
+}
+
+module.exports = {
+  listInvitations,
+  getInvitation,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation,
+  hasPendingInvitation,
+};
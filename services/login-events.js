@@ -0,0 +1,101 @@
+// services/login-events.js
+// Audit trail of sign-in attempts (successful or not) for login history.
+const { pool, generateUUID } = require("../routes/utils");
+
+// Request details stored with sessions and login events
+function requestContext(req, method) {
+  return {
+    method,
+    ip: req.ip || null,
+    userAgent: req.get("user-agent") || null,
+  };
+}
+
+// Failures to write the audit row must never break the login itself
+async function recordLoginEvent({
+  userId = null,
+  email = null,
+  method,
+  ip = null,
+  userAgent = null,
+  success,
+  failureReason = null,
+}) {
+  try {
+    await pool.query(
+      `INSERT INTO app_login_events
+         (id, user_id, email, method, ip_address, user_agent, success, failure_reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [generateUUID(), userId, email, method, ip, userAgent, success, failureReason]
+    );
+  } catch (err) {
+    console.error("Could not record login event:", err.message);
+  }
+}
+
+// filters: userId, success (boolean), method, from, to, limit, offset
+async function listLoginEvents({
+  userId,
+  success,
+  method,
+  from,
+  to,
+  limit = 50,
+  offset = 0,
+} = {}) {
+  let where = "WHERE 1=1";
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    where += ` AND e.user_id = $${params.length}`;
+  }
+  if (success !== undefined) {
+    params.push(success);
+    where += ` AND e.success = $${params.length}`;
+  }
+  if (method) {
+    params.push(method);
+    where += ` AND e.method = $${params.length}`;
+  }
+  if (from) {
+    params.push(from);
+    where += ` AND e.created_at >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    where += ` AND e.created_at <= $${params.length}`;
+  }
+
+  const { rows: countRows } = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM app_login_events e ${where}`,
+    params
+  );
+
+  params.push(limit, offset);
+  const { rows } = await pool.query(
+    `SELECT
+       e.id,
+       e.user_id AS "userId",
+       e.email,
+       e.method,
+       e.ip_address AS "ipAddress",
+       e.user_agent AS "userAgent",
+       e.success,
+       e.failure_reason AS "failureReason",
+       e.created_at AS "createdAt"
+     FROM app_login_events e
+     ${where}
+     ORDER BY e.created_at DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return { events: rows, total: countRows[0].total };
+}
+
+module.exports = {
+  requestContext,
+  recordLoginEvent,
+  listLoginEvents,
+};
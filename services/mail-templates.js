@@ -0,0 +1,145 @@
+// services/mail-templates.js
+// Texts of the emails the server sends, in every supported locale (see
+// LOCALES in services/preferences.js). renderMail picks the recipient's
+// language and formats dates in their time zone and date format.
+const { DEFAULT_PREFERENCES, formatDateTime } = require("./preferences");
+
+const templates = {
+  invitation: {
+    en: (v) => ({
+      subject: "You have been invited to CreekSide",
+      text:
+        `Hi ${v.firstName},\n\n` +
+        `You have been invited to join CreekSide as ${v.role}. ` +
+        `Open the link below to choose your password. ` +
+        `It expires in ${v.ttl} hours (${v.expiresAt}).\n\n` +
+        `${v.link}\n`,
+    }),
+    es: (v) => ({
+      subject: "Te han invitado a CreekSide",
+      text:
+        `Hola ${v.firstName},\n\n` +
+        `Te han invitado a unirte a CreekSide como ${v.role}. ` +
+        `Abre el siguiente enlace para elegir tu contraseña. ` +
+        `Caduca en ${v.ttl} horas (${v.expiresAt}).\n\n` +
+        `${v.link}\n`,
+    }),
+  },
+  emailVerification: {
+    en: (v) => ({
+      subject: "Confirm your CreekSide email address",
+      text:
+        `Hi ${v.firstName},\n\n` +
+        `Please confirm that this is your email address by opening the link below. ` +
+        `It expires in ${v.ttl} hours (${v.expiresAt}).\n\n` +
+        `${v.link}\n\n` +
+        `If you did not create a CreekSide account you can ignore this email.`,
+    }),
+    es: (v) => ({
+      subject: "Confirma tu correo de CreekSide",
+      text:
+        `Hola ${v.firstName},\n\n` +
+        `Confirma que esta es tu dirección de correo abriendo el siguiente enlace. ` +
+        `Caduca en ${v.ttl} horas (${v.expiresAt}).\n\n` +
+        `${v.link}\n\n` +
+        `Si no creaste una cuenta de CreekSide puedes ignorar este correo.`,
+    }),
+  },
+  passwordReset: {
+    en: (v) => ({
+      subject: "Reset your CreekSide password",
+      text:
+        `Hi ${v.firstName},\n\n` +
+        `Use the link below to choose a new password. ` +
+        `It expires in ${v.ttl} minutes (${v.expiresAt}) and can only be used once.\n\n` +
+        `${v.link}\n\n` +
+        `If you did not ask for a password reset you can ignore this email.`,
+    }),
+    es: (v) => ({
+      subject: "Restablece tu contraseña de CreekSide",
+      text:
+        `Hola ${v.firstName},\n\n` +
+        `Usa el siguiente enlace para elegir una contraseña nueva. ` +
+        `Caduca en ${v.ttl} minutos (${v.expiresAt}) y solo se puede usar una vez.\n\n` +
+        `${v.link}\n\n` +
+        `Si no pediste restablecer tu contraseña puedes ignorar este correo.`,
+    }),
+  },
+  // v.open: workload counts; v.changes: { at, userName, houseName, activity,
+  // type, toStatus } from services/notification-digest.js
+  digest: {
+    en: (v) => ({
+      subject: `Your ${v.frequency} CreekSide summary`,
+      text:
+        `Hi ${v.firstName},\n\n` +
+        `You have ${v.open.assigned} open activities: ${v.open.pending} pending, ` +
+        `${v.open.inProgress} in progress, ${v.open.inReview} in review, ` +
+        `${v.open.blocked} blocked and ${v.open.rejected} rejected.\n\n` +
+        (v.changes.length > 0
+          ? `Changes to your activities:\n` +
+            v.changes
+              .map(
+                (c) =>
+                  `- ${c.at} ${c.houseName} / ${c.activity}: ${c.userName || "someone"} ` +
+                  {
+                    status_changed: `set it to ${c.toStatus}`,
+                    remark_updated: "updated the remarks",
+                    approved: "approved it",
+                    approval_revoked: "revoked its approval",
+                    image_uploaded: "uploaded an image",
+                  }[c.type]
+              )
+              .join("\n") +
+            (v.moreChanges ? "\n- ...and more" : "") +
+            "\n\n"
+          : "") +
+        `You can change how often you get this summary in your preferences.`,
+    }),
+    es: (v) => ({
+      subject: `Tu resumen ${v.frequency === "weekly" ? "semanal" : "diario"} de CreekSide`,
+      text:
+        `Hola ${v.firstName},\n\n` +
+        `Tienes ${v.open.assigned} actividades abiertas: ${v.open.pending} pendientes, ` +
+        `${v.open.inProgress} en progreso, ${v.open.inReview} en revisión, ` +
+        `${v.open.blocked} bloqueadas y ${v.open.rejected} rechazadas.\n\n` +
+        (v.changes.length > 0
+          ? `Cambios en tus actividades:\n` +
+            v.changes
+              .map(
+                (c) =>
+                  `- ${c.at} ${c.houseName} / ${c.activity}: ${c.userName || "alguien"} ` +
+                  {
+                    status_changed: `la cambió a ${c.toStatus}`,
+                    remark_updated: "actualizó las observaciones",
+                    approved: "la aprobó",
+                    approval_revoked: "retiró su aprobación",
+                    image_uploaded: "subió una imagen",
+                  }[c.type]
+              )
+              .join("\n") +
+            (v.moreChanges ? "\n- ...y más" : "") +
+            "\n\n"
+          : "") +
+        `Puedes cambiar cada cuánto recibes este resumen en tus preferencias.`,
+    }),
+  },
+};
+
+// vars.expiresAt (a Date) is rendered for the recipient; returns
+// { subject, text }
+function renderMail(name, preferences = DEFAULT_PREFERENCES, vars = {}) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown mail template "${name}"`);
+  const render = template[preferences.locale] || template[DEFAULT_PREFERENCES.locale] || template.en;
+  return render({
+    ...vars,
+    firstName: vars.firstName || "",
+    expiresAt: vars.expiresAt
+      ? `${formatDateTime(vars.expiresAt, preferences)} ${preferences.timezone}`
+      : "",
+  });
+}
+
+module.exports = {
+  renderMail,
+};
@@ -0,0 +1,86 @@
+// services/mail.js
+// Mail transport abstraction. MAIL_DRIVER selects where messages go:
+//   smtp - real delivery through nodemailer (SMTP_* variables)
+//   file - one JSON file per message in MAIL_OUTBOX_DIR (development)
+//   db   - rows in app_mail_outbox (development / tests)
+const fs = require("fs");
+const path = require("path");
+const { pool, generateUUID } = require("../routes/utils");
+
+const MAIL_FROM = process.env.MAIL_FROM || "CreekSide <no-reply@creekside.com>";
+
+function createSmtpTransport() {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+}
+
+function createFileTransport() {
+  const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || "mail-outbox");
+
+  return {
+    async send(message) {
+      const id = generateUUID();
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${Date.now()}-${id}.json`),
+        JSON.stringify({ id, ...message, createdAt: new Date() }, null, 2)
+      );
+      return { id };
+    },
+  };
+}
+
+function createDbTransport() {
+  return {
+    async send(message) {
+      const id = generateUUID();
+      await pool.query(
+        `INSERT INTO app_mail_outbox (id, from_address, to_address, subject, text_body, html_body)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [id, message.from, message.to, message.subject, message.text, message.html || null]
+      );
+      return { id };
+    },
+  };
+}
+
+const drivers = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  db: createDbTransport,
+};
+
+let transport = null;
+
+function getMailTransport() {
+  if (!transport) {
+    const driver = process.env.MAIL_DRIVER || "file";
+    if (!drivers[driver]) {
+      throw new Error(`Unknown MAIL_DRIVER "${driver}"`);
+    }
+    transport = drivers[driver]();
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getMailTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  sendMail,
+};
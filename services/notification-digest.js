@@ -0,0 +1,143 @@
+// services/notification-digest.js
+// Email digests for users whose preferences ask for one (digestFrequency
+// daily or weekly and "email" among their notificationChannels): their open
+// assigned work plus what others did to the house activities assigned to
+// them since the previous digest.
+//   DIGEST_CHECK_INTERVAL_MINUTES  how often due digests are looked for
+//                                  (default 60, 0 disables)
+// app_user_preferences.last_digest_sent_at is claimed before sending, so
+// several instances never send the same digest twice; a digest that fails
+// to send is skipped, not retried.
+const { pool } = require("../routes/utils");
+const { sendMail } = require("./mail");
+const { renderMail } = require("./mail-templates");
+const { getPreferences, formatDateTime } = require("./preferences");
+const { getUserWorkload } = require("./workload");
+
+const DIGEST_CHECK_INTERVAL_MINUTES = Number(
+  process.env.DIGEST_CHECK_INTERVAL_MINUTES ?? 60
+);
+const DIGEST_PERIOD = { daily: "1 day", weekly: "7 days" };
+const DIGEST_MAX_CHANGES = 20;
+
+// Marks the users whose digest is due as sent and returns them with the
+// time of their previous digest (null for the first one)
+async function claimDueDigests() {
+  const { rows } = await pool.query(
+    `WITH due AS (
+       SELECT p.user_id, p.last_digest_sent_at
+         FROM app_user_preferences p
+         JOIN app_users u ON u.id = p.user_id
+        WHERE p.digest_frequency IN ('daily', 'weekly')
+          AND COALESCE(p.notification_channels, '{email}') @> '{email}'
+          AND u.is_active AND NOT u.is_service_account AND u.offboarded_at IS NULL
+          AND (
+            p.last_digest_sent_at IS NULL
+            OR p.last_digest_sent_at <= NOW() - (
+              CASE p.digest_frequency WHEN 'daily' THEN $1 ELSE $2 END
+            )::interval
+          )
+        FOR UPDATE OF p SKIP LOCKED
+     )
+     UPDATE app_user_preferences p
+        SET last_digest_sent_at = NOW()
+       FROM due
+      WHERE p.user_id = due.user_id
+     RETURNING p.user_id AS "userId",
+               p.digest_frequency AS "digestFrequency",
+               due.last_digest_sent_at AS "since"`,
+    [DIGEST_PERIOD.daily, DIGEST_PERIOD.weekly]
+  );
+  return rows;
+}
+
+// Events by other people on the house activities assigned to userId
+async function getAssignedActivityChanges(userId, since) {
+  const { rows } = await pool.query(
+    `SELECT
+       e.event_type AS type,
+       e.to_status AS "toStatus",
+       e.created_at AS "createdAt",
+       ha.activity,
+       h.name AS "houseName",
+       NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), '') AS "userName"
+     FROM app_activity_events e
+     JOIN app_house_activities ha ON ha.id = e.house_activity_id
+     JOIN app_houses h ON h.id = ha.house_id
+     LEFT JOIN app_users u ON u.id = e.user_id
+     WHERE ha.app_user_id = $1
+       AND e.user_id IS DISTINCT FROM $1
+       AND e.created_at >= $2
+     ORDER BY e.created_at DESC, e.id
+     LIMIT $3`,
+    [userId, since, DIGEST_MAX_CHANGES]
+  );
+  return rows;
+}
+
+// Sends one claimed digest; returns false when there was nothing to report
+async function sendDigest({ userId, digestFrequency, since }) {
+  const workload = await getUserWorkload(userId, {});
+  if (!workload) return false;
+
+  const from =
+    since ||
+    new Date(Date.now() - (digestFrequency === "weekly" ? 7 : 1) * 24 * 3600 * 1000);
+  const changes = await getAssignedActivityChanges(userId, from);
+  if (workload.open.assigned === 0 && changes.length === 0) return false;
+
+  const preferences = await getPreferences(userId);
+  await sendMail({
+    to: workload.email,
+    ...renderMail("digest", preferences, {
+      firstName: workload.firstName,
+      frequency: digestFrequency,
+      open: workload.open,
+      changes: changes.map((change) => ({
+        ...change,
+        at: formatDateTime(change.createdAt, preferences),
+      })),
+      moreChanges: changes.length === DIGEST_MAX_CHANGES,
+    }),
+  });
+  return true;
+}
+
+// Sends every due digest; returns { sent, skipped, failed }
+async function sendDueDigests() {
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  for (const claimed of await claimDueDigests()) {
+    try {
+      if (await sendDigest(claimed)) result.sent += 1;
+      else result.skipped += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Digest for user ${claimed.userId} failed:`, error.message);
+    }
+  }
+  return result;
+}
+
+// Runs sendDueDigests now and every DIGEST_CHECK_INTERVAL_MINUTES
+function startDigestJob() {
+  if (!(DIGEST_CHECK_INTERVAL_MINUTES > 0)) return null;
+
+  const run = () =>
+    sendDueDigests()
+      .then(({ sent, failed }) => {
+        if (sent > 0 || failed > 0) {
+          console.log(`Digests: ${sent} sent, ${failed} failed`);
+        }
+      })
+      .catch((error) => console.error("Digest check failed:", error.message));
+
+  run();
+  const timer = setInterval(run, DIGEST_CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  sendDueDigests,
+  startDigestJob,
+};
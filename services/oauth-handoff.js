@@ -0,0 +1,106 @@
+// services/oauth-handoff.js
+// Hands a finished Google or OpenID Connect sign-in back to the browser app.
+// The login starts with a whitelisted returnTo URL and a random state that is
+// kept in the session; the callback only accepts that state, then redirects
+// to returnTo with a one-time code (or an error). The app trades the code for
+// tokens with POST /auth/google/exchange or /auth/oidc/{provider}/exchange,
+// so tokens never appear in a URL. A code only works at the exchange of the
+// provider that issued it.
+//   OAUTH_RETURN_TO_ORIGINS   comma separated origins returnTo may point to
+//                             (defaults to the origins listed in cors.json)
+//   OAUTH_DEFAULT_RETURN_TO   used when the login starts without returnTo
+const fs = require("fs");
+const path = require("path");
+const { generateOpaqueToken } = require("../routes/utils");
+const { createUserToken, consumeUserToken } = require("./user-tokens");
+
+const HANDOFF_PURPOSE = "oauth_handoff";
+const HANDOFF_CODE_TTL_MINUTES = 1;
+const DEFAULT_RETURN_TO =
+  process.env.OAUTH_DEFAULT_RETURN_TO || "http://localhost:5173/auth/callback";
+
+function readCorsOrigins() {
+  try {
+    const file = path.join(__dirname, "..", "cors.json");
+    const rules = JSON.parse(fs.readFileSync(file, "utf8"));
+    return rules.flatMap((rule) => rule.origin || []);
+  } catch (err) {
+    return [];
+  }
+}
+
+let allowedOrigins = null;
+
+function getAllowedOrigins() {
+  if (!allowedOrigins) {
+    const configured = (process.env.OAUTH_RETURN_TO_ORIGINS || "")
+      .split(",")
+      .map((o) => o.trim())
+      .filter(Boolean);
+    allowedOrigins = configured.length > 0 ? configured : readCorsOrigins();
+  }
+  return allowedOrigins;
+}
+
+// Absolute returnTo on a whitelisted origin, or null
+function validateReturnTo(returnTo) {
+  let url;
+  try {
+    url = new URL(returnTo);
+  } catch (err) {
+    return null;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return null;
+  return getAllowedOrigins().includes(url.origin) ? url.toString() : null;
+}
+
+// Remember returnTo for this browser session and return the state to send
+// to the provider. Returns null when returnTo is not allowed.
+function startHandoff(req, returnTo) {
+  const target = validateReturnTo(returnTo || DEFAULT_RETURN_TO);
+  if (!target) return null;
+  const state = generateOpaqueToken(16);
+  req.session.oauthHandoff = { state, returnTo: target };
+  return state;
+}
+
+// Take the pending handoff out of the session if state matches it
+function takeHandoff(req) {
+  const pending = req.session?.oauthHandoff;
+  if (req.session) delete req.session.oauthHandoff;
+  if (!pending || !req.query.state || req.query.state !== pending.state) {
+    return null;
+  }
+  return pending;
+}
+
+function buildRedirect(returnTo, params) {
+  const url = new URL(returnTo);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+// method is the login method of the sign-in: google or oidc:<provider>
+function handoffPurpose(method) {
+  return method === "google" ? HANDOFF_PURPOSE : `${HANDOFF_PURPOSE}:${method}`;
+}
+
+async function createHandoffCode(userId, method = "google") {
+  return createUserToken(userId, handoffPurpose(method), HANDOFF_CODE_TTL_MINUTES);
+}
+
+// Returns the user id behind a one-time code of that method, or null
+async function consumeHandoffCode(code, method = "google") {
+  const consumed = await consumeUserToken(code, handoffPurpose(method));
+  return consumed ? consumed.userId : null;
+}
+
+module.exports = {
+  startHandoff,
+  takeHandoff,
+  buildRedirect,
+  createHandoffCode,
+  consumeHandoffCode,
+};
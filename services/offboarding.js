@@ -0,0 +1,171 @@
+// services/offboarding.js
+// Removing someone from the system without erasing who did the work. The
+// account is deactivated rather than deleted, so app_user_id/approved_by_id on
+// house activities and images keep pointing at it. Open work is handed to
+// another user (or left unassigned), and every way to act as the user stops
+// working: sessions, API keys, pending links and invitations, memberships.
+// For privacy requests, anonymize also strips the personal data while keeping
+// the id, so past work shows up as done by a former user.
+const { pool, httpError } = require("../routes/utils");
+const { revokeUserTokens } = require("./tokens");
+const { revokeUserApiKeys } = require("./api-keys");
+const { deleteAvatarFiles } = require("./avatars");
+
+const ANONYMIZED_EMAIL_DOMAIN = "anonymized.invalid";
+
+// Hand the user's open (not completed) house activities to reassignToId, or
+// leave them unassigned. The new assignee joins the affected projects as a
+// surveyor when they are not a member yet, so they can see the work.
+async function reassignOpenActivities(userId, reassignToId, db) {
+  const { rows } = await db.query(
+    `UPDATE app_house_activities
+        SET app_user_id = $2
+      WHERE app_user_id = $1 AND status <> 'completed'
+      RETURNING id`,
+    [userId, reassignToId]
+  );
+  if (reassignToId && rows.length > 0) {
+    await db.query(
+      `INSERT INTO app_project_members (project_id, user_id, role)
+       SELECT DISTINCT h.project_id, $2::uuid, 'surveyor'::user_role
+         FROM app_house_activities ha
+         JOIN app_houses h ON h.id = ha.house_id
+        WHERE ha.id = ANY($1::uuid[]) AND h.project_id IS NOT NULL
+       ON CONFLICT (project_id, user_id) DO NOTHING`,
+      [rows.map((row) => row.id), reassignToId]
+    );
+  }
+  return rows.length;
+}
+
+// Everything that identifies the person goes; the row and its id stay
+async function anonymizeUser(userId, db) {
+  await db.query(
+    `UPDATE app_users
+        SET email = $2,
+            first_name = 'Former',
+            last_name = 'user',
+            user_image = NULL,
+            avatar_files = NULL,
+            password_hash = NULL,
+            totp_secret = NULL,
+            totp_enabled_at = NULL,
+            totp_last_used_step = NULL,
+            email_verified_at = NULL,
+            anonymized_at = NOW()
+      WHERE id = $1`,
+    [userId, `former-user-${userId}@${ANONYMIZED_EMAIL_DOMAIN}`]
+  );
+  await db.query("DELETE FROM app_user_identities WHERE user_id = $1", [userId]);
+  await db.query("DELETE FROM app_user_recovery_codes WHERE user_id = $1", [userId]);
+  await db.query("DELETE FROM app_password_history WHERE user_id = $1", [userId]);
+  await db.query(
+    `UPDATE app_login_events SET email = NULL, ip_address = NULL, user_agent = NULL
+      WHERE user_id = $1`,
+    [userId]
+  );
+  await db.query(
+    `UPDATE app_token_families SET ip_address = NULL, user_agent = NULL
+      WHERE user_id = $1`,
+    [userId]
+  );
+}
+
+// Returns { reassignedActivities, unassignedActivities }
+async function offboardUser({ userId, reassignToId = null, anonymize = false }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows: users } = await client.query(
+      `SELECT id, offboarded_at AS "offboardedAt", anonymized_at AS "anonymizedAt",
+              avatar_files AS "avatarFiles"
+         FROM app_users WHERE id = $1
+          FOR UPDATE`,
+      [userId]
+    );
+    if (users.length === 0) throw httpError(404, "User not found");
+    const user = users[0];
+    if (user.anonymizedAt) throw httpError(409, "User is already anonymized");
+    if (user.offboardedAt && !anonymize) {
+      throw httpError(409, "User is already offboarded");
+    }
+
+    if (reassignToId) {
+      if (reassignToId === userId) {
+        throw httpError(400, "Cannot reassign work to the user being offboarded");
+      }
+      const { rows: targets } = await client.query(
+        `SELECT is_active AS "isActive", is_service_account AS "isServiceAccount"
+           FROM app_users WHERE id = $1`,
+        [reassignToId]
+      );
+      if (targets.length === 0) throw httpError(400, "reassignToId user not found");
+      if (!targets[0].isActive || targets[0].isServiceAccount) {
+        throw httpError(400, "Work can only be reassigned to an active person");
+      }
+    }
+
+    let reassigned = 0;
+    if (!user.offboardedAt) {
+      reassigned = await reassignOpenActivities(userId, reassignToId, client);
+
+      await client.query(
+        `UPDATE app_users SET is_active = FALSE, offboarded_at = NOW()
+          WHERE id = $1`,
+        [userId]
+      );
+      await revokeUserTokens(userId, "offboarded", client);
+      await revokeUserApiKeys(userId, client);
+      await client.query(
+        `UPDATE app_user_tokens SET used_at = NOW()
+          WHERE user_id = $1 AND used_at IS NULL`,
+        [userId]
+      );
+      await client.query(
+        `UPDATE app_user_invitations SET revoked_at = NOW()
+          WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+        [userId]
+      );
+      await client.query("DELETE FROM app_project_members WHERE user_id = $1", [
+        userId,
+      ]);
+    }
+    if (anonymize) await anonymizeUser(userId, client);
+
+    await client.query("COMMIT");
+    // Uploaded pictures are files, outside the transaction
+    if (anonymize) await deleteAvatarFiles(user.avatarFiles);
+    return {
+      reassignedActivities: reassignToId ? reassigned : 0,
+      unassignedActivities: reassignToId ? 0 : reassigned,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Whether anything still points at the user (work done, approvals, images,
+// timeline events)
+async function hasAttributedWork(userId) {
+  const { rows } = await pool.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM app_house_activities
+        WHERE app_user_id = $1 OR approved_by_id = $1
+     ) OR EXISTS (
+       SELECT 1 FROM app_images WHERE app_user_id = $1
+     ) OR EXISTS (
+       SELECT 1 FROM app_activity_events WHERE user_id = $1
+     ) AS "hasWork"`,
+    [userId]
+  );
+  return rows[0].hasWork;
+}
+
+module.exports = {
+  offboardUser,
+  hasAttributedWork,
+};
@@ -0,0 +1,137 @@
+// services/oidc.js
+// Generic OpenID Connect providers (Microsoft Entra ID, Keycloak, ...) that
+// can be enabled side by side with Google. Each provider id listed in
+// OIDC_PROVIDERS is configured with its own OIDC_<ID>_* variables:
+//   OIDC_PROVIDERS                comma separated ids, e.g. microsoft,keycloak
+//   OIDC_REDIRECT_BASE_URL        public URL of this API (http://localhost:PORT)
+//   OIDC_<ID>_DISCOVERY_URL       issuer URL or its .well-known/openid-configuration
+//   OIDC_<ID>_CLIENT_ID
+//   OIDC_<ID>_CLIENT_SECRET
+//   OIDC_<ID>_DISPLAY_NAME        label for the login button (defaults to the id)
+//   OIDC_<ID>_SCOPE               requested scopes ("openid email profile")
+//   OIDC_<ID>_CLAIM_EMAIL         claim holding the email (email)
+//   OIDC_<ID>_CLAIM_FIRST_NAME    claim mapped to first_name (given_name)
+//   OIDC_<ID>_CLAIM_LAST_NAME     claim mapped to last_name (family_name)
+//   OIDC_<ID>_CLAIM_USER_IMAGE    claim mapped to user_image (picture)
+//   OIDC_<ID>_DEFAULT_ROLE        role of accounts created on first sign-in (surveyor)
+//   OIDC_<ID>_TRUST_EMAIL         true = treat the email as verified even when the
+//                                 provider sends no email_verified claim
+const { Issuer } = require("openid-client");
+const { SELF_REGISTRATION_ROLE } = require("./registration-policy");
+
+const ROLES = ["surveyor", "reviewer", "admin"];
+const PROVIDER_ID_PATTERN = /^[a-z0-9-]+$/;
+
+function envKey(id, name) {
+  return `OIDC_${id.toUpperCase().replace(/-/g, "_")}_${name}`;
+}
+
+function readProvider(id) {
+  const env = (name, fallback = null) =>
+    process.env[envKey(id, name)] || fallback;
+
+  const discoveryUrl = env("DISCOVERY_URL");
+  const clientId = env("CLIENT_ID");
+  const clientSecret = env("CLIENT_SECRET");
+  if (!discoveryUrl || !clientId || !clientSecret) {
+    throw new Error(
+      `OIDC provider "${id}" needs ${envKey(id, "DISCOVERY_URL")}, ` +
+        `${envKey(id, "CLIENT_ID")} and ${envKey(id, "CLIENT_SECRET")}`
+    );
+  }
+
+  const defaultRole = env("DEFAULT_ROLE", SELF_REGISTRATION_ROLE);
+  if (!ROLES.includes(defaultRole)) {
+    throw new Error(`Invalid ${envKey(id, "DEFAULT_ROLE")} "${defaultRole}"`);
+  }
+
+  const baseUrl = (
+    process.env.OIDC_REDIRECT_BASE_URL ||
+    `http://localhost:${process.env.PORT || 3000}`
+  ).replace(/\/+$/, "");
+
+  return {
+    id,
+    displayName: env("DISPLAY_NAME", id),
+    discoveryUrl,
+    clientId,
+    clientSecret,
+    scope: env("SCOPE", "openid email profile"),
+    redirectUri: `${baseUrl}/auth/oidc/${id}/callback`,
+    claims: {
+      email: env("CLAIM_EMAIL", "email"),
+      firstName: env("CLAIM_FIRST_NAME", "given_name"),
+      lastName: env("CLAIM_LAST_NAME", "family_name"),
+      userImage: env("CLAIM_USER_IMAGE", "picture"),
+    },
+    defaultRole,
+    trustEmail: env("TRUST_EMAIL") === "true",
+  };
+}
+
+let providers = null;
+
+// Configured providers, read once from the environment
+function getOidcProviders() {
+  if (!providers) {
+    providers = (process.env.OIDC_PROVIDERS || "")
+      .split(",")
+      .map((id) => id.trim().toLowerCase())
+      .filter(Boolean)
+      .map((id) => {
+        if (!PROVIDER_ID_PATTERN.test(id) || id === "google") {
+          throw new Error(`Invalid OIDC provider id "${id}"`);
+        }
+        return readProvider(id);
+      });
+  }
+  return providers;
+}
+
+function getOidcProvider(id) {
+  return getOidcProviders().find((p) => p.id === id) || null;
+}
+
+const clients = new Map();
+
+// openid-client Client for a provider; discovery runs on first use and is
+// retried on the next request if it fails
+function getOidcClient(provider) {
+  if (!clients.has(provider.id)) {
+    const promise = Issuer.discover(provider.discoveryUrl)
+      .then(
+        (issuer) =>
+          new issuer.Client({
+            client_id: provider.clientId,
+            client_secret: provider.clientSecret,
+            redirect_uris: [provider.redirectUri],
+            response_types: ["code"],
+          })
+      )
+      .catch((err) => {
+        clients.delete(provider.id);
+        throw err;
+      });
+    clients.set(provider.id, promise);
+  }
+  return clients.get(provider.id);
+}
+
+// Map ID token / userinfo claims to our user fields
+function mapClaims(provider, claims) {
+  return {
+    subject: claims.sub,
+    email: claims[provider.claims.email] || null,
+    emailVerified: provider.trustEmail || claims.email_verified === true,
+    firstName: claims[provider.claims.firstName] || "",
+    lastName: claims[provider.claims.lastName] || "",
+    userImage: claims[provider.claims.userImage] || null,
+  };
+}
+
+module.exports = {
+  getOidcProviders,
+  getOidcProvider,
+  getOidcClient,
+  mapClaims,
+};
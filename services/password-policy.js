@@ -0,0 +1,173 @@
+// services/password-policy.js
+// Rules every new password has to follow, wherever it is set (register,
+// invitations, admin-created users, reset, change). Configured through:
+//   PASSWORD_MIN_LENGTH             default 8
+//   PASSWORD_MIN_CHARACTER_CLASSES  lowercase, uppercase, digits, symbols;
+//                                   how many must appear (default 2)
+//   PASSWORD_BLOCK_COMMON           reject passwords from the common password
+//                                   list (default true)
+//   PASSWORD_COMMON_LIST_FILE       one password per line
+//                                   (default services/common-passwords.txt)
+//   PASSWORD_HISTORY                the last N passwords of a user cannot be
+//                                   reused (default 5, 0 = off)
+// Previous hashes are kept in app_password_history.
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const { pool, generateUUID, httpError } = require("../routes/utils");
+
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function getPasswordPolicy() {
+  return {
+    minLength: intFromEnv("PASSWORD_MIN_LENGTH", 8),
+    maxBytes: MAX_PASSWORD_BYTES,
+    minCharacterClasses: Math.min(
+      intFromEnv("PASSWORD_MIN_CHARACTER_CLASSES", 2),
+      CHARACTER_CLASSES.length
+    ),
+    blockCommon: process.env.PASSWORD_BLOCK_COMMON !== "false",
+    history: intFromEnv("PASSWORD_HISTORY", 5),
+  };
+}
+
+let commonPasswords = null;
+
+function getCommonPasswords() {
+  if (!commonPasswords) {
+    const file = path.resolve(
+      __dirname,
+      "..",
+      process.env.PASSWORD_COMMON_LIST_FILE || "services/common-passwords.txt"
+    );
+    commonPasswords = new Set(
+      fs
+        .readFileSync(file, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+  return commonPasswords;
+}
+
+// "Summer2024!" is as guessable as "summer"
+function isCommonPassword(password) {
+  const common = getCommonPasswords();
+  const lower = password.toLowerCase();
+  return common.has(lower) || common.has(lower.replace(/[^a-z]+$/, ""));
+}
+
+// Returns null when password follows the policy, otherwise a message.
+// user ({ email, firstName, lastName }) keeps personal details out of it.
+function checkPassword(password, user = {}) {
+  const policy = getPasswordPolicy();
+  if (typeof password !== "string" || password.length < policy.minLength) {
+    return `Password must be at least ${policy.minLength} characters long`;
+  }
+  if (Buffer.byteLength(password, "utf8") > policy.maxBytes) {
+    return `Password must be at most ${policy.maxBytes} bytes long`;
+  }
+  const classes = CHARACTER_CLASSES.filter((re) => re.test(password)).length;
+  if (classes < policy.minCharacterClasses) {
+    return (
+      `Password must mix at least ${policy.minCharacterClasses} of: ` +
+      "lowercase letters, uppercase letters, digits, symbols"
+    );
+  }
+  if (policy.blockCommon && isCommonPassword(password)) {
+    return "This password is too common; choose another one";
+  }
+  const lower = password.toLowerCase();
+  const personal = [
+    String(user.email || "").split("@")[0],
+    user.firstName,
+    user.lastName,
+  ].filter((part) => part && part.length >= 3);
+  if (personal.some((part) => lower.includes(part.toLowerCase()))) {
+    return "Password must not contain your name or email";
+  }
+  return null;
+}
+
+// Throws a 400 httpError when password breaks the policy
+function assertPasswordAllowed(password, user) {
+  const problem = checkPassword(password, user);
+  if (problem) throw httpError(400, problem);
+}
+
+// Whether password matches the current or one of the last hashes of userId
+async function isRecentPassword(userId, password, db) {
+  const { history } = getPasswordPolicy();
+  if (history <= 0) return false;
+  const { rows } = await db.query(
+    `SELECT password_hash AS "passwordHash" FROM app_users
+      WHERE id = $1 AND password_hash IS NOT NULL
+     UNION ALL
+     (SELECT password_hash FROM app_password_history
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2)`,
+    [userId, Math.max(history - 1, 0)]
+  );
+  for (const row of rows) {
+    if (await bcrypt.compare(password, row.passwordHash)) return true;
+  }
+  return false;
+}
+
+// Check password against the policy and the user's history, then store it.
+// The replaced hash moves to app_password_history. Pass a client to run
+// inside a caller's transaction.
+async function setUserPassword(userId, password, db = pool) {
+  const { rows: users } = await db.query(
+    `SELECT email, first_name AS "firstName", last_name AS "lastName",
+            password_hash AS "passwordHash"
+       FROM app_users WHERE id = $1`,
+    [userId]
+  );
+  if (users.length === 0) throw httpError(404, "User not found");
+  assertPasswordAllowed(password, users[0]);
+  if (await isRecentPassword(userId, password, db)) {
+    throw httpError(400, "Password was used recently; choose another one");
+  }
+
+  const passwordHash = await bcrypt.hash(password, 12);
+  if (users[0].passwordHash) {
+    await db.query(
+      `INSERT INTO app_password_history (id, user_id, password_hash)
+       VALUES ($1, $2, $3)`,
+      [generateUUID(), userId, users[0].passwordHash]
+    );
+    // Keep only what the history check can still look at
+    await db.query(
+      `DELETE FROM app_password_history
+        WHERE user_id = $1
+          AND id NOT IN (
+            SELECT id FROM app_password_history
+             WHERE user_id = $1
+             ORDER BY created_at DESC
+             LIMIT $2
+          )`,
+      [userId, Math.max(getPasswordPolicy().history - 1, 0)]
+    );
+  }
+  await db.query("UPDATE app_users SET password_hash = $1 WHERE id = $2", [
+    passwordHash,
+    userId,
+  ]);
+}
+
+module.exports = {
+  getPasswordPolicy,
+  checkPassword,
+  assertPasswordAllowed,
+  setUserPassword,
+};
@@ -0,0 +1,216 @@
+// services/permissions.js
+// Central permission registry. Routes ask for a permission ("house.delete")
+// instead of a role; which roles hold which permissions is defined here and
+// can be changed per deployment without touching code:
+//   PERMISSIONS_CONFIG   JSON file mapping roles to permission lists
+//                        (default permissions.json, see permissions.example.json)
+// Entries may use wildcards ("house.*", "*"). A role listed in the file
+// replaces its defaults; admins always hold every permission.
+//
+// Project permissions are checked against the caller's role in that project
+// (services/project-access.js); global ones against their account role.
+const fs = require("fs");
+const path = require("path");
+const {
+  projectRole,
+  accessibleProjectIds,
+  getProjectMemberships,
+} = require("./project-access");
+
+const PERMISSIONS = {
+  // global
+  "user.read": { scope: "global", description: "List all users" },
+  "user.manage": { scope: "global", description: "Create, edit, deactivate, unlock and delete users" },
+  "user.invite": { scope: "global", description: "Send, resend and revoke invitations" },
+  "session.manage": { scope: "global", description: "See and revoke anyone's sessions and login history" },
+  "serviceAccount.manage": { scope: "global", description: "Manage service accounts and API keys" },
+  "project.create": { scope: "global", description: "Create projects" },
+  "project.delete": { scope: "global", description: "Delete projects" },
+  "project.maintain": { scope: "global", description: "Check and repair the derived house counters of projects" },
+  "activity.create": { scope: "global", description: "Add activities to the master list" },
+  "activity.update": { scope: "global", description: "Edit master list activities" },
+  "activity.delete": { scope: "global", description: "Delete master list activities" },
+  // per project
+  "project.update": { scope: "project", description: "Edit the project" },
+  "project.manageMembers": { scope: "project", description: "Add, remove and change project members" },
+  "project.archive": { scope: "project", description: "Archive completed projects and restore archived ones" },
+  "house.create": { scope: "project", description: "Add houses" },
+  "house.update": { scope: "project", description: "Edit houses" },
+  "house.delete": { scope: "project", description: "Delete houses" },
+  "houseActivity.updateProgress": { scope: "project", description: "Record dates, remarks and assignee of own house activities" },
+  "houseActivity.review": { scope: "project", description: "Block, reject and set the status of house activities" },
+  "houseActivity.approve": { scope: "project", description: "Approve completed house activities" },
+  "houseActivity.delete": { scope: "project", description: "Delete house activities" },
+  "image.upload": { scope: "project", description: "Upload images" },
+  "image.updateAny": { scope: "project", description: "Edit images uploaded by others" },
+  "image.deleteAny": { scope: "project", description: "Delete images uploaded by others" },
+  "report.workload": { scope: "project", description: "See the workload and productivity of assignees" },
+  "report.timeline": { scope: "project", description: "See what each person did in the project (user timelines)" },
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  surveyor: ["houseActivity.updateProgress", "image.upload"],
+  reviewer: [
+    "project.create",
+    "project.update",
+    "activity.create",
+    "activity.update",
+    "house.create",
+    "house.update",
+    "houseActivity.review",
+    "houseActivity.approve",
+    "image.upload",
+    "image.updateAny",
+    "image.deleteAny",
+    "report.workload",
+    "report.timeline",
+  ],
+  admin: ["*"],
+};
+
+function expand(patterns, source) {
+  const names = Object.keys(PERMISSIONS);
+  const granted = new Set();
+  for (const pattern of patterns) {
+    const matches = pattern.endsWith("*")
+      ? names.filter((name) => name.startsWith(pattern.slice(0, -1)))
+      : names.filter((name) => name === pattern);
+    if (matches.length === 0) {
+      throw new Error(`Unknown permission "${pattern}" in ${source}`);
+    }
+    matches.forEach((name) => granted.add(name));
+  }
+  return granted;
+}
+
+function loadRolePermissions() {
+  const file = path.resolve(
+    __dirname,
+    "..",
+    process.env.PERMISSIONS_CONFIG || "permissions.json"
+  );
+  let overrides = {};
+  if (fs.existsSync(file)) {
+    overrides = JSON.parse(fs.readFileSync(file, "utf8"));
+  } else if (process.env.PERMISSIONS_CONFIG) {
+    throw new Error(`PERMISSIONS_CONFIG file not found: ${file}`);
+  }
+
+  const roles = {};
+  for (const [role, defaults] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    const patterns = role !== "admin" && overrides[role] ? overrides[role] : defaults;
+    roles[role] = expand(patterns, role in overrides ? file : "defaults");
+  }
+  for (const role of Object.keys(overrides)) {
+    if (!(role in DEFAULT_ROLE_PERMISSIONS)) {
+      throw new Error(`Unknown role "${role}" in ${file}`);
+    }
+  }
+  return roles;
+}
+
+// Loaded at startup so a broken config file stops the server from booting
+const rolePermissions = loadRolePermissions();
+
+function roleHasPermission(role, permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+  return Boolean(role && rolePermissions[role]?.has(permission));
+}
+
+// Whether the caller holds permission; project permissions need the project
+async function hasPermission(req, permission, projectId = null) {
+  const definition = PERMISSIONS[permission];
+  if (!definition) throw new Error(`Unknown permission "${permission}"`);
+  const role =
+    definition.scope === "project"
+      ? await projectRole(req, projectId)
+      : req.jwtUser.role;
+  return roleHasPermission(role, permission);
+}
+
+// Middleware. For project permissions pass getProjectId(req), e.g.
+// requirePermission("project.update", (req) => req.params.id)
+function requirePermission(permission, getProjectId = null) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+  return async (req, res, next) => {
+    try {
+      if (!req.jwtUser) {
+        return res.status(401).json({ error: "Auth required" });
+      }
+      const projectId = getProjectId ? getProjectId(req) : null;
+      if (!(await hasPermission(req, permission, projectId))) {
+        return res.status(403).json({ error: "Forbidden", permission });
+      }
+      next();
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// Ids of the projects in which the caller holds a project permission, or
+// null for every project
+async function projectIdsWithPermission(req, permission) {
+  if (PERMISSIONS[permission]?.scope !== "project") {
+    throw new Error(`Not a project permission "${permission}"`);
+  }
+  if (req.jwtUser.role === "admin") return accessibleProjectIds(req);
+  const memberships = await getProjectMemberships(req);
+  return memberships
+    .filter((m) => roleHasPermission(m.role, permission))
+    .map((m) => m.projectId);
+}
+
+// Projects a report may cover for the caller: those where they hold
+// permission, narrowed to projectId when given. Returns { projectIds }
+// (null = every project) or { forbidden: true }.
+async function permissionScope(req, permission, projectId = null) {
+  const allowed = await projectIdsWithPermission(req, permission);
+  if (projectId) {
+    return allowed === null || allowed.includes(projectId)
+      ? { projectIds: [projectId] }
+      : { forbidden: true };
+  }
+  if (allowed !== null && allowed.length === 0) return { forbidden: true };
+  return { projectIds: allowed };
+}
+
+function permissionsOf(role, scope = null) {
+  const granted = rolePermissions[role] || new Set();
+  return Object.keys(PERMISSIONS).filter(
+    (name) => granted.has(name) && (!scope || PERMISSIONS[name].scope === scope)
+  );
+}
+
+// What the caller may do: global permissions from their account role and,
+// per project they belong to, project permissions from their project role.
+// Admins hold every project permission in every project (allProjects).
+async function getEffectivePermissions(req) {
+  const { role } = req.jwtUser;
+  const isGlobalAdmin = role === "admin";
+  const memberships = isGlobalAdmin ? [] : await getProjectMemberships(req);
+  return {
+    role,
+    permissions: permissionsOf(role, "global"),
+    allProjects: isGlobalAdmin,
+    allProjectsPermissions: isGlobalAdmin ? permissionsOf("admin", "project") : [],
+    projects: memberships.map((m) => ({
+      projectId: m.projectId,
+      role: m.role,
+      permissions: permissionsOf(m.role, "project"),
+    })),
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission,
+  requirePermission,
+  projectIdsWithPermission,
+  permissionScope,
+  getEffectivePermissions,
+};
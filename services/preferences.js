@@ -0,0 +1,186 @@
+// services/preferences.js
+// Per-user settings (GET/PUT /api/users/me/preferences): language, time zone
+// and date format used when the server renders text for the user (emails,
+// CSV exports), plus how they want to be notified. A NULL column means the
+// server default.
+//   DEFAULT_LOCALE       en or es (default en)
+//   DEFAULT_TIMEZONE     IANA time zone (default UTC)
+//   DEFAULT_DATE_FORMAT  iso, dmy or mdy (default iso)
+// notificationChannels and digestFrequency decide whether the user gets the
+// email digest of services/notification-digest.js, and how often.
+// Account emails (invitations, email verification, password resets) are
+// always sent, in the user's language.
+const { pool } = require("../routes/utils");
+
+const LOCALES = ["en", "es"];
+const DATE_FORMATS = ["iso", "dmy", "mdy"];
+const NOTIFICATION_CHANNELS = ["email"];
+const DIGEST_FREQUENCIES = ["none", "daily", "weekly"];
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function pick(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback;
+}
+
+const DEFAULT_PREFERENCES = {
+  locale: pick(process.env.DEFAULT_LOCALE, LOCALES, "en"),
+  timezone: isTimeZone(process.env.DEFAULT_TIMEZONE || "")
+    ? process.env.DEFAULT_TIMEZONE
+    : "UTC",
+  dateFormat: pick(process.env.DEFAULT_DATE_FORMAT, DATE_FORMATS, "iso"),
+  notificationChannels: ["email"],
+  digestFrequency: "none",
+};
+
+// Checks a PUT body and returns { changes } (column -> value, null resets to
+// the default) or { error }
+function validatePreferences(body) {
+  const changes = {};
+  const { locale, timezone, dateFormat, notificationChannels, digestFrequency } =
+    body || {};
+
+  if (locale !== undefined) {
+    if (locale !== null && !LOCALES.includes(locale)) {
+      return { error: `locale must be one of ${LOCALES.join(", ")}` };
+    }
+    changes.locale = locale;
+  }
+  if (timezone !== undefined) {
+    if (timezone !== null && (typeof timezone !== "string" || !isTimeZone(timezone))) {
+      return { error: "timezone must be an IANA time zone such as America/Mexico_City" };
+    }
+    changes.timezone = timezone;
+  }
+  if (dateFormat !== undefined) {
+    if (dateFormat !== null && !DATE_FORMATS.includes(dateFormat)) {
+      return { error: `dateFormat must be one of ${DATE_FORMATS.join(", ")}` };
+    }
+    changes.date_format = dateFormat;
+  }
+  if (notificationChannels !== undefined) {
+    if (
+      notificationChannels !== null &&
+      (!Array.isArray(notificationChannels) ||
+        notificationChannels.some((c) => !NOTIFICATION_CHANNELS.includes(c)))
+    ) {
+      return {
+        error: `notificationChannels must be a list of ${NOTIFICATION_CHANNELS.join(", ")}`,
+      };
+    }
+    changes.notification_channels = notificationChannels && [
+      ...new Set(notificationChannels),
+    ];
+  }
+  if (digestFrequency !== undefined) {
+    if (digestFrequency !== null && !DIGEST_FREQUENCIES.includes(digestFrequency)) {
+      return { error: `digestFrequency must be one of ${DIGEST_FREQUENCIES.join(", ")}` };
+    }
+    changes.digest_frequency = digestFrequency;
+  }
+
+  if (Object.keys(changes).length === 0) return { error: "No preferences to update" };
+  return { changes };
+}
+
+function withDefaults(row) {
+  const preferences = { ...DEFAULT_PREFERENCES };
+  for (const key of Object.keys(DEFAULT_PREFERENCES)) {
+    if (row && row[key] !== null && row[key] !== undefined) preferences[key] = row[key];
+  }
+  return preferences;
+}
+
+const PREFERENCE_COLUMNS = `
+  locale,
+  timezone,
+  date_format AS "dateFormat",
+  notification_channels AS "notificationChannels",
+  digest_frequency AS "digestFrequency"`;
+
+// Effective preferences (defaults filled in) of a user
+async function getPreferences(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ${PREFERENCE_COLUMNS} FROM app_user_preferences WHERE user_id = $1`,
+    [userId]
+  );
+  return withDefaults(rows[0]);
+}
+
+// Stored values only, so the client can tell defaults from explicit choices
+async function getStoredPreferences(userId) {
+  const { rows } = await pool.query(
+    `SELECT ${PREFERENCE_COLUMNS}, updated_at AS "updatedAt"
+       FROM app_user_preferences WHERE user_id = $1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// changes come from validatePreferences
+async function updatePreferences(userId, changes, db = pool) {
+  const columns = Object.keys(changes);
+  const values = columns.map((column) => changes[column]);
+  await db.query(
+    `INSERT INTO app_user_preferences (user_id, ${columns.join(", ")})
+     VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(", ")})
+     ON CONFLICT (user_id) DO UPDATE
+       SET ${columns.map((column) => `${column} = EXCLUDED.${column}`).join(", ")},
+           updated_at = NOW()`,
+    [userId, ...values]
+  );
+  return getPreferences(userId, db);
+}
+
+function dateParts(value, timezone) {
+  const parts = {};
+  for (const part of new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(value))) {
+    parts[part.type] = part.value;
+  }
+  return parts;
+}
+
+// Date in the user's time zone and date format, e.g. 21/10/2026
+function formatDate(value, preferences = DEFAULT_PREFERENCES) {
+  if (value === null || value === undefined) return "";
+  const { year, month, day } = dateParts(value, preferences.timezone);
+  if (preferences.dateFormat === "dmy") return `${day}/${month}/${year}`;
+  if (preferences.dateFormat === "mdy") return `${month}/${day}/${year}`;
+  return `${year}-${month}-${day}`;
+}
+
+// Date and 24-hour time in the user's time zone, e.g. 21/10/2026 14:05
+function formatDateTime(value, preferences = DEFAULT_PREFERENCES) {
+  if (value === null || value === undefined) return "";
+  const { hour, minute } = dateParts(value, preferences.timezone);
+  return `${formatDate(value, preferences)} ${hour}:${minute}`;
+}
+
+module.exports = {
+  LOCALES,
+  DATE_FORMATS,
+  NOTIFICATION_CHANNELS,
+  DIGEST_FREQUENCIES,
+  DEFAULT_PREFERENCES,
+  validatePreferences,
+  getPreferences,
+  getStoredPreferences,
+  updatePreferences,
+  formatDate,
+  formatDateTime,
+};
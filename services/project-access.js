@@ -0,0 +1,132 @@
+// services/project-access.js
+// Project-scoped access. Admins see every project; everyone else only sees
+// the projects they are a member of (app_project_members), with the role
+// they hold in that project rather than their global one. API keys can
+// narrow this further with their own project list (see services/api-keys.js).
+const { pool, httpError } = require("../routes/utils");
+const { apiKeyProjectScope } = require("./api-keys");
+
+const PROJECT_ROLES = ["surveyor", "reviewer", "admin"];
+
+// Memberships of the caller, loaded once per request
+async function getProjectAccess(req) {
+  if (!req.projectAccess) {
+    const isGlobalAdmin = req.jwtUser.role === "admin";
+    const memberships = new Map();
+    if (!isGlobalAdmin) {
+      const { rows } = await pool.query(
+        `SELECT project_id AS "projectId", role
+           FROM app_project_members
+          WHERE user_id = $1`,
+        [req.jwtUser.id]
+      );
+      for (const row of rows) memberships.set(row.projectId, row.role);
+    }
+    req.projectAccess = { isGlobalAdmin, memberships };
+  }
+  return req.projectAccess;
+}
+
+// Ids of the projects the caller may see, or null for every project
+async function accessibleProjectIds(req) {
+  const { isGlobalAdmin, memberships } = await getProjectAccess(req);
+  const keyScope = apiKeyProjectScope(req);
+  if (isGlobalAdmin) return keyScope;
+  const ids = [...memberships.keys()];
+  return keyScope ? ids.filter((id) => keyScope.includes(id)) : ids;
+}
+
+// The caller's role in a project, or null when they cannot see it. Houses
+// without a project are only visible to admins.
+async function projectRole(req, projectId) {
+  const { isGlobalAdmin, memberships } = await getProjectAccess(req);
+  const keyScope = apiKeyProjectScope(req);
+  if (keyScope && !keyScope.includes(projectId)) return null;
+  if (isGlobalAdmin) return "admin";
+  if (!projectId) return null;
+  return memberships.get(projectId) || null;
+}
+
+async function canAccessProject(req, projectId) {
+  return (await projectRole(req, projectId)) !== null;
+}
+
+// Archived projects stay readable but their contents may not change: routes
+// that write to a project, its houses, house activities or images answer
+// 409 when this is true. Members can still be managed, so access to the
+// archive can be granted.
+async function isProjectArchived(projectId, db = pool) {
+  if (!projectId) return false;
+  const { rows } = await db.query(
+    "SELECT archived_at FROM app_projects WHERE id = $1",
+    [projectId]
+  );
+  return rows.length > 0 && rows[0].archived_at !== null;
+}
+
+// [{ projectId, role }] for the projects the caller is a member of
+async function getProjectMemberships(req) {
+  const { memberships } = await getProjectAccess(req);
+  const keyScope = apiKeyProjectScope(req);
+  return [...memberships.entries()]
+    .filter(([projectId]) => !keyScope || keyScope.includes(projectId))
+    .map(([projectId, role]) => ({ projectId, role }));
+}
+
+async function listProjectMembers(projectId) {
+  const { rows } = await pool.query(
+    `SELECT
+       pm.user_id AS "userId",
+       pm.role,
+       pm.created_at AS "createdAt",
+       u.email,
+       u.first_name AS "firstName",
+       u.last_name AS "lastName",
+       u.user_image AS "userImage",
+       u.is_active AS "isActive"
+     FROM app_project_members pm
+     JOIN app_users u ON u.id = pm.user_id
+     WHERE pm.project_id = $1
+     ORDER BY u.first_name, u.last_name`,
+    [projectId]
+  );
+  return rows;
+}
+
+// Add a member or change their role
+async function setProjectMember(projectId, userId, role) {
+  const { rows: users } = await pool.query(
+    "SELECT id FROM app_users WHERE id = $1",
+    [userId]
+  );
+  if (users.length === 0) throw httpError(404, "User not found");
+
+  await pool.query(
+    `INSERT INTO app_project_members (project_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (project_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+    [projectId, userId, role]
+  );
+  const members = await listProjectMembers(projectId);
+  return members.find((m) => m.userId === userId);
+}
+
+async function removeProjectMember(projectId, userId) {
+  const { rowCount } = await pool.query(
+    "DELETE FROM app_project_members WHERE project_id = $1 AND user_id = $2",
+    [projectId, userId]
+  );
+  if (rowCount === 0) throw httpError(404, "Member not found");
+}
+
+module.exports = {
+  PROJECT_ROLES,
+  accessibleProjectIds,
+  projectRole,
+  canAccessProject,
+  isProjectArchived,
+  getProjectMemberships,
+  listProjectMembers,
+  setProjectMember,
+  removeProjectMember,
+};
@@ -0,0 +1,91 @@
+// services/project-clone.js
+// Starting a new development (fraccionamiento) from an existing project:
+// copies the project's title, description and image and, optionally, its
+// house roster (name, coto, model, m2const) with house activities freshly
+// instantiated from the current master list. Status, dates, progress,
+// images, members and history are not copied.
+const { pool, httpError, generateUUID } = require("../routes/utils");
+const { instantiateHouseActivities } = require("./houses");
+
+// overrides: title (default "<source title> (copy)"), description,
+// projectImage, startDate, plannedStartDate, plannedEndDate. member:
+// { userId, role } added to the new project, or null. Returns
+// { projectId, houses } with the number of houses copied.
+async function cloneProject(
+  sourceId,
+  { overrides = {}, includeHouses = false, member = null } = {}
+) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows: sources } = await client.query(
+      "SELECT title, description, project_image FROM app_projects WHERE id = $1",
+      [sourceId]
+    );
+    if (sources.length === 0) throw httpError(404, "Project not found");
+    const source = sources[0];
+
+    const projectId = generateUUID();
+    await client.query(
+      `INSERT INTO app_projects
+         (id, title, description, project_image, start_date, planned_start_date, planned_end_date, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'not_started')`,
+      [
+        projectId,
+        overrides.title || `${source.title} (copy)`,
+        overrides.description !== undefined ? overrides.description : source.description,
+        overrides.projectImage !== undefined ? overrides.projectImage : source.project_image,
+        overrides.startDate || null,
+        overrides.plannedStartDate || null,
+        overrides.plannedEndDate || null,
+      ]
+    );
+
+    if (member) {
+      await client.query(
+        `INSERT INTO app_project_members (project_id, user_id, role)
+         VALUES ($1, $2, $3)`,
+        [projectId, member.userId, member.role]
+      );
+    }
+
+    let houses = 0;
+    if (includeHouses) {
+      const { rows: copied } = await client.query(
+        `INSERT INTO app_houses (project_id, coto, name, model, m2const)
+         SELECT $1, coto, name, model, m2const
+           FROM app_houses
+          WHERE project_id = $2
+          ORDER BY created_at, id
+         RETURNING id`,
+        [projectId, sourceId]
+      );
+      houses = copied.length;
+      if (houses > 0) {
+        const totalActivities = await instantiateHouseActivities(
+          copied.map((house) => house.id),
+          client
+        );
+        if (totalActivities === 0) {
+          throw httpError(
+            400,
+            "No active activities found in master list. Please create active activities first."
+          );
+        }
+      }
+    }
+
+    await client.query("COMMIT");
+    return { projectId, houses };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  cloneProject,
+};
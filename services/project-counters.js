@@ -0,0 +1,63 @@
+// services/project-counters.js
+// app_projects.total_houses and houses_completed are derived from app_houses.
+// A trigger on app_houses (refresh_project_house_counts, see
+// database_schema.sql) keeps them current on every insert, delete, move and
+// status change; this module finds and repairs rows that drifted anyway,
+// e.g. counts written before the trigger existed or by hand.
+const { pool } = require("../routes/utils");
+
+// Projects whose stored counters differ from their houses (only projectId
+// when given). With repair the stored counters are overwritten.
+// Returns [{ projectId, title, stored: {...}, actual: {...} }].
+async function checkProjectCounters({ projectId = null, repair = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT
+         p.id AS "projectId",
+         p.title,
+         p.total_houses AS "storedTotalHouses",
+         p.houses_completed AS "storedHousesCompleted",
+         COUNT(h.id)::int AS "totalHouses",
+         (COUNT(h.id) FILTER (WHERE h.status = 'completed'))::int AS "housesCompleted"
+       FROM app_projects p
+       LEFT JOIN app_houses h ON h.project_id = p.id
+       WHERE $1::uuid IS NULL OR p.id = $1
+       GROUP BY p.id
+       HAVING p.total_houses <> COUNT(h.id)
+           OR p.houses_completed <> COUNT(h.id) FILTER (WHERE h.status = 'completed')
+       ORDER BY p.title, p.id`,
+      [projectId]
+    );
+
+    if (repair) {
+      for (const row of rows) {
+        await client.query("SELECT refresh_project_house_counts($1)", [row.projectId]);
+      }
+    }
+    await client.query("COMMIT");
+
+    return rows.map((row) => ({
+      projectId: row.projectId,
+      title: row.title,
+      stored: {
+        totalHouses: row.storedTotalHouses,
+        housesCompleted: row.storedHousesCompleted,
+      },
+      actual: {
+        totalHouses: row.totalHouses,
+        housesCompleted: row.housesCompleted,
+      },
+    }));
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  checkProjectCounters,
+};
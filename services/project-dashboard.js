@@ -0,0 +1,188 @@
+// services/project-dashboard.js
+// Figures for GET /api/projects/:id/dashboard. Each section is one grouped
+// query over the project's houses and house activities; they run in
+// parallel.
+const { pool } = require("../routes/utils");
+
+const HOUSE_STATUSES = ["in_progress", "completed", "delayed"];
+const ACTIVITY_STATUSES = ["pending", "in_progress", "review", "completed", "blocked", "rejected"];
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+async function houseSummary(projectId) {
+  const { rows } = await pool.query(
+    `SELECT status, COUNT(*)::int AS count
+       FROM app_houses
+      WHERE project_id = $1
+      GROUP BY status`,
+    [projectId]
+  );
+  const byStatus = Object.fromEntries(HOUSE_STATUSES.map((status) => [status, 0]));
+  let total = 0;
+  for (const row of rows) {
+    byStatus[row.status] = row.count;
+    total += row.count;
+  }
+  return { total, byStatus };
+}
+
+async function activitySummary(projectId) {
+  const { rows } = await pool.query(
+    `SELECT ha.status, COUNT(*)::int AS count
+       FROM app_house_activities ha
+       JOIN app_houses h ON h.id = ha.house_id
+      WHERE h.project_id = $1
+      GROUP BY ha.status`,
+    [projectId]
+  );
+  const byStatus = Object.fromEntries(ACTIVITY_STATUSES.map((status) => [status, 0]));
+  let total = 0;
+  for (const row of rows) {
+    byStatus[row.status] = row.count;
+    total += row.count;
+  }
+  return { total, byStatus };
+}
+
+// Progress per phase and, within it, per sub-phase, in master list order
+async function phaseProgress(projectId) {
+  const { rows } = await pool.query(
+    `SELECT
+       ha.phase,
+       ha.sub_phase AS "subPhase",
+       COUNT(*)::int AS total,
+       (COUNT(*) FILTER (WHERE ha.status = 'completed'))::int AS completed,
+       (COUNT(*) FILTER (WHERE ha.status = 'review'))::int AS "inReview",
+       (COUNT(*) FILTER (WHERE ha.status = 'rejected'))::int AS rejected,
+       (COUNT(*) FILTER (WHERE ha.status = 'blocked'))::int AS blocked
+     FROM app_house_activities ha
+     JOIN app_houses h ON h.id = ha.house_id
+     LEFT JOIN app_activities a ON a.id = ha.activity_id
+     WHERE h.project_id = $1
+     GROUP BY ha.phase, ha.sub_phase
+     ORDER BY MIN(a.num), ha.phase, ha.sub_phase`,
+    [projectId]
+  );
+
+  const phases = new Map();
+  for (const row of rows) {
+    if (!phases.has(row.phase)) {
+      phases.set(row.phase, {
+        phase: row.phase,
+        total: 0,
+        completed: 0,
+        inReview: 0,
+        rejected: 0,
+        blocked: 0,
+        subPhases: [],
+      });
+    }
+    const phase = phases.get(row.phase);
+    for (const key of ["total", "completed", "inReview", "rejected", "blocked"]) {
+      phase[key] += row[key];
+    }
+    phase.subPhases.push({
+      subPhase: row.subPhase,
+      total: row.total,
+      completed: row.completed,
+      inReview: row.inReview,
+      rejected: row.rejected,
+      blocked: row.blocked,
+      progress: percent(row.completed, row.total),
+    });
+  }
+  return [...phases.values()].map((phase) => ({
+    ...phase,
+    progress: percent(phase.completed, phase.total),
+  }));
+}
+
+// Unfinished houses with the least progress per day since they were created
+async function slowestHouses(projectId, limit) {
+  const { rows } = await pool.query(
+    `SELECT
+       h.id,
+       h.name AS "houseName",
+       h.coto,
+       h.model,
+       h.status,
+       h.progress::float AS progress,
+       h.completed_activities AS "completedActivities",
+       h.total_activities AS "totalActivities",
+       GREATEST(EXTRACT(EPOCH FROM NOW() - h.created_at) / 86400, 1)::float AS "daysOpen",
+       (SELECT COUNT(*)::int FROM app_house_activities ha
+         WHERE ha.house_id = h.id AND ha.status IN ('rejected', 'blocked')) AS "openIssues"
+     FROM app_houses h
+     WHERE h.project_id = $1 AND h.status <> 'completed'
+     ORDER BY h.progress / GREATEST(EXTRACT(EPOCH FROM NOW() - h.created_at) / 86400, 1),
+              h.created_at, h.id
+     LIMIT $2`,
+    [projectId, limit]
+  );
+  return rows.map((row) => ({
+    ...row,
+    daysOpen: Math.floor(row.daysOpen),
+    progressPerDay: Math.round((row.progress / row.daysOpen) * 100) / 100,
+  }));
+}
+
+// Latest entries of the activity log (services/activity-events.js)
+async function recentActivity(projectId, limit) {
+  const { rows } = await pool.query(
+    `SELECT
+       e.id,
+       e.event_type AS "type",
+       e.created_at AS "createdAt",
+       e.from_status AS "fromStatus",
+       e.to_status AS "toStatus",
+       e.details,
+       e.user_id AS "userId",
+       u.first_name AS "firstName",
+       u.last_name AS "lastName",
+       e.house_activity_id AS "houseActivityId",
+       ha.activity,
+       ha.house_id AS "houseId",
+       h.name AS "houseName"
+     FROM app_activity_events e
+     LEFT JOIN app_users u ON u.id = e.user_id
+     LEFT JOIN app_house_activities ha ON ha.id = e.house_activity_id
+     LEFT JOIN app_houses h ON h.id = ha.house_id
+     WHERE e.project_id = $1
+     ORDER BY e.created_at DESC, e.id
+     LIMIT $2`,
+    [projectId, limit]
+  );
+  return rows;
+}
+
+// Dashboard of a project; slowest / recent set how many houses and events
+// are listed
+async function getProjectDashboard(projectId, { slowest = 5, recent = 20 } = {}) {
+  const [houses, activities, phases, slowestList, recentList] = await Promise.all([
+    houseSummary(projectId),
+    activitySummary(projectId),
+    phaseProgress(projectId),
+    slowestHouses(projectId, slowest),
+    recentActivity(projectId, recent),
+  ]);
+
+  return {
+    houses,
+    activities: {
+      ...activities,
+      inReview: activities.byStatus.review,
+      rejected: activities.byStatus.rejected,
+      blocked: activities.byStatus.blocked,
+    },
+    progress: percent(activities.byStatus.completed, activities.total),
+    phases,
+    slowestHouses: slowestList,
+    recentActivity: recentList,
+  };
+}
+
+module.exports = {
+  getProjectDashboard,
+};
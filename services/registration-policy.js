@@ -0,0 +1,55 @@
+// services/registration-policy.js
+// Who may create an account on their own (POST /auth/register or a first
+// Google sign-in). Configured through environment variables:
+//   REGISTRATION_MODE             open | invite_only | closed (default open)
+//   REGISTRATION_ALLOWED_DOMAINS  comma separated list, empty = any domain
+// Self-registered accounts are always surveyors; other roles are assigned by
+// an admin.
+const REGISTRATION_MODES = ["open", "invite_only", "closed"];
+const SELF_REGISTRATION_ROLE = "surveyor";
+
+function getRegistrationPolicy() {
+  const mode = process.env.REGISTRATION_MODE || "open";
+  if (!REGISTRATION_MODES.includes(mode)) {
+    throw new Error(`Invalid REGISTRATION_MODE "${mode}"`);
+  }
+
+  const allowedDomains = (process.env.REGISTRATION_ALLOWED_DOMAINS || "")
+    .split(",")
+    .map((d) => d.trim().toLowerCase())
+    .filter(Boolean);
+
+  return { mode, allowedDomains, defaultRole: SELF_REGISTRATION_ROLE };
+}
+
+function isEmailDomainAllowed(email, policy = getRegistrationPolicy()) {
+  if (policy.allowedDomains.length === 0) return true;
+  const domain = String(email).split("@").pop().toLowerCase();
+  return policy.allowedDomains.includes(domain);
+}
+
+// Returns null when email may self-register, otherwise { status, error }
+function checkSelfRegistration(email) {
+  const policy = getRegistrationPolicy();
+
+  if (policy.mode === "closed") {
+    return { status: 403, error: "Registration is closed" };
+  }
+  if (policy.mode === "invite_only") {
+    return { status: 403, error: "Registration is by invitation only" };
+  }
+  if (!isEmailDomainAllowed(email, policy)) {
+    return {
+      status: 403,
+      error: "Registration is not allowed for this email domain",
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  SELF_REGISTRATION_ROLE,
+  getRegistrationPolicy,
+  isEmailDomainAllowed,
+  checkSelfRegistration,
+};
@@ -0,0 +1,173 @@
+// services/schedule.js
+// Planned dates and the "delayed" house status.
+//   SCHEDULE_CHECK_INTERVAL_MINUTES  how often houses are checked against
+//                                    their plan (default 60, 0 disables)
+//   SCHEDULE_DELAY_TOLERANCE         percentage points of progress a house
+//                                    may fall behind plan before it is
+//                                    delayed (default 0)
+// Projects and houses carry planned_start_date / planned_end_date, master
+// activities planned_duration_days; the app_house_activity_plan view (see
+// database_schema.sql) turns them into planned dates per house activity.
+// A house's planned progress is the share of its activities planned to be
+// finished by today, compared with its actual progress (completed / total).
+const { pool } = require("../routes/utils");
+
+const SCHEDULE_CHECK_INTERVAL_MINUTES = Number(
+  process.env.SCHEDULE_CHECK_INTERVAL_MINUTES ?? 60
+);
+const SCHEDULE_DELAY_TOLERANCE = Number(process.env.SCHEDULE_DELAY_TOLERANCE) || 0;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// plannedStartDate / plannedEndDate of a request body: YYYY-MM-DD or null.
+// Returns an error message or null. That the end does not come before the
+// start is checked by the database (chk_*_planned_dates).
+function validatePlannedDates({ plannedStartDate, plannedEndDate }) {
+  for (const [field, value] of Object.entries({ plannedStartDate, plannedEndDate })) {
+    if (value === undefined || value === null) continue;
+    if (!DATE_ONLY.test(value) || isNaN(new Date(value))) {
+      return `${field} must be a date (YYYY-MM-DD)`;
+    }
+  }
+  return null;
+}
+
+// Postgres check violation raised by chk_projects_planned_dates or
+// chk_houses_planned_dates
+function isPlannedDatesViolation(error) {
+  return error.code === "23514" && /planned_dates/.test(error.constraint || "");
+}
+
+// Planned vs actual progress of every house of a project, as of today
+async function getProjectSchedule(projectId) {
+  const { rows: houses } = await pool.query(
+    `SELECT
+       h.id,
+       h.name AS "houseName",
+       h.coto,
+       h.model,
+       h.status,
+       h.progress::float AS progress,
+       h.completed_activities AS "completedActivities",
+       h.total_activities AS "totalActivities",
+       MIN(plan.planned_start_date)::text AS "plannedStartDate",
+       MAX(plan.planned_end_date)::text AS "plannedEndDate",
+       ROUND(
+         100.0 * COUNT(*) FILTER (WHERE plan.planned_end_date <= CURRENT_DATE)
+           / NULLIF(COUNT(plan.planned_end_date), 0),
+         2
+       )::float AS "plannedProgress",
+       (MIN(plan.planned_end_date) FILTER (WHERE ha.status <> 'completed'))::text AS "nextDueDate",
+       GREATEST(
+         CURRENT_DATE - MIN(plan.planned_end_date) FILTER (WHERE ha.status <> 'completed'),
+         0
+       ) AS "daysBehind",
+       COALESCE(
+         h.status <> 'completed' AND h.progress < 100.0
+           * COUNT(*) FILTER (WHERE plan.planned_end_date <= CURRENT_DATE)
+           / NULLIF(COUNT(plan.planned_end_date), 0) - $2,
+         FALSE
+       ) AS "isBehind"
+     FROM app_houses h
+     LEFT JOIN app_house_activity_plan plan
+       ON plan.project_id = $1 AND plan.house_id = h.id
+     LEFT JOIN app_house_activities ha ON ha.id = plan.house_activity_id
+     WHERE h.project_id = $1
+     GROUP BY h.id
+     ORDER BY h.coto NULLS LAST, h.name, h.id`,
+    [projectId, SCHEDULE_DELAY_TOLERANCE]
+  );
+
+  const scheduled = houses.filter((house) => house.plannedProgress !== null);
+  const average = (key) =>
+    scheduled.length > 0
+      ? Math.round(
+          (scheduled.reduce((sum, house) => sum + house[key], 0) / scheduled.length) * 100
+        ) / 100
+      : null;
+  const progress = average("progress");
+  const plannedProgress = average("plannedProgress");
+
+  return {
+    summary: {
+      houses: houses.length,
+      scheduled: scheduled.length,
+      behind: houses.filter((house) => house.isBehind).length,
+      delayed: houses.filter((house) => house.status === "delayed").length,
+      progress,
+      plannedProgress,
+      variance:
+        progress === null ? null : Math.round((progress - plannedProgress) * 100) / 100,
+    },
+    houses: houses.map((house) => ({
+      ...house,
+      variance:
+        house.plannedProgress === null
+          ? null
+          : Math.round((house.progress - house.plannedProgress) * 100) / 100,
+    })),
+  };
+}
+
+// Sets in_progress houses that fell behind their plan to delayed, and
+// delayed ones that caught up back to in_progress. Houses without a plan
+// are left alone, so a status set by hand on them stays, and so are the
+// houses of archived projects.
+async function flagDelayedHouses() {
+  const { rows } = await pool.query(
+    `WITH planned AS (
+       SELECT
+         house_id,
+         100.0 * COUNT(*) FILTER (WHERE planned_end_date <= CURRENT_DATE) / COUNT(*) AS progress
+       FROM app_house_activity_plan
+       WHERE planned_end_date IS NOT NULL
+       GROUP BY house_id
+     ), target AS (
+       SELECT
+         h.id,
+         (CASE WHEN h.progress < planned.progress - $1 THEN 'delayed' ELSE 'in_progress' END)::house_status AS status
+       FROM app_houses h
+       JOIN planned ON planned.house_id = h.id
+       LEFT JOIN app_projects p ON p.id = h.project_id
+       WHERE h.status IN ('in_progress', 'delayed') AND p.archived_at IS NULL
+     )
+     UPDATE app_houses h
+        SET status = target.status
+       FROM target
+      WHERE h.id = target.id AND h.status <> target.status
+     RETURNING h.status`,
+    [SCHEDULE_DELAY_TOLERANCE]
+  );
+  return {
+    delayed: rows.filter((row) => row.status === "delayed").length,
+    onTrack: rows.filter((row) => row.status === "in_progress").length,
+  };
+}
+
+// Runs flagDelayedHouses now and every SCHEDULE_CHECK_INTERVAL_MINUTES.
+// Every instance runs it; the update is idempotent.
+function startScheduleJob() {
+  if (!(SCHEDULE_CHECK_INTERVAL_MINUTES > 0)) return null;
+
+  const run = () =>
+    flagDelayedHouses()
+      .then(({ delayed, onTrack }) => {
+        if (delayed > 0 || onTrack > 0) {
+          console.log(`Schedule check: ${delayed} house(s) delayed, ${onTrack} back on track`);
+        }
+      })
+      .catch((error) => console.error("Schedule check failed:", error.message));
+
+  run();
+  const timer = setInterval(run, SCHEDULE_CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  validatePlannedDates,
+  isPlannedDatesViolation,
+  getProjectSchedule,
+  flagDelayedHouses,
+  startScheduleJob,
+};
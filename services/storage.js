@@ -0,0 +1,81 @@
+// services/storage.js
+// File storage abstraction for uploads. STORAGE_DRIVER selects the backend:
+//   local - files under STORAGE_LOCAL_DIR, served by app.js at /uploads
+//           (development / tests)
+// STORAGE_PUBLIC_URL is the base URL stored files are reachable at (for
+// local, where /uploads is exposed, e.g. https://api.example.com/uploads).
+const fs = require("fs");
+const path = require("path");
+
+const LOCAL_UPLOADS_PATH = "/uploads";
+
+function publicUrl(key) {
+  const base = (process.env.STORAGE_PUBLIC_URL || LOCAL_UPLOADS_PATH).replace(/\/+$/, "");
+  return `${base}/${key}`;
+}
+
+function createLocalStorage() {
+  const dir = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+
+  // Keys are generated by the server, but never let one escape the directory
+  function filePath(key) {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  return {
+    dir,
+    async put(key, body) {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+      return { key, url: publicUrl(key) };
+    },
+    async delete(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+const drivers = {
+  local: createLocalStorage,
+};
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || "local";
+    if (!drivers[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+}
+
+// Returns { key, url }
+async function putObject(key, body, contentType) {
+  return getStorage().put(key, body, contentType);
+}
+
+// Missing objects are ignored
+async function deleteObject(key) {
+  return getStorage().delete(key);
+}
+
+// Directory app.js serves at LOCAL_UPLOADS_PATH, or null when files are not
+// stored locally
+function localStorageDir() {
+  return getStorage().dir || null;
+}
+
+module.exports = {
+  LOCAL_UPLOADS_PATH,
+  putObject,
+  deleteObject,
+  localStorageDir,
+};
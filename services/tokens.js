@@ -0,0 +1,216 @@
+// services/tokens.js
+// Refresh tokens are opaque, single-use and grouped in families: every login
+// starts a family, every /auth/refresh rotates the token inside it. Presenting
+// an already rotated token means it leaked, so the whole family is revoked.
+const jwt = require("jsonwebtoken");
+const {
+  pool,
+  generateJwtToken,
+  generateUUID,
+  httpError,
+  generateOpaqueToken,
+  hashToken,
+} = require("../routes/utils");
+
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// A token family is also what users see as a "session": context records how
+// and from where it was started ({ method, ip, userAgent })
+async function createTokenFamily(userId, context = {}, db = pool) {
+  const familyId = generateUUID();
+  await db.query(
+    `INSERT INTO app_token_families (id, user_id, method, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      familyId,
+      userId,
+      context.method || null,
+      context.ip || null,
+      context.userAgent || null,
+    ]
+  );
+  return familyId;
+}
+
+async function createRefreshToken(userId, familyId, db = pool) {
+  const refreshToken = generateOpaqueToken(48);
+  await db.query(
+    `INSERT INTO app_refresh_tokens (id, family_id, user_id, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))`,
+    [generateUUID(), familyId, userId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return refreshToken;
+}
+
+function accessTokenResponse(user, familyId, refreshToken) {
+  const token = generateJwtToken(user, familyId);
+  const { exp } = jwt.decode(token);
+  return {
+    token,
+    refreshToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000),
+  };
+}
+
+// Start a new token family for a fresh login
+async function issueTokens(user, context = {}) {
+  const familyId = await createTokenFamily(user.id, context);
+  const refreshToken = await createRefreshToken(user.id, familyId);
+  return accessTokenResponse(user, familyId, refreshToken);
+}
+
+async function revokeTokenFamily(familyId, reason = "logout", db = pool) {
+  await db.query(
+    `UPDATE app_token_families
+        SET revoked_at = NOW(), revoked_reason = $2
+      WHERE id = $1 AND revoked_at IS NULL`,
+    [familyId, reason]
+  );
+}
+
+async function revokeUserTokens(userId, reason = "logout", db = pool) {
+  await db.query(
+    `UPDATE app_token_families
+        SET revoked_at = NOW(), revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+}
+
+// Same, but keeps the session (token family) the request came from
+async function revokeOtherUserTokens(userId, keepFamilyId, reason, db = pool) {
+  await db.query(
+    `UPDATE app_token_families
+        SET revoked_at = NOW(), revoked_reason = $3
+      WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL`,
+    [userId, keepFamilyId, reason]
+  );
+}
+
+// Exchange a refresh token for a new access/refresh pair in the same family
+async function rotateRefreshToken(refreshToken) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT
+         rt.id,
+         rt.family_id AS "familyId",
+         rt.user_id AS "userId",
+         rt.expires_at AS "expiresAt",
+         rt.used_at AS "usedAt",
+         f.revoked_at AS "familyRevokedAt"
+       FROM app_refresh_tokens rt
+       JOIN app_token_families f ON f.id = rt.family_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt`,
+      [hashToken(refreshToken)]
+    );
+    if (rows.length === 0) {
+      await client.query("ROLLBACK");
+      throw httpError(401, "Invalid refresh token");
+    }
+
+    const stored = rows[0];
+    if (stored.familyRevokedAt) {
+      await client.query("ROLLBACK");
+      throw httpError(401, "Refresh token has been revoked");
+    }
+    if (stored.usedAt) {
+      await revokeTokenFamily(stored.familyId, "reuse_detected", client);
+      await client.query("COMMIT");
+      throw httpError(401, "Refresh token reuse detected");
+    }
+    if (new Date(stored.expiresAt) <= new Date()) {
+      await client.query("ROLLBACK");
+      throw httpError(401, "Refresh token expired");
+    }
+
+    const { rows: users } = await client.query(
+      `SELECT id, email, first_name AS "firstName", last_name AS "lastName",
+              role, is_active AS "isActive"
+         FROM app_users
+        WHERE id = $1`,
+      [stored.userId]
+    );
+    if (users.length === 0 || !users[0].isActive) {
+      await revokeTokenFamily(stored.familyId, "user_inactive", client);
+      await client.query("COMMIT");
+      throw httpError(401, "Account is inactive");
+    }
+
+    await client.query(
+      "UPDATE app_refresh_tokens SET used_at = NOW() WHERE id = $1",
+      [stored.id]
+    );
+    await client.query(
+      "UPDATE app_token_families SET last_used_at = NOW() WHERE id = $1",
+      [stored.familyId]
+    );
+    const nextRefreshToken = await createRefreshToken(
+      stored.userId,
+      stored.familyId,
+      client
+    );
+    await client.query("COMMIT");
+
+    return accessTokenResponse(users[0], stored.familyId, nextRefreshToken);
+  } catch (error) {
+    if (!error.status) await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Active sessions: families that are not revoked and still hold a usable
+// refresh token. Pass userId = null to list every user's sessions.
+async function listActiveSessions(userId = null) {
+  const { rows } = await pool.query(
+    `SELECT
+       f.id,
+       f.user_id AS "userId",
+       u.email,
+       f.method,
+       f.ip_address AS "ipAddress",
+       f.user_agent AS "userAgent",
+       f.created_at AS "createdAt",
+       COALESCE(f.last_used_at, f.created_at) AS "lastUsedAt",
+       rt.expires_at AS "expiresAt"
+     FROM app_token_families f
+     JOIN app_users u ON u.id = f.user_id
+     JOIN app_refresh_tokens rt
+       ON rt.family_id = f.id AND rt.used_at IS NULL AND rt.expires_at > NOW()
+     WHERE f.revoked_at IS NULL
+       AND ($1::uuid IS NULL OR f.user_id = $1)
+     ORDER BY "lastUsedAt" DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+// Revoke one session; with userId the session must belong to that user.
+// Returns false when no matching active session exists.
+async function revokeSession(familyId, { userId = null, reason = "logout" } = {}) {
+  const { rowCount } = await pool.query(
+    `UPDATE app_token_families
+        SET revoked_at = NOW(), revoked_reason = $3
+      WHERE id = $1
+        AND revoked_at IS NULL
+        AND ($2::uuid IS NULL OR user_id = $2)`,
+    [familyId, userId, reason]
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserTokens,
+  revokeOtherUserTokens,
+  listActiveSessions,
+  revokeSession,
+};
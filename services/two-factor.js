@@ -0,0 +1,230 @@
+// services/two-factor.js
+// TOTP second factor: enrollment, verification, recovery codes and the
+// short-lived challenge token handed out by /auth/login between the password
+// and the second factor.
+//   TOTP_REQUIRED_ROLES    comma separated roles that must use 2FA (e.g. admin,reviewer)
+//   TOTP_ISSUER            name shown in authenticator apps
+//   TOTP_ENCRYPTION_KEY    key for secrets at rest (falls back to JWT_SECRET)
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {
+  pool,
+  generateUUID,
+  httpError,
+  hashToken,
+} = require("../routes/utils");
+const totp = require("./totp");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "CreekSide";
+const MFA_CHALLENGE_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+function getRequiredRoles() {
+  return (process.env.TOTP_REQUIRED_ROLES || "")
+    .split(",")
+    .map((r) => r.trim())
+    .filter(Boolean);
+}
+
+function isTwoFactorRequired(user) {
+  return getRequiredRoles().includes(user.role);
+}
+
+// ── secret encryption (AES-256-GCM) ──────────────────────────
+function encryptionKey() {
+  const source = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!source) throw new Error("TOTP_ENCRYPTION_KEY no esta configurado");
+  return crypto.createHash("sha256").update(source).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString("base64")).join(":");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split(":").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+// ── challenge tokens ─────────────────────────────────────────
+// purpose is "mfa_verify" (user has 2FA) or "mfa_enroll" (role requires 2FA
+// but the user has not enrolled yet). These JWTs carry no token family, so
+// authenticateJwt never accepts them as access tokens. method is the first
+// factor used ("password", "google", ...), kept for the login history.
+function createMfaChallenge(user, purpose, method) {
+  return jwt.sign({ id: user.id, purpose, method }, process.env.JWT_SECRET, {
+    expiresIn: MFA_CHALLENGE_TTL,
+  });
+}
+
+// Returns { userId, method } or null
+function verifyMfaChallenge(challengeToken, purpose) {
+  try {
+    const payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (payload.purpose !== purpose) return null;
+    return { userId: payload.id, method: payload.method };
+  } catch (err) {
+    return null;
+  }
+}
+
+// ── enrollment ───────────────────────────────────────────────
+async function getTwoFactorState(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT
+       u.id,
+       u.email,
+       u.totp_secret AS "totpSecret",
+       u.totp_enabled_at AS "totpEnabledAt",
+       u.totp_last_used_step AS "totpLastUsedStep",
+       (SELECT COUNT(*)::int FROM app_user_recovery_codes rc
+         WHERE rc.user_id = u.id AND rc.used_at IS NULL) AS "recoveryCodesLeft"
+     FROM app_users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// Start (or restart) enrollment with a new secret; 2FA stays off until the
+// first code is confirmed with enableTwoFactor
+async function beginEnrollment(user) {
+  const state = await getTwoFactorState(user.id);
+  if (state.totpEnabledAt) {
+    throw httpError(409, "Two-factor authentication is already enabled");
+  }
+
+  const secret = totp.generateSecret();
+  await pool.query(
+    "UPDATE app_users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2",
+    [encryptSecret(secret), user.id]
+  );
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: TOTP_ISSUER,
+    }),
+  };
+}
+
+function generateRecoveryCode() {
+  const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toUpperCase().replace(/[^0-9A-F]/g, "");
+}
+
+// Replace all recovery codes; the plain codes are only returned here
+async function regenerateRecoveryCodes(userId, db = pool) {
+  await db.query("DELETE FROM app_user_recovery_codes WHERE user_id = $1", [
+    userId,
+  ]);
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = generateRecoveryCode();
+    codes.push(code);
+    await db.query(
+      `INSERT INTO app_user_recovery_codes (id, user_id, code_hash)
+       VALUES ($1, $2, $3)`,
+      [generateUUID(), userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+}
+
+// Check a TOTP code and remember its time step so it cannot be replayed
+async function checkTotpCode(state, code, db = pool) {
+  if (!state.totpSecret) return false;
+  const step = totp.verifyCode(decryptSecret(state.totpSecret), code);
+  if (step === null) return false;
+  if (state.totpLastUsedStep !== null && step <= Number(state.totpLastUsedStep)) {
+    return false;
+  }
+  await db.query("UPDATE app_users SET totp_last_used_step = $1 WHERE id = $2", [
+    step,
+    state.id,
+  ]);
+  return true;
+}
+
+async function enableTwoFactor(userId, code) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const state = await getTwoFactorState(userId, client);
+    if (state.totpEnabledAt) {
+      throw httpError(409, "Two-factor authentication is already enabled");
+    }
+    if (!state.totpSecret) {
+      throw httpError(400, "Start enrollment with POST /auth/2fa/setup first");
+    }
+    if (!(await checkTotpCode(state, code, client))) {
+      throw httpError(400, "Invalid verification code");
+    }
+
+    await client.query(
+      "UPDATE app_users SET totp_enabled_at = NOW() WHERE id = $1",
+      [userId]
+    );
+    const recoveryCodes = await regenerateRecoveryCodes(userId, client);
+    await client.query("COMMIT");
+    return recoveryCodes;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function disableTwoFactor(userId) {
+  await pool.query(
+    `UPDATE app_users
+        SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+      WHERE id = $1`,
+    [userId]
+  );
+  await pool.query("DELETE FROM app_user_recovery_codes WHERE user_id = $1", [
+    userId,
+  ]);
+}
+
+// Second factor check for an enrolled user: either a TOTP code or an unused
+// recovery code (which is then burned)
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const state = await getTwoFactorState(userId);
+  if (!state || !state.totpEnabledAt) return false;
+
+  if (code) return checkTotpCode(state, code);
+
+  if (recoveryCode) {
+    const { rowCount } = await pool.query(
+      `UPDATE app_user_recovery_codes SET used_at = NOW()
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    return rowCount > 0;
+  }
+  return false;
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  createMfaChallenge,
+  verifyMfaChallenge,
+  getTwoFactorState,
+  beginEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+};
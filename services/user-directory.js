@@ -0,0 +1,186 @@
+// services/user-directory.js
+// Searching the user list: the paginated admin directory (GET /api/users)
+// and the small lookup used by assignee pickers (GET /api/users/lookup).
+const { pool } = require("../routes/utils");
+const { accessibleProjectIds } = require("./project-access");
+
+// Sortable columns: API name -> SQL expression
+const SORT_COLUMNS = {
+  firstName: "u.first_name",
+  lastName: "u.last_name",
+  email: "u.email",
+  role: "u.role",
+  isActive: "u.is_active",
+  createdAt: "u.created_at",
+  lastLoginAt: "last_login.at",
+};
+const MAX_PAGE_SIZE = 200;
+
+// Escape LIKE wildcards so q is matched literally
+function likePattern(q) {
+  return `%${String(q).replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+// filters: q (name/email search), role, isActive, isServiceAccount, projectId
+function buildUserFilters({ q, role, isActive, isServiceAccount, projectId }) {
+  let where = "WHERE 1=1";
+  const params = [];
+
+  if (q) {
+    params.push(likePattern(q));
+    where += ` AND (u.email ILIKE $${params.length}
+                 OR u.first_name ILIKE $${params.length}
+                 OR u.last_name ILIKE $${params.length}
+                 OR CONCAT_WS(' ', u.first_name, u.last_name) ILIKE $${params.length})`;
+  }
+  if (role) {
+    params.push(role);
+    where += ` AND u.role = $${params.length}`;
+  }
+  if (isActive !== undefined) {
+    params.push(isActive);
+    where += ` AND u.is_active = $${params.length}`;
+  }
+  if (isServiceAccount !== undefined) {
+    params.push(isServiceAccount);
+    where += ` AND u.is_service_account = $${params.length}`;
+  }
+  if (projectId) {
+    params.push(projectId);
+    where += ` AND EXISTS (SELECT 1 FROM app_project_members pm
+                            WHERE pm.user_id = u.id AND pm.project_id = $${params.length})`;
+  }
+  return { where, params };
+}
+
+const USER_COLUMNS = `
+  u.id,
+  u.email,
+  u.first_name AS "firstName",
+  u.last_name AS "lastName",
+  u.user_image AS "userImage",
+  u.role,
+  u.is_active AS "isActive",
+  u.is_service_account AS "isServiceAccount",
+  u.email_verified_at AS "emailVerifiedAt",
+  u.offboarded_at AS "offboardedAt",
+  u.created_at AS "createdAt",
+  last_login.at AS "lastLoginAt"`;
+
+const LAST_LOGIN_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT MAX(created_at) AS at FROM app_login_events
+     WHERE user_id = u.id AND success = TRUE
+  ) last_login ON TRUE`;
+
+function orderByClause(sort, order) {
+  const direction = order === "asc" ? "ASC" : "DESC";
+  return `${SORT_COLUMNS[sort]} ${direction} NULLS LAST, u.id`;
+}
+
+// filters (see buildUserFilters); paging: page (from 1), limit;
+// sort (see SORT_COLUMNS), order
+async function listUsers({
+  page = 1,
+  limit = 50,
+  sort = "createdAt",
+  order = "desc",
+  ...filters
+} = {}) {
+  const { where, params } = buildUserFilters(filters);
+  const { rows: countRows } = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM app_users u ${where}`,
+    params
+  );
+
+  params.push(limit, (page - 1) * limit);
+  const { rows } = await pool.query(
+    `SELECT ${USER_COLUMNS}
+       FROM app_users u
+       ${LAST_LOGIN_JOIN}
+       ${where}
+      ORDER BY ${orderByClause(sort, order)}
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  const total = countRows[0].total;
+  return {
+    users: rows,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+}
+
+// Every user matching the filters, with the titles of their projects, for
+// the CSV export
+async function exportUsers({ sort = "createdAt", order = "desc", ...filters } = {}) {
+  const { where, params } = buildUserFilters(filters);
+  const { rows } = await pool.query(
+    `SELECT ${USER_COLUMNS},
+            COALESCE(
+              (SELECT array_agg(p.title ORDER BY p.title)
+                 FROM app_project_members pm
+                 JOIN app_projects p ON p.id = pm.project_id
+                WHERE pm.user_id = u.id),
+              '{}'
+            ) AS "projects"
+       FROM app_users u
+       ${LAST_LOGIN_JOIN}
+       ${where}
+      ORDER BY ${orderByClause(sort, order)}`,
+    params
+  );
+  return rows;
+}
+
+// Active people (no service accounts) matching q, for pickers. Callers
+// without user.read only find members of the projects they can see; with
+// projectId the result is limited to that project's members.
+async function lookupUsers(req, { q, projectId, canReadAll, limit = 20 }) {
+  const params = [];
+  let where = "WHERE u.is_active = TRUE AND u.is_service_account = FALSE";
+
+  if (q) {
+    params.push(likePattern(q));
+    where += ` AND (u.email ILIKE $${params.length}
+                 OR CONCAT_WS(' ', u.first_name, u.last_name) ILIKE $${params.length})`;
+  }
+
+  let projectIds = projectId ? [projectId] : null;
+  if (!canReadAll && !projectIds) {
+    projectIds = await accessibleProjectIds(req);
+  }
+  if (projectIds) {
+    params.push(projectIds);
+    where += ` AND EXISTS (SELECT 1 FROM app_project_members pm
+                            WHERE pm.user_id = u.id AND pm.project_id = ANY($${params.length}::uuid[]))`;
+  }
+
+  params.push(limit);
+  const { rows } = await pool.query(
+    `SELECT
+       u.id,
+       u.first_name AS "firstName",
+       u.last_name AS "lastName",
+       u.email,
+       u.user_image AS "userImage",
+       u.role
+     FROM app_users u
+     ${where}
+     ORDER BY u.first_name, u.last_name, u.id
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  MAX_PAGE_SIZE,
+  listUsers,
+  exportUsers,
+  lookupUsers,
+};
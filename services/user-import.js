@@ -0,0 +1,170 @@
+// services/user-import.js
+// Bulk onboarding from CSV. Each valid row becomes an invitation (see
+// services/invitations.js), so imported people choose their own password.
+// Columns are matched by header, ignoring case, spaces and underscores:
+//   email (required), first name, last name (required), role (default
+//   surveyor), project or projects (ids or titles, separated by ";"),
+//   locale or language (en or es, language of the invitation email)
+// Unknown columns are ignored, so a file from GET /api/users/export can be
+// imported again.
+const { pool } = require("../routes/utils");
+const { parseCsv } = require("./csv");
+const { PROJECT_ROLES } = require("./project-access");
+const { createInvitation } = require("./invitations");
+const { LOCALES } = require("./preferences");
+
+const MAX_IMPORT_ROWS = 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const HEADER_ALIASES = {
+  email: "email",
+  emailaddress: "email",
+  firstname: "firstName",
+  lastname: "lastName",
+  role: "role",
+  project: "projects",
+  projects: "projects",
+  locale: "locale",
+  language: "locale",
+};
+
+function normalizeHeader(header) {
+  return HEADER_ALIASES[header.toLowerCase().replace(/[\s_-]+/g, "")] || null;
+}
+
+async function loadProjectIndex() {
+  const { rows } = await pool.query("SELECT id, title FROM app_projects");
+  const index = new Map();
+  for (const project of rows) {
+    index.set(project.id.toLowerCase(), project.id);
+    index.set(project.title.trim().toLowerCase(), project.id);
+  }
+  return index;
+}
+
+// Parse and validate without writing anything. Returns { rows, summary }
+// where every row has { line, email, firstName, lastName, role, locale,
+// projectIds, status: valid | invalid | duplicate, errors }.
+async function validateImport(csvText) {
+  let records;
+  try {
+    records = parseCsv(csvText);
+  } catch (err) {
+    return { error: `Invalid CSV: ${err.message}` };
+  }
+  if (records.length < 2) {
+    return { error: "The file needs a header row and at least one user" };
+  }
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} users can be imported at once` };
+  }
+
+  const columns = records[0].map(normalizeHeader);
+  for (const required of ["email", "firstName", "lastName"]) {
+    if (!columns.includes(required)) {
+      return { error: `Missing column: ${required}` };
+    }
+  }
+
+  const emails = records
+    .slice(1)
+    .map((record) => (record[columns.indexOf("email")] || "").trim().toLowerCase());
+  const { rows: existing } = await pool.query(
+    "SELECT LOWER(email) AS email FROM app_users WHERE LOWER(email) = ANY($1::text[])",
+    [emails.filter(Boolean)]
+  );
+  const existingEmails = new Set(existing.map((row) => row.email));
+  const projectIndex = await loadProjectIndex();
+  const seen = new Set();
+
+  const rows = records.slice(1).map((record, i) => {
+    const values = {};
+    columns.forEach((column, c) => {
+      if (column) values[column] = (record[c] || "").trim();
+    });
+
+    const row = {
+      line: i + 2,
+      email: values.email,
+      firstName: values.firstName,
+      lastName: values.lastName,
+      role: values.role ? values.role.toLowerCase() : "surveyor",
+      locale: values.locale ? values.locale.toLowerCase() : null,
+      projectIds: [],
+      status: "valid",
+      errors: [],
+    };
+
+    if (!row.email) row.errors.push("email is required");
+    else if (!EMAIL_PATTERN.test(row.email)) row.errors.push("email is not valid");
+    if (!row.firstName) row.errors.push("first name is required");
+    if (!row.lastName) row.errors.push("last name is required");
+    if (!PROJECT_ROLES.includes(row.role)) {
+      row.errors.push(`role must be one of ${PROJECT_ROLES.join(", ")}`);
+    }
+    if (row.locale && !LOCALES.includes(row.locale)) {
+      row.errors.push(`locale must be one of ${LOCALES.join(", ")}`);
+    }
+    for (const name of (values.projects || "").split(";").map((p) => p.trim())) {
+      if (!name) continue;
+      const projectId = projectIndex.get(name.toLowerCase());
+      if (projectId) row.projectIds.push(projectId);
+      else row.errors.push(`unknown project "${name}"`);
+    }
+    if (row.errors.length > 0) row.status = "invalid";
+
+    const key = (row.email || "").toLowerCase();
+    if (key && existingEmails.has(key)) {
+      row.status = "duplicate";
+      row.errors.push("a user with this email already exists");
+    } else if (key && seen.has(key)) {
+      row.status = "duplicate";
+      row.errors.push("email appears earlier in the file");
+    }
+    if (key) seen.add(key);
+    return row;
+  });
+
+  return { rows, summary: summarize(rows) };
+}
+
+function summarize(rows) {
+  const summary = { total: rows.length };
+  for (const row of rows) summary[row.status] = (summary[row.status] || 0) + 1;
+  return summary;
+}
+
+// Invite every valid row; invalid and duplicate rows are skipped and
+// reported. A row that fails while inviting is reported as failed.
+async function importUsers(csvText, { invitedById }) {
+  const validation = await validateImport(csvText);
+  if (validation.error) return validation;
+
+  for (const row of validation.rows) {
+    if (row.status !== "valid") continue;
+    try {
+      const invitation = await createInvitation({
+        email: row.email,
+        firstName: row.firstName,
+        lastName: row.lastName,
+        role: row.role,
+        projectIds: row.projectIds,
+        locale: row.locale,
+        invitedById,
+      });
+      row.status = "invited";
+      row.userId = invitation.userId;
+      row.invitationId = invitation.id;
+    } catch (err) {
+      row.status = err.status === 409 ? "duplicate" : "failed";
+      row.errors.push(err.message);
+    }
+  }
+  return { rows: validation.rows, summary: summarize(validation.rows) };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  validateImport,
+  importUsers,
+};
@@ -0,0 +1,48 @@
+// services/user-tokens.js
+// Single-use, expiring tokens that are sent to a user out of band (password
+// reset links, ...). The plain token only ever exists in the link; the
+// database keeps its SHA-256 hash.
+const {
+  pool,
+  generateUUID,
+  generateOpaqueToken,
+  hashToken,
+} = require("../routes/utils");
+
+// Issue a token for userId/purpose. Older unused tokens of the same purpose
+// are invalidated so only the latest link works.
+async function createUserToken(userId, purpose, ttlMinutes, db = pool) {
+  await db.query(
+    `UPDATE app_user_tokens SET used_at = NOW()
+      WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  const token = generateOpaqueToken();
+  await db.query(
+    `INSERT INTO app_user_tokens (id, user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+    [generateUUID(), userId, purpose, hashToken(token), ttlMinutes]
+  );
+  return token;
+}
+
+// Mark the token as used and return its owner, or null if the token is
+// unknown, expired or already used
+async function consumeUserToken(token, purpose, db = pool) {
+  const { rows } = await db.query(
+    `UPDATE app_user_tokens SET used_at = NOW()
+      WHERE token_hash = $1
+        AND purpose = $2
+        AND used_at IS NULL
+        AND expires_at > NOW()
+      RETURNING user_id AS "userId"`,
+    [hashToken(token), purpose]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  createUserToken,
+  consumeUserToken,
+};
@@ -0,0 +1,149 @@
+// services/workload.js
+// Per-assignee workload and productivity, computed from
+// app_house_activities.app_user_id:
+//   open work (now)  assigned (not completed), pending, inProgress, inReview,
+//                    blocked, rejected
+//   period           completed (completion_date in the period), rejected
+//                    (currently rejected, last updated in the period),
+//                    rejectionRate = rejected / (completed + rejected) and
+//                    averageCycleTimeDays from start_date to completion_date
+//                    of the completed ones
+// There is no status history, so an activity that was rejected and later
+// completed only counts as completed.
+const { pool } = require("../routes/utils");
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// from/to query values (ISO dates or timestamps) -> { from, to } as Dates or
+// null, or { error }. A date-only "to" includes that whole day.
+function parsePeriod({ from, to }) {
+  const period = { from: null, to: null };
+  if (from) {
+    period.from = new Date(from);
+    if (isNaN(period.from)) return { error: "from must be a date (YYYY-MM-DD)" };
+  }
+  if (to) {
+    period.to = new Date(to);
+    if (isNaN(period.to)) return { error: "to must be a date (YYYY-MM-DD)" };
+    if (DATE_ONLY.test(to)) period.to.setUTCDate(period.to.getUTCDate() + 1);
+  }
+  if (period.from && period.to && period.from >= period.to) {
+    return { error: "from must be before to" };
+  }
+  return period;
+}
+
+function rejectionRate(completed, rejected) {
+  const reviewed = completed + rejected;
+  return reviewed > 0 ? Math.round((rejected / reviewed) * 1000) / 1000 : null;
+}
+
+// userIds / projectIds: null for no restriction; period from parsePeriod.
+// Returns one row per assignee with at least one activity in scope.
+async function getWorkload({ userIds = null, projectIds = null, from = null, to = null }) {
+  const params = [from, to];
+  let where = "WHERE ha.app_user_id IS NOT NULL";
+  if (userIds) {
+    params.push(userIds);
+    where += ` AND ha.app_user_id = ANY($${params.length}::uuid[])`;
+  }
+  if (projectIds) {
+    params.push(projectIds);
+    where += ` AND h.project_id = ANY($${params.length}::uuid[])`;
+  }
+
+  const inPeriod = (column) =>
+    `($1::timestamptz IS NULL OR ${column} >= $1) AND ($2::timestamptz IS NULL OR ${column} < $2)`;
+  const completedInPeriod = `ha.status = 'completed' AND ${inPeriod("ha.completion_date")}`;
+  const rejectedInPeriod = `ha.status = 'rejected' AND ${inPeriod("ha.last_updated_at")}`;
+
+  const { rows } = await pool.query(
+    `SELECT
+       u.id AS "userId",
+       u.first_name AS "firstName",
+       u.last_name AS "lastName",
+       u.email,
+       u.role,
+       u.is_active AS "isActive",
+       COUNT(*) FILTER (WHERE ha.status <> 'completed')::int AS "assigned",
+       COUNT(*) FILTER (WHERE ha.status = 'pending')::int AS "pending",
+       COUNT(*) FILTER (WHERE ha.status = 'in_progress')::int AS "inProgress",
+       COUNT(*) FILTER (WHERE ha.status = 'review')::int AS "inReview",
+       COUNT(*) FILTER (WHERE ha.status = 'blocked')::int AS "blocked",
+       COUNT(*) FILTER (WHERE ha.status = 'rejected')::int AS "rejected",
+       COUNT(*) FILTER (WHERE ${completedInPeriod})::int AS "completedInPeriod",
+       COUNT(*) FILTER (WHERE ${rejectedInPeriod})::int AS "rejectedInPeriod",
+       ROUND(
+         (AVG(EXTRACT(EPOCH FROM ha.completion_date - ha.start_date) / 86400)
+           FILTER (WHERE ${completedInPeriod} AND ha.start_date IS NOT NULL))::numeric,
+         2
+       )::float AS "averageCycleTimeDays"
+     FROM app_house_activities ha
+     JOIN app_houses h ON h.id = ha.house_id
+     JOIN app_users u ON u.id = ha.app_user_id
+     ${where}
+     GROUP BY u.id
+     ORDER BY u.first_name, u.last_name, u.id`,
+    params
+  );
+
+  return rows.map(toWorkload);
+}
+
+function toWorkload(row) {
+  return {
+    userId: row.userId,
+    firstName: row.firstName,
+    lastName: row.lastName,
+    email: row.email,
+    role: row.role,
+    isActive: row.isActive,
+    open: {
+      assigned: row.assigned,
+      pending: row.pending,
+      inProgress: row.inProgress,
+      inReview: row.inReview,
+      blocked: row.blocked,
+      rejected: row.rejected,
+    },
+    period: {
+      completed: row.completedInPeriod,
+      rejected: row.rejectedInPeriod,
+      rejectionRate: rejectionRate(row.completedInPeriod, row.rejectedInPeriod),
+      averageCycleTimeDays: row.averageCycleTimeDays ?? null,
+    },
+  };
+}
+
+// Workload of one user (zeros when nothing is assigned to them), or null
+// when the user does not exist
+async function getUserWorkload(userId, { projectIds = null, from = null, to = null }) {
+  const [workload] = await getWorkload({ userIds: [userId], projectIds, from, to });
+  if (workload) return workload;
+
+  const { rows } = await pool.query(
+    `SELECT id AS "userId", first_name AS "firstName", last_name AS "lastName",
+            email, role, is_active AS "isActive"
+       FROM app_users WHERE id = $1`,
+    [userId]
+  );
+  if (rows.length === 0) return null;
+  return toWorkload({
+    ...rows[0],
+    assigned: 0,
+    pending: 0,
+    inProgress: 0,
+    inReview: 0,
+    blocked: 0,
+    rejected: 0,
+    completedInPeriod: 0,
+    rejectedInPeriod: 0,
+    averageCycleTimeDays: null,
+  });
+}
+
+module.exports = {
+  parsePeriod,
+  getWorkload,
+  getUserWorkload,
+};